@@ -20,216 +20,22 @@ function log(message, payload) {
   logBox.prepend(div);
 }
 
-function createPeerId() {
-  if (crypto?.randomUUID) return crypto.randomUUID();
-  return `peer-${Date.now()}-${Math.random().toString(16).slice(2)}`;
-}
-
-function normalizeSignalUrl(url) {
-  const next = new URL(url || DEFAULT_SIGNAL_URL, window.location.origin);
-  if (next.protocol === 'http:') next.protocol = 'ws:';
-  if (next.protocol === 'https:') next.protocol = 'wss:';
-  return next;
-}
-
-function sanitizeUrlForLog(url) {
-  const next = new URL(url.toString());
-  next.search = '';
-  next.hash = '';
-  return next.toString();
-}
-
-function httpHealthUrlFromWs(wsUrl) {
-  const next = new URL(wsUrl.toString());
-  if (next.protocol === 'ws:') next.protocol = 'http:';
-  if (next.protocol === 'wss:') next.protocol = 'https:';
-  next.pathname = '/health';
-  next.search = '';
-  next.hash = '';
-  return next;
-}
-
-async function probeSignalingHealth(wsUrl) {
-  const healthUrl = httpHealthUrlFromWs(wsUrl);
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), 1800);
-
-  try {
-    const response = await fetch(healthUrl.toString(), {
-      method: 'GET',
-      cache: 'no-store',
-      signal: controller.signal
-    });
-    return {
-      healthUrl: healthUrl.toString(),
-      reachable: true,
-      status: response.status
-    };
-  } catch (err) {
-    return {
-      healthUrl: healthUrl.toString(),
-      reachable: false,
-      status: null,
-      error: err.message
-    };
-  } finally {
-    clearTimeout(timeoutId);
-  }
-}
-
-function closeCodeHint(code) {
-  if (code === 1008) return 'Policy/auth rejection (possibly invalid or missing token).';
-  if (code === 1006) return 'Abnormal close (server unreachable, handshake rejected, or network blocked).';
-  if (code === 1011) return 'Server-side internal error.';
-  if (code === 1000) return 'Normal close.';
-  if (!code) return 'No close code reported.';
-  return `Close code ${code}.`;
-}
-
-async function createSignalingTransport({ namespace, room, signalingUrl, token }) {
-  const handlers = new Set();
-  let peerId = createPeerId();
-
-  const wsUrl = normalizeSignalUrl(signalingUrl || DEFAULT_SIGNAL_URL);
-  wsUrl.searchParams.set('namespace', namespace);
-  wsUrl.searchParams.set('room', room);
-  wsUrl.searchParams.set('peerId', peerId);
-  if (token) wsUrl.searchParams.set('token', token);
-
-  const ws = new WebSocket(wsUrl.toString());
-
-  await new Promise((resolve, reject) => {
-    let settled = false;
-    let opened = false;
-    let sawError = false;
-
-    const cleanup = () => {
-      clearTimeout(timeoutId);
-      ws.removeEventListener('open', onOpen);
-      ws.removeEventListener('error', onError);
-      ws.removeEventListener('close', onClose);
-    };
-
-    const failWithDiagnostics = async ({ stage, closeEvent = null }) => {
-      if (settled) return;
-      settled = true;
-      cleanup();
-
-      const healthProbe = await probeSignalingHealth(wsUrl);
-      const mixedContentBlocked = window.location.protocol === 'https:' && wsUrl.protocol === 'ws:';
-      const details = {
-        stage,
-        signalingUrl: sanitizeUrlForLog(wsUrl),
-        closeCode: closeEvent?.code || null,
-        closeReason: closeEvent?.reason || null,
-        sawError,
-        tokenProvided: Boolean(token),
-        mixedContentBlocked,
-        healthProbe,
-        closeCodeHint: closeCodeHint(closeEvent?.code)
-      };
-
-      log('signaling connect failed', details);
-
-      let message = `Unable to connect signaling (${details.closeCodeHint})`;
-      if (mixedContentBlocked) {
-        message += ' HTTPS page cannot use ws://. Use wss://.';
-      } else if (!healthProbe.reachable) {
-        message += ' Signaling server appears unreachable.';
-      } else if (!token) {
-        message += ' If server requires auth, provide a token.';
-      }
-
-      const err = new Error(message);
-      err.details = details;
-      reject(err);
-    };
-
-    const onOpen = () => {
-      if (settled) return;
-      settled = true;
-      opened = true;
-      cleanup();
-      resolve();
-    };
-
-    const onError = () => {
-      sawError = true;
-      if (ws.readyState === WebSocket.CLOSED || ws.readyState === WebSocket.CLOSING) {
-        void failWithDiagnostics({ stage: 'error' });
-      }
-    };
-
-    const onClose = (event) => {
-      if (opened || settled) return;
-      void failWithDiagnostics({ stage: 'close', closeEvent: event });
-    };
-
-    const timeoutId = setTimeout(() => {
-      void failWithDiagnostics({ stage: 'timeout' });
-    }, 8000);
-
-    ws.addEventListener('open', onOpen, { once: true });
-    ws.addEventListener('error', onError);
-    ws.addEventListener('close', onClose, { once: true });
-  });
-
-  ws.addEventListener('message', (event) => {
-    let parsed;
-    try {
-      parsed = JSON.parse(String(event.data));
-    } catch (_err) {
-      return;
-    }
-
-    if (parsed.type === 'welcome' && parsed.peerId) {
-      peerId = parsed.peerId;
-      return;
-    }
-
-    handlers.forEach((handler) => handler(parsed));
-  });
-
-  return {
-    type: 'signaling-websocket',
-    get peerId() {
-      return peerId;
-    },
-    async send(data) {
-      if (ws.readyState !== WebSocket.OPEN) {
-        throw new Error('Signaling socket is not open.');
-      }
-
-      ws.send(JSON.stringify(data));
-    },
-    onMessage(handler) {
-      handlers.add(handler);
-      return () => handlers.delete(handler);
-    },
-    async disconnect() {
-      if (ws.readyState === WebSocket.CLOSED || ws.readyState === WebSocket.CLOSING) {
-        return;
-      }
-
-      await new Promise((resolve) => {
-        ws.addEventListener('close', resolve, { once: true });
-        ws.close();
-      });
-    }
-  };
-}
-
 function setModeHint(mode) {
   if (mode === 'signaling') {
     modeHint.textContent = `Current mode: Actual signaling (${signalUrlInput.value.trim() || DEFAULT_SIGNAL_URL})`;
     return;
   }
 
+  if (mode === 'webrtc') {
+    modeHint.textContent = `Current mode: WebRTC mesh (signaling via ${signalUrlInput.value.trim() || DEFAULT_SIGNAL_URL})`;
+    return;
+  }
+
   modeHint.textContent = 'Current mode: Local fallback (BroadcastChannel)';
 }
 
 function toggleSignalInputs(mode) {
-  const isSignaling = mode === 'signaling';
+  const isSignaling = mode !== 'fallback';
   signalUrlInput.disabled = !isSignaling;
   signalTokenInput.disabled = !isSignaling;
 }
@@ -271,6 +77,11 @@ function createSyncCallbacks() {
   return {
     onSync: (detail) => log('sync event', detail),
     onStateChange: (detail) => log('sync state', detail),
+    onPeersChange: (detail) =>
+      log('sync peers', {
+        action: detail.action,
+        peers: detail.peers.map((peer) => peer.displayName)
+      }),
     onError: (detail) =>
       log('sync error', {
         message: detail?.message || 'unknown error',
@@ -299,12 +110,11 @@ function mountSyncPanel() {
   };
 
   if (mode === 'signaling') {
-    options.createPeer = (config) =>
-      createSignalingTransport({
-        ...config,
-        signalingUrl,
-        token
-      });
+    options.transport = 'websocket';
+  }
+
+  if (mode === 'webrtc') {
+    options.transport = 'webrtc';
   }
 
   syncPanel = new FileSyncPanel(options);
@@ -312,7 +122,7 @@ function mountSyncPanel() {
   setModeHint(mode);
   log('sync mode applied', {
     mode,
-    signalingUrl: mode === 'signaling' ? signalingUrl : null
+    signalingUrl: mode !== 'fallback' ? signalingUrl : null
   });
 }
 
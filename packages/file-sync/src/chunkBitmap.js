@@ -0,0 +1,58 @@
+// Received-chunk bookkeeping for resumable transfers. In memory a transfer keeps one
+// byte per chunk; on the wire the bitmap is packed to one bit per chunk and base64'd.
+
+export function encodeChunkBitmap(received) {
+  const packed = new Uint8Array(Math.ceil(received.length / 8));
+  received.forEach((value, index) => {
+    if (value) packed[index >> 3] |= 1 << (index & 7);
+  });
+
+  let binary = '';
+  packed.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+export function decodeChunkBitmap(encoded, totalChunks) {
+  const received = new Uint8Array(totalChunks);
+  const binary = atob(encoded || '');
+
+  for (let index = 0; index < totalChunks; index += 1) {
+    const byte = binary.charCodeAt(index >> 3) || 0;
+    received[index] = (byte >> (index & 7)) & 1;
+  }
+
+  return received;
+}
+
+// Half-open `[start, end)` ranges of chunks that are still missing.
+export function missingRanges(received) {
+  const ranges = [];
+  let start = -1;
+
+  for (let index = 0; index <= received.length; index += 1) {
+    const missing = index < received.length && !received[index];
+    if (missing && start === -1) start = index;
+    if (!missing && start !== -1) {
+      ranges.push([start, index]);
+      start = -1;
+    }
+  }
+
+  return ranges;
+}
+
+export function normalizeRanges(ranges, totalChunks) {
+  if (!Array.isArray(ranges)) return [];
+
+  return ranges
+    .map(([start, end]) => [Math.max(0, Number(start) || 0), Math.min(totalChunks, Number(end) || 0)])
+    .filter(([start, end]) => end > start)
+    .sort((a, b) => a[0] - b[0]);
+}
+
+// Whether any `[start, end)` range of `a` shares a chunk with one of `b`.
+export function overlapsRanges(a, b) {
+  return a.some(([start, end]) => b.some(([from, to]) => from < end && to > start));
+}
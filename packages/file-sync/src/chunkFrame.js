@@ -0,0 +1,103 @@
+// Binary wire format for `file-chunk` messages. The signaling server reads and rewrites
+// the same header (server/bootstrap-signaling/src/binaryFrame.js), so keep them in sync.
+//
+//   0  u8   version
+//   1  u8   flags
+//   2  u32  chunk index
+//   6  u8   targetPeerId length (0 = whole room)
+//   7  u8   sourcePeerId length
+//   8  u16  transferId length
+//  10  ...  targetPeerId, sourcePeerId, transferId (UTF-8), then the chunk bytes
+//
+// With CHUNK_FLAG_SIGNED the chunk bytes are preceded by a u8 length and the sender's raw
+// public key, then a u8 length and the signature (see peerIdentity.js).
+
+import { fromBase64, toBase64 } from './encoding.js';
+
+export const CHUNK_FRAME_VERSION = 1;
+export const CHUNK_FLAG_LAST = 0x01;
+export const CHUNK_FLAG_SIGNED = 0x02;
+
+const HEADER_BYTES = 10;
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+export function isBinaryChunkMessage(message) {
+  return message?.type === 'file-chunk' && message.payload?.data instanceof Uint8Array;
+}
+
+export function encodeChunkFrame(message) {
+  const { payload } = message;
+  const target = encoder.encode(message.targetPeerId || '');
+  const source = encoder.encode(message.sourcePeerId || '');
+  const transferId = encoder.encode(payload.transferId);
+  if (target.length > 0xff || source.length > 0xff || transferId.length > 0xffff) {
+    throw new Error('Chunk frame header field is too long.');
+  }
+
+  const signed = typeof message.signature === 'string';
+  const signature = signed
+    ? [fromBase64(message.publicKey), fromBase64(message.signature)].flatMap((field) => [Uint8Array.of(field.length), field])
+    : [];
+  const signatureLength = signature.reduce((sum, field) => sum + field.byteLength, 0);
+  const headerLength = HEADER_BYTES + target.length + source.length + transferId.length + signatureLength;
+  const frame = new Uint8Array(headerLength + payload.data.byteLength);
+  const view = new DataView(frame.buffer);
+  view.setUint8(0, CHUNK_FRAME_VERSION);
+  view.setUint8(1, (Number(payload.flags) || 0) | (signed ? CHUNK_FLAG_SIGNED : 0));
+  view.setUint32(2, payload.chunkIndex);
+  view.setUint8(6, target.length);
+  view.setUint8(7, source.length);
+  view.setUint16(8, transferId.length);
+
+  let offset = HEADER_BYTES;
+  for (const field of [target, source, transferId, ...signature, payload.data]) {
+    frame.set(field, offset);
+    offset += field.byteLength;
+  }
+
+  return frame.buffer;
+}
+
+// Returns null for anything that isn't a well-formed chunk frame.
+export function decodeChunkFrame(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  if (bytes.byteLength < HEADER_BYTES) return null;
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (view.getUint8(0) !== CHUNK_FRAME_VERSION) return null;
+
+  const targetLength = view.getUint8(6);
+  const sourceLength = view.getUint8(7);
+  const transferIdLength = view.getUint16(8);
+  let dataOffset = HEADER_BYTES + targetLength + sourceLength + transferIdLength;
+  if (bytes.byteLength < dataOffset) return null;
+
+  const flags = view.getUint8(1);
+  const signature = [];
+  if (flags & CHUNK_FLAG_SIGNED) {
+    for (let i = 0; i < 2; i += 1) {
+      const length = bytes[dataOffset];
+      if (length === undefined || bytes.byteLength < dataOffset + 1 + length) return null;
+      signature.push(toBase64(bytes.subarray(dataOffset + 1, dataOffset + 1 + length)));
+      dataOffset += 1 + length;
+    }
+  }
+
+  const text = (start, length) => decoder.decode(bytes.subarray(start, start + length));
+  const targetPeerId = text(HEADER_BYTES, targetLength);
+  const message = {
+    type: 'file-chunk',
+    sourcePeerId: text(HEADER_BYTES + targetLength, sourceLength) || null,
+    payload: {
+      transferId: text(HEADER_BYTES + targetLength + sourceLength, transferIdLength),
+      chunkIndex: view.getUint32(2),
+      flags: flags & ~CHUNK_FLAG_SIGNED,
+      data: bytes.subarray(dataOffset)
+    }
+  };
+  if (targetPeerId) message.targetPeerId = targetPeerId;
+  if (signature.length) [message.publicKey, message.signature] = signature;
+
+  return message;
+}
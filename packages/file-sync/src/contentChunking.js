@@ -0,0 +1,111 @@
+// Content-defined chunking (FastCDC). Block boundaries come from a rolling gear hash over
+// the bytes themselves, so an edit only changes the blocks around it and every other block
+// keeps its hash. Peers must cut identically: keep the gear table and masks stable.
+
+const GEAR_SEED = 0x9e3779b9;
+
+const GEAR = (() => {
+  const table = new Uint32Array(256);
+  let state = GEAR_SEED;
+  for (let i = 0; i < table.length; i += 1) {
+    // xorshift32
+    state ^= state << 13;
+    state ^= state >>> 17;
+    state ^= state << 5;
+    table[i] = state >>> 0;
+  }
+  return table;
+})();
+
+// Low bits of the gear hash only see the last few bytes, so the masks use the high bits.
+function highBitsMask(bits) {
+  return (((1 << bits) - 1) << (32 - bits)) >>> 0;
+}
+
+export function chunkingParams(avgBytes) {
+  const bits = Math.max(8, Math.round(Math.log2(avgBytes)));
+  const avg = 2 ** bits;
+  return {
+    minBytes: avg / 4,
+    avgBytes: avg,
+    maxBytes: avg * 4,
+    // Normalized chunking: cuts are harder before the average size and easier after it.
+    maskSmall: highBitsMask(bits + 1),
+    maskLarge: highBitsMask(bits - 1)
+  };
+}
+
+function findCut(bytes, length, { minBytes, avgBytes, maxBytes, maskSmall, maskLarge }) {
+  if (length <= minBytes) return length;
+
+  const limit = Math.min(length, maxBytes);
+  const normal = Math.min(limit, avgBytes);
+  let hash = 0;
+  let index = minBytes;
+  for (; index < normal; index += 1) {
+    hash = ((hash << 1) + GEAR[bytes[index]]) >>> 0;
+    if (!(hash & maskSmall)) return index + 1;
+  }
+  for (; index < limit; index += 1) {
+    hash = ((hash << 1) + GEAR[bytes[index]]) >>> 0;
+    if (!(hash & maskLarge)) return index + 1;
+  }
+  return limit;
+}
+
+// Yields `{ index, offset, bytes }` for each content-defined block of the blob.
+export async function* splitBlob(blob, avgBytes) {
+  const params = chunkingParams(avgBytes);
+  const reader = blob.stream().getReader();
+  let buffer = new Uint8Array(params.maxBytes * 2);
+  let buffered = 0;
+  let index = 0;
+  let offset = 0;
+  let done = false;
+
+  try {
+    while (!done || buffered) {
+      while (!done && buffered < params.maxBytes) {
+        const result = await reader.read();
+        if (result.done) {
+          done = true;
+          break;
+        }
+        if (buffered + result.value.length > buffer.length) {
+          const grown = new Uint8Array(buffered + result.value.length);
+          grown.set(buffer.subarray(0, buffered));
+          buffer = grown;
+        }
+        buffer.set(result.value, buffered);
+        buffered += result.value.length;
+      }
+      if (!buffered) break;
+
+      // Without a full window of lookahead only the end of the file may cut short.
+      const cut = findCut(buffer, buffered, params);
+      const bytes = buffer.slice(0, cut);
+      buffer.copyWithin(0, cut, buffered);
+      buffered -= cut;
+      yield { index, offset, bytes };
+      index += 1;
+      offset += cut;
+    }
+  } finally {
+    reader.releaseLock();
+  }
+
+  // An empty file is still one (empty) block.
+  if (index === 0) {
+    yield { index: 0, offset: 0, bytes: new Uint8Array(0) };
+  }
+}
+
+// Byte offset of every block boundary; block `i` spans `[offsets[i], offsets[i + 1])`.
+export function blockOffsets(blocks) {
+  const offsets = new Array(blocks.length + 1);
+  offsets[0] = 0;
+  blocks.forEach(([, size], index) => {
+    offsets[index + 1] = offsets[index] + size;
+  });
+  return offsets;
+}
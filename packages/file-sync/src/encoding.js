@@ -0,0 +1,30 @@
+// Base64 and hex for bytes, shared by the wire format, signatures, room and storage
+// encryption and hashing.
+
+// Takes a Uint8Array or an ArrayBuffer. Large inputs are converted a slice at a time, so
+// they don't overflow String.fromCharCode's argument list.
+export function toBase64(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const chunk = 0x8000;
+  let binary = '';
+
+  for (let i = 0; i < bytes.length; i += chunk) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunk));
+  }
+
+  return btoa(binary);
+}
+
+export function fromBase64(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+
+  return bytes;
+}
+
+export function toHex(bytes) {
+  return [...bytes].map((value) => value.toString(16).padStart(2, '0')).join('');
+}
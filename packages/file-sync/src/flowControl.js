@@ -0,0 +1,193 @@
+// Sender-side flow control for chunk transfers. `SendWindow` bounds the chunks in flight
+// per transfer: the window grows while receivers acknowledge (slow start, then additive
+// increase), halves on congestion, and never exceeds the credit receivers advertise. Acks
+// double as RTT samples, which set the timeout and spread each window over a round trip.
+// Acks also carry the receiver's bitmap of stored blocks, and a block that every receiver
+// already holds is skipped instead of sent.
+// `SendPacer` is shared by all transfers and backs off when the server answers `rate_limited`.
+
+const MIN_WINDOW_CHUNKS = 2;
+const INITIAL_RTO_MS = 1_000;
+const MAX_RTO_MS = 30_000;
+const RATE_LIMIT_PAUSE_MS = 1_000;
+const MIN_BACKOFF_INTERVAL_MS = 10;
+const MAX_SEND_INTERVAL_MS = 2_000;
+const INTERVAL_DECAY = 0.8;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export class SendWindow {
+  constructor({ initialWindow = 32, maxWindow = 256, minRtoMs = 250, sentChunks = 0 } = {}) {
+    this.cwnd = initialWindow;
+    this.ssthresh = maxWindow;
+    this.maxWindow = maxWindow;
+    this.minRtoMs = minRtoMs;
+    this.rto = Math.max(minRtoMs, INITIAL_RTO_MS);
+    this.srtt = null;
+    this.rttvar = null;
+    // Chunks count from the start of the file, so a retransmit starts at what the receiver already holds.
+    this.sent = sentChunks;
+    this.baseline = sentChunks;
+    this.receivers = new Map();
+    this.sentAt = new Map();
+    this.waiters = new Set();
+    this.closed = false;
+  }
+
+  get acked() {
+    if (!this.receivers.size) return this.baseline;
+    const slowest = Math.min(...[...this.receivers.values()].map((receiver) => receiver.received));
+    return Math.max(this.baseline, slowest);
+  }
+
+  get size() {
+    const credit = Math.min(Infinity, ...[...this.receivers.values()].map((receiver) => receiver.credit));
+    return Math.max(1, Math.min(Math.floor(this.cwnd), credit));
+  }
+
+  get pacingMs() {
+    return this.srtt === null ? 0 : this.srtt / this.size;
+  }
+
+  onSent() {
+    this.sent += 1;
+    this.sentAt.set(this.sent, Date.now());
+  }
+
+  onSkipped() {
+    this.sent += 1;
+  }
+
+  onAck(peerId, receivedChunks, credit, held = null) {
+    const ackedBefore = this.acked;
+    const previous = this.receivers.get(peerId);
+    const received = Math.max(previous?.received || 0, receivedChunks);
+    this.receivers.set(peerId, {
+      received,
+      credit: Number.isFinite(credit) && credit > 0 ? credit : Infinity,
+      held: held || previous?.held || null
+    });
+
+    const sentAt = this.sentAt.get(receivedChunks);
+    if (sentAt && received > (previous?.received ?? -1)) {
+      this.#sampleRtt(Date.now() - sentAt);
+    }
+
+    const newlyAcked = this.acked - ackedBefore;
+    if (newlyAcked > 0) {
+      this.cwnd += this.cwnd < this.ssthresh ? newlyAcked : newlyAcked / this.cwnd;
+      this.cwnd = Math.min(this.cwnd, this.maxWindow);
+      for (const count of this.sentAt.keys()) {
+        if (count <= this.acked) this.sentAt.delete(count);
+      }
+    }
+
+    this.#wake();
+  }
+
+  onDecline(peerId) {
+    this.receivers.delete(peerId);
+    this.#wake();
+  }
+
+  onCongestion() {
+    this.ssthresh = Math.max(MIN_WINDOW_CHUNKS, Math.floor(this.cwnd / 2));
+    this.cwnd = this.ssthresh;
+    // Acks for chunks sent before the stall would overstate the round trip.
+    this.sentAt.clear();
+  }
+
+  isHeldByAll(index) {
+    if (!this.receivers.size) return false;
+    for (const receiver of this.receivers.values()) {
+      if (!receiver.held?.[index]) return false;
+    }
+    return true;
+  }
+
+  // Gives receivers one timeout to report the blocks they hold before anything is sent.
+  async waitForReceivers() {
+    if (!this.closed && !this.receivers.size) await this.#waitForAck(this.rto);
+  }
+
+  retryDelay(attempt) {
+    return Math.min(MAX_RTO_MS, this.rto * 2 ** Math.max(0, attempt - 1));
+  }
+
+  async waitForSlot() {
+    while (!this.closed && this.sent - this.acked >= this.size) {
+      const progressed = await this.#waitForAck(this.rto);
+      if (progressed) continue;
+
+      // Nothing was acknowledged in time: assume the window drained and shrink it.
+      // Receivers rejoin with their next ack.
+      if (this.receivers.size) this.onCongestion();
+      this.receivers.clear();
+      this.sentAt.clear();
+      this.baseline = this.sent;
+    }
+  }
+
+  close() {
+    this.closed = true;
+    this.#wake();
+  }
+
+  #sampleRtt(rtt) {
+    if (this.srtt === null) {
+      this.srtt = rtt;
+      this.rttvar = rtt / 2;
+    } else {
+      this.rttvar = 0.75 * this.rttvar + 0.25 * Math.abs(this.srtt - rtt);
+      this.srtt = 0.875 * this.srtt + 0.125 * rtt;
+    }
+    this.rto = Math.min(MAX_RTO_MS, Math.max(this.minRtoMs, this.srtt + 4 * this.rttvar));
+  }
+
+  #waitForAck(timeoutMs) {
+    return new Promise((resolve) => {
+      const waiter = (progressed) => {
+        clearTimeout(timerId);
+        this.waiters.delete(waiter);
+        resolve(progressed);
+      };
+      const timerId = setTimeout(() => waiter(false), timeoutMs);
+      this.waiters.add(waiter);
+    });
+  }
+
+  #wake() {
+    [...this.waiters].forEach((waiter) => waiter(true));
+  }
+}
+
+export class SendPacer {
+  constructor() {
+    this.intervalMs = 0;
+    this.pausedUntil = 0;
+    this.lastSendAt = 0;
+  }
+
+  onRateLimited(retryAfterMs = null) {
+    // Frames sent before the pause are rejected too; only the first rejection slows the rate.
+    if (Date.now() >= this.pausedUntil) {
+      this.intervalMs = Math.min(MAX_SEND_INTERVAL_MS, Math.max(MIN_BACKOFF_INTERVAL_MS, this.intervalMs * 2));
+    }
+    const pauseMs = Number(retryAfterMs) > 0 ? Number(retryAfterMs) : RATE_LIMIT_PAUSE_MS;
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + pauseMs);
+  }
+
+  onProgress() {
+    this.intervalMs *= INTERVAL_DECAY;
+    if (this.intervalMs < 1) this.intervalMs = 0;
+  }
+
+  async wait(minGapMs = 0) {
+    const readyAt = Math.max(this.pausedUntil, this.lastSendAt + Math.max(this.intervalMs, minGapMs));
+    const delay = readyAt - Date.now();
+    if (delay >= 1) await sleep(delay);
+    this.lastSendAt = Date.now();
+  }
+}
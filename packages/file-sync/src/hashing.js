@@ -0,0 +1,145 @@
+// Incremental SHA-256, so large files are hashed without ever holding the whole file
+// in memory. WebCrypto has no streaming digest.
+
+import { toHex } from './encoding.js';
+
+const K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+// Below this size a single native digest is faster and the buffer is small enough to hold.
+const NATIVE_DIGEST_MAX_BYTES = 16 * 1024 * 1024;
+
+function rotr(value, bits) {
+  return (value >>> bits) | (value << (32 - bits));
+}
+
+export function createSha256() {
+  const state = new Uint32Array([
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+  ]);
+  const words = new Uint32Array(64);
+  const block = new Uint8Array(64);
+  let blockLength = 0;
+  let totalBytes = 0;
+
+  function compress(bytes, offset) {
+    for (let i = 0; i < 16; i += 1) {
+      const at = offset + i * 4;
+      words[i] = (bytes[at] << 24) | (bytes[at + 1] << 16) | (bytes[at + 2] << 8) | bytes[at + 3];
+    }
+
+    for (let i = 16; i < 64; i += 1) {
+      const w15 = words[i - 15];
+      const w2 = words[i - 2];
+      const s0 = rotr(w15, 7) ^ rotr(w15, 18) ^ (w15 >>> 3);
+      const s1 = rotr(w2, 17) ^ rotr(w2, 19) ^ (w2 >>> 10);
+      words[i] = (words[i - 16] + s0 + words[i - 7] + s1) | 0;
+    }
+
+    let [a, b, c, d, e, f, g, h] = state;
+    for (let i = 0; i < 64; i += 1) {
+      const s1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+      const ch = (e & f) ^ (~e & g);
+      const t1 = (h + s1 + ch + K[i] + words[i]) | 0;
+      const s0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+      const maj = (a & b) ^ (a & c) ^ (b & c);
+      const t2 = (s0 + maj) | 0;
+
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+
+    state[0] += a;
+    state[1] += b;
+    state[2] += c;
+    state[3] += d;
+    state[4] += e;
+    state[5] += f;
+    state[6] += g;
+    state[7] += h;
+  }
+
+  return {
+    update(data) {
+      const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+      let offset = 0;
+      totalBytes += bytes.length;
+
+      if (blockLength) {
+        const take = Math.min(64 - blockLength, bytes.length);
+        block.set(bytes.subarray(0, take), blockLength);
+        blockLength += take;
+        offset = take;
+        if (blockLength < 64) return this;
+        compress(block, 0);
+        blockLength = 0;
+      }
+
+      for (; offset + 64 <= bytes.length; offset += 64) {
+        compress(bytes, offset);
+      }
+
+      block.set(bytes.subarray(offset), 0);
+      blockLength = bytes.length - offset;
+      return this;
+    },
+
+    digestHex() {
+      const padLength = blockLength < 56 ? 64 : 128;
+      const tail = new Uint8Array(padLength);
+      tail.set(block.subarray(0, blockLength));
+      tail[blockLength] = 0x80;
+
+      const view = new DataView(tail.buffer);
+      view.setUint32(padLength - 8, Math.floor(totalBytes / 0x20000000));
+      view.setUint32(padLength - 4, (totalBytes * 8) >>> 0);
+      for (let offset = 0; offset < padLength; offset += 64) {
+        compress(tail, offset);
+      }
+
+      const digest = new Uint8Array(32);
+      const digestView = new DataView(digest.buffer);
+      state.forEach((word, index) => digestView.setUint32(index * 4, word));
+      return toHex(digest);
+    }
+  };
+}
+
+export async function hashBytes(bytes) {
+  return toHex(new Uint8Array(await crypto.subtle.digest('SHA-256', bytes)));
+}
+
+export async function hashBlob(blob) {
+  if (blob.size <= NATIVE_DIGEST_MAX_BYTES) {
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return toHex(new Uint8Array(digest));
+  }
+
+  const hash = createSha256();
+  const reader = blob.stream().getReader();
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      hash.update(value);
+    }
+  } finally {
+    reader.releaseLock();
+  }
+
+  return hash.digestHex();
+}
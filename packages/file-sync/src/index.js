@@ -1,11 +1,54 @@
 import { consumeDragPayload, registerDragPayload } from '../../shared/src/index.js';
+import { decodeChunkBitmap, encodeChunkBitmap, missingRanges, normalizeRanges, overlapsRanges } from './chunkBitmap.js';
+import { CHUNK_FLAG_LAST } from './chunkFrame.js';
+import { blockOffsets } from './contentChunking.js';
+import { fromBase64, toBase64 } from './encoding.js';
+import { SendPacer, SendWindow } from './flowControl.js';
+import { hashBlob } from './hashing.js';
+import { PeerIdentity, keyFingerprint, verifySignature } from './peerIdentity.js';
+import { deriveRoomKey, messageAad, openBytes, openJson, sealBytes, sealJson } from './roomCrypto.js';
 import { createFileStorage } from './storage.js';
-import { createPeerTransport } from './webpeerAdapter.js';
+import { SwarmScheduler } from './swarm.js';
+import { createPeerTransport, moderateRoom, redeemInvite } from './webpeerAdapter.js';
+import {
+  CONFLICT_STRATEGIES,
+  bumpVersion,
+  compareVersions,
+  compareWriters,
+  conflictCopyName,
+  conflictIdOf,
+  loadReplicaId,
+  mergeVersions
+} from './versioning.js';
 
 const DRAG_MIME = 'application/x-browser-sync-drag-id';
 const DEFAULT_CHUNK_BYTES = 64 * 1024;
 const DEFAULT_TRANSFER_RETRY_LIMIT = 3;
 const DEFAULT_RETRY_BASE_DELAY_MS = 250;
+const DEFAULT_RECONNECT_BASE_DELAY_MS = 500;
+const DEFAULT_RECONNECT_MAX_DELAY_MS = 30_000;
+const DEFAULT_TOMBSTONE_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+const PARTIAL_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+const ACK_EVERY_CHUNKS = 16;
+const RECEIVE_WINDOW_CHUNKS = 128;
+const SOCKET_HIGH_WATER_BYTES = 1024 * 1024;
+const SOCKET_DRAIN_POLL_MS = 20;
+const BLOCK_LIST_REQUEST_TIMEOUT_MS = 10_000;
+const DECRYPT_FAILURE_REPORT_MS = 10_000;
+const UNTRUSTED_PEER_REPORT_MS = 10_000;
+// Messages that offer, send or delete files. The server only relays them from writers, and
+// peers drop them from read-only peers too, since WebRTC data channels bypass the server.
+const WRITER_MESSAGE_TYPES = new Set([
+  'file-transfer-start',
+  'file-chunk',
+  'file-transfer-complete',
+  'file-delete',
+  'file-have',
+  'file-blocks',
+  'file-upsert'
+]);
+// Requests only a writer can answer; a read-only peer ignores them.
+const SERVE_REQUEST_TYPES = new Set(['file-transfer-retry-request', 'file-blocks-request', 'file-chunk-request']);
 
 function callbacksTemplate() {
   return {
@@ -13,6 +56,7 @@ function callbacksTemplate() {
     onError: null,
     onStateChange: null,
     onFilesChange: null,
+    onPeersChange: null,
     onSync: null
   };
 }
@@ -57,60 +101,31 @@ function readableEta(etaSec) {
   return `${minutes}m ${seconds}s`;
 }
 
-function createTransferId(fileId) {
+// Transfer ids travel in the clear in chunk frames, so they don't embed the file id.
+function createTransferId() {
   if (crypto?.randomUUID) {
-    return `${fileId}-${crypto.randomUUID()}`;
+    return crypto.randomUUID();
   }
 
-  return `${fileId}-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+  return `${Date.now()}-${Math.random().toString(16).slice(2)}`;
 }
 
-function toBase64(arrayBuffer) {
-  let binary = '';
-  const bytes = new Uint8Array(arrayBuffer);
-  const chunk = 0x8000;
-
-  for (let i = 0; i < bytes.length; i += chunk) {
-    binary += String.fromCharCode(...bytes.subarray(i, i + chunk));
-  }
-
-  return btoa(binary);
-}
-
-function fromBase64(base64) {
-  const binary = atob(base64);
-  const bytes = new Uint8Array(binary.length);
-  for (let i = 0; i < binary.length; i += 1) {
-    bytes[i] = binary.charCodeAt(i);
-  }
-
-  return bytes.buffer;
+// For text from other peers that ends up in list markup.
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
 }
 
-function concatArrayBuffers(chunks) {
-  const totalBytes = chunks.reduce((sum, chunk) => sum + chunk.byteLength, 0);
-  const merged = new Uint8Array(totalBytes);
-  let offset = 0;
-
-  for (const chunk of chunks) {
-    merged.set(new Uint8Array(chunk), offset);
-    offset += chunk.byteLength;
-  }
-
-  return merged.buffer;
+function sendWindowKey(transferId, targetPeerId) {
+  return `${transferId}:${targetPeerId || '*'}`;
 }
 
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
-async function hashFile(file) {
-  const buffer = await file.arrayBuffer();
-  const digest = await crypto.subtle.digest('SHA-256', buffer);
-  return {
-    checksum: [...new Uint8Array(digest)].map((value) => value.toString(16).padStart(2, '0')).join(''),
-    dataBuffer: buffer
-  };
+function backoffDelay(attempt, baseMs, maxMs) {
+  const ceiling = Math.min(maxMs, baseMs * 2 ** Math.max(0, attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
 }
 
 export class FileSyncPanel extends EventTarget {
@@ -127,23 +142,79 @@ export class FileSyncPanel extends EventTarget {
     this.signalingUrl = options.signalingUrl || 'wss://signal.example.com/ws';
     this.bootstrapUrl = options.bootstrapUrl || 'https://bootstrap.example.com';
     this.token = options.token || null;
+    // `{ passphrase }` or `{ secret }`; without it room traffic is not end-to-end encrypted.
+    this.encryption = options.encryption || null;
+    this.roomKey = null;
+    // `{ passphrase }` keeps stored files encrypted at rest; without a passphrase the panel
+    // starts locked until unlockStorage().
+    this.storageEncrypted = Boolean(options.storageEncryption);
+    this.storagePassphrase = options.storageEncryption?.passphrase || null;
+    this.displayName = options.displayName || null;
+    // A PeerIdentity to sign with; by default the key pair stored in IndexedDB.
+    this.identityReady = options.identity
+      ? Promise.resolve(options.identity)
+      : PeerIdentity.load().catch(() => PeerIdentity.generate());
     this.turnServers = options.turnServers || [];
 
     this.createPeer = options.createPeer;
     this.webPeerClient = options.webPeerClient;
+    this.transportType = options.transport || 'auto';
+    this.heartbeatIntervalMs = options.heartbeatIntervalMs;
+    this.rtcPeerConnection = options.rtcPeerConnection;
+    this.autoReconnect = options.autoReconnect !== false;
+    this.reconnectBaseDelayMs = Math.max(50, Number(options.reconnectBaseDelayMs || DEFAULT_RECONNECT_BASE_DELAY_MS));
+    this.reconnectMaxDelayMs = Math.max(
+      this.reconnectBaseDelayMs,
+      Number(options.reconnectMaxDelayMs || DEFAULT_RECONNECT_MAX_DELAY_MS)
+    );
+    this.maxReconnectAttempts = Number(options.maxReconnectAttempts ?? Infinity);
+    this.syncOnConnect = options.syncOnConnect !== false;
+    this.tombstoneRetentionMs = Number(options.tombstoneRetentionMs ?? DEFAULT_TOMBSTONE_RETENTION_MS);
+    this.replicaId = options.replicaId || loadReplicaId();
+    this.conflictStrategy = options.conflictStrategy || 'last-writer-wins';
+    if (typeof this.conflictStrategy !== 'function' && !CONFLICT_STRATEGIES.includes(this.conflictStrategy)) {
+      throw new Error(`Unknown conflict strategy: ${this.conflictStrategy}`);
+    }
     this.chunkBytes = Math.max(8 * 1024, Number(options.chunkBytes || DEFAULT_CHUNK_BYTES));
     this.transferRetryLimit = Math.max(1, Number(options.transferRetryLimit || DEFAULT_TRANSFER_RETRY_LIMIT));
     this.retryBaseDelayMs = Math.max(100, Number(options.retryBaseDelayMs || DEFAULT_RETRY_BASE_DELAY_MS));
 
     this.storage = null;
     this.storageEngine = null;
+    // `namespace::room` of storage opened by _init() or unlockStorage() for the connect()
+    // that follows, which then doesn't open it a second time.
+    this.storageOpenedFor = null;
     this.transport = null;
     this.unsubscribeMessage = null;
+    this.unsubscribeTransportEvents = [];
+    this.peerId = null;
+    this.reconnecting = false;
+    this.reconnectAttempt = 0;
+    this.reconnectTimer = null;
+    this.transportWaiters = [];
+    this.destroyed = false;
+    // Set by the server's `kicked` frame; the panel then stays disconnected until connect().
+    this.kicked = null;
+    this.roomLocked = false;
 
     this.files = new Map();
+    this.tombstones = new Map();
+    this.peers = new Map();
     this.transfers = new Map();
     this.incomingTransfers = new Map();
     this.incomingTransferTimeouts = new Map();
+    this.fileHolders = new Map();
+    this.pendingBlockLists = new Map();
+    this.serveQueue = Promise.resolve();
+    this.integrateQueue = Promise.resolve();
+    this.sendWindows = new Map();
+    this.sendPacer = new SendPacer();
+    // Until then the server's control budget is spent; control messages wait for it.
+    this.controlPausedUntil = 0;
+    this.decryptFailures = new Map();
+    // `namespace/room` -> peerId -> { publicKey, fingerprint }, pinned on first use.
+    this.pinnedKeys = new Map();
+    this.untrustedReports = new Map();
 
     this._renderShell();
     this._bindEvents();
@@ -156,20 +227,41 @@ export class FileSyncPanel extends EventTarget {
     return () => this.removeEventListener(eventName, listener);
   }
 
-  async connect({ namespace, room, token } = {}) {
+  async connect({ namespace, room, token, encryption, inviteCode } = {}) {
+    if (inviteCode) {
+      // The invite names the room, so it wins over any namespace/room passed alongside it.
+      ({ namespace, room, token } = await redeemInvite({ signalingUrl: this.signalingUrl, code: inviteCode }));
+    }
     if (namespace) this.namespace = namespace;
     if (room) this.room = room;
     if (token) this.token = token;
+    if (encryption !== undefined) this.encryption = encryption;
 
     this.elements.namespace.value = this.namespace;
     this.elements.room.value = this.room;
 
-    await this._setupStorage();
+    this._cancelReconnect();
+    this.kicked = null;
+    this.roomLocked = false;
+    // The key is salted with the room, so it is derived again for every room joined.
+    this.roomKey = this.encryption
+      ? await deriveRoomKey({ ...this.encryption, namespace: this.namespace, room: this.room })
+      : null;
+    this.decryptFailures.clear();
+    if (!this.storage || this.storageOpenedFor !== `${this.namespace}::${this.room}`) {
+      await this._setupStorage();
+    }
+    this.storageOpenedFor = null;
+    await this._openTransport();
+  }
 
+  async _openTransport() {
     if (this.transport) {
-      if (this.unsubscribeMessage) this.unsubscribeMessage();
+      this._unbindTransport();
       await this.transport.disconnect();
+      this.transport = null;
     }
+    this._resetPeers();
 
     const iceServers = [
       { urls: 'stun:stun.l.google.com:19302' },
@@ -182,65 +274,444 @@ export class FileSyncPanel extends EventTarget {
       signalingUrl: this.signalingUrl,
       bootstrapUrl: this.bootstrapUrl,
       token: this.token,
+      peerId: this.peerId,
+      displayName: this.displayName,
       createPeer: this.createPeer,
       webPeerClient: this.webPeerClient,
+      transport: this.transportType,
+      heartbeatIntervalMs: this.heartbeatIntervalMs,
+      rtcPeerConnection: this.rtcPeerConnection,
       iceServers
     });
 
-    this.unsubscribeMessage = this.transport.onMessage((message) => {
-      this._handleIncomingMessage(message).catch((err) => this._emitError(err));
-    });
+    this.peerId = this.transport.peerId;
+    this._bindTransport(this.transport);
 
-    this._setStatus(`Connected: ${this.transport.type} (${this.namespace}/${this.room})`);
+    this._setStatus(
+      `Connected: ${this.transport.type} (${this.namespace}/${this.room})${this.roomKey ? ', end-to-end encrypted' : ''}`
+    );
     this._emit('statechange', {
+      state: 'connected',
       connected: true,
       transport: this.transport.type,
       peerId: this.transport.peerId,
       namespace: this.namespace,
-      room: this.room
+      room: this.room,
+      encrypted: Boolean(this.roomKey)
     });
+
+    if (this.syncOnConnect) {
+      this._sendManifest().catch((err) => this._emitError(err));
+    }
   }
 
   async disconnect() {
-    if (!this.transport) return;
-    if (this.unsubscribeMessage) this.unsubscribeMessage();
+    const wasReconnecting = this.reconnecting;
+    this._cancelReconnect();
+    if (!this.transport) {
+      if (wasReconnecting) this._failPausedTransfers('Disconnected while reconnecting');
+      return;
+    }
+
+    this._unbindTransport();
     await this.transport.disconnect();
     this.transport = null;
+    this._resetPeers();
     this._setStatus('Disconnected');
 
     this._emit('statechange', {
+      state: 'disconnected',
       connected: false,
       namespace: this.namespace,
       room: this.room
     });
   }
 
-  async addFile(file, { broadcast = true } = {}) {
-    const { checksum, dataBuffer } = await hashFile(file);
+  _bindTransport(transport) {
+    this.unsubscribeMessage = transport.onMessage((message) => {
+      this._handleIncomingMessage(message).catch((err) => this._emitError(err));
+    });
+
+    if (typeof transport.onError === 'function') {
+      this.unsubscribeTransportEvents.push(transport.onError((err) => this._handleTransportError(err)));
+    }
+
+    if (typeof transport.onModeration === 'function') {
+      this.unsubscribeTransportEvents.push(
+        transport.onModeration((message) => this._handleModeration(message).catch((err) => this._emitError(err)))
+      );
+    }
+
+    if (typeof transport.onClose === 'function') {
+      this.unsubscribeTransportEvents.push(
+        transport.onClose((details) => this._handleTransportClose(transport, details))
+      );
+    }
+  }
+
+  _unbindTransport() {
+    if (this.unsubscribeMessage) this.unsubscribeMessage();
+    this.unsubscribeMessage = null;
+    this.unsubscribeTransportEvents.forEach((unsubscribe) => unsubscribe());
+    this.unsubscribeTransportEvents = [];
+  }
+
+  _handleTransportError(err) {
+    if (err.code === 'rate_limited') {
+      this._handleRateLimited(err);
+      return;
+    }
+
+    if (err.code !== 'unknown_peer') {
+      this._emitError(err);
+      return;
+    }
+
+    this._failDownloadsFromPeer(err.details?.targetPeerId, 'unknown_peer');
+  }
+
+  _handleRateLimited(err) {
+    const retryAfterMs = err.details?.retryAfterMs ?? null;
+    const budget = err.details?.budget ?? null;
+    if (budget === 'control') {
+      // Only control messages were refused, so chunks keep their pace.
+      this.controlPausedUntil = Math.max(this.controlPausedUntil, Date.now() + (Number(retryAfterMs) || 1000));
+    } else {
+      // The server dropped the message. Lost chunks are fetched again through `file-chunk-request`.
+      this.sendPacer.onRateLimited(retryAfterMs);
+      this.sendWindows.forEach((sendWindow) => sendWindow.onCongestion());
+    }
+    this._emit('sync', {
+      action: 'rate-limited',
+      retryAfterMs,
+      budget,
+      sendIntervalMs: Math.round(this.sendPacer.intervalMs)
+    });
+  }
+
+  _failDownloadsFromPeer(peerId, reason) {
+    this.fileHolders.forEach((holders) => holders.delete(peerId));
+    this._failoverSwarmDownloads(peerId);
+
+    for (const transfer of this.transfers.values()) {
+      if (transfer.direction !== 'download' || transfer.sourcePeerId !== peerId) continue;
+      if (transfer.status === 'done' || transfer.status === 'failed') continue;
+      if (this.incomingTransfers.get(transfer.transferId)?.swarm) continue;
+
+      this._clearIncomingTransferTimeout(transfer.transferId);
+      this._markTransferFailed(transfer.transferId, 'Source peer is no longer in the room.', { canRetry: true });
+      this._emit('sync', {
+        action: 'transfer-failed',
+        transferId: transfer.transferId,
+        id: transfer.fileId,
+        name: transfer.name,
+        reason,
+        direction: 'download',
+        sourcePeerId: peerId
+      });
+    }
+  }
+
+  getPeers() {
+    return [...this.peers.values()].sort((a, b) => String(a.joinedAt).localeCompare(String(b.joinedAt)));
+  }
+
+  // This panel's signing key; peers list its fingerprint once they have pinned it.
+  async getIdentity() {
+    const identity = await this.identityReady;
+    return { publicKey: identity.publicKey, fingerprint: await identity.fingerprint() };
+  }
+
+  // The role the server granted for this room; transports without access control report none.
+  _readOnly() {
+    return this.transport?.role === 'read';
+  }
+
+  _assertWritable() {
+    if (this._readOnly()) {
+      throw Object.assign(new Error('This room is read-only for this peer.'), { code: 'read_only' });
+    }
+  }
+
+  _normalizePeer(peer) {
+    const metadata = peer.metadata || {};
+    return {
+      peerId: peer.peerId,
+      role: peer.role || null,
+      fingerprint: this._roomPins().get(peer.peerId)?.fingerprint || null,
+      displayName: metadata.displayName || peer.peerId.slice(0, 8),
+      metadata,
+      joinedAt: peer.joinedAt || null
+    };
+  }
+
+  _setPeers(peers) {
+    const ownPeerId = this.transport?.peerId;
+    this.peers = new Map(
+      peers
+        .filter((peer) => peer?.peerId && peer.peerId !== ownPeerId)
+        .map((peer) => [peer.peerId, this._normalizePeer(peer)])
+    );
+    this.fileHolders.forEach((holders) => {
+      [...holders].filter((peerId) => !this.peers.has(peerId)).forEach((peerId) => holders.delete(peerId));
+    });
+    this._emitPeersChange({ action: 'roster' });
+  }
+
+  _upsertPeer(peer) {
+    if (!peer?.peerId || peer.peerId === this.transport?.peerId) return;
+
+    const next = this._normalizePeer(peer);
+    this.peers.set(next.peerId, next);
+    this._emitPeersChange({ action: 'joined', peer: next });
+  }
+
+  _removePeer(peerId) {
+    const peer = this.peers.get(peerId);
+    if (!peer) return;
+
+    this.peers.delete(peerId);
+    this.fileHolders.forEach((holders) => holders.delete(peerId));
+    this._emitPeersChange({ action: 'left', peer });
+    this._failDownloadsFromPeer(peerId, 'peer_left');
+  }
+
+  _resetPeers() {
+    if (!this.peers.size) return;
+    this.peers.clear();
+    this._emitPeersChange({ action: 'reset' });
+  }
+
+  _emitPeersChange({ action, peer = null }) {
+    this._renderPeers();
+    this._emit('peerschange', {
+      action,
+      peer,
+      namespace: this.namespace,
+      room: this.room,
+      count: this.peers.size,
+      peers: this.getPeers()
+    });
+  }
+
+  _handleTransportClose(transport, details) {
+    if (this.transport !== transport) return;
+
+    this._unbindTransport();
+    this.transport = null;
+    this._resetPeers();
+
+    if (!this.autoReconnect || this.destroyed || this.kicked) {
+      this._setStatus(`Disconnected: ${details.closeCodeHint}`);
+      this._emit('statechange', {
+        state: 'disconnected',
+        connected: false,
+        namespace: this.namespace,
+        room: this.room,
+        reason: details
+      });
+      return;
+    }
+
+    this.reconnecting = true;
+    this._pauseActiveTransfers();
+    this._scheduleReconnect(details);
+  }
+
+  _scheduleReconnect(reason) {
+    if (this.reconnectAttempt >= this.maxReconnectAttempts) {
+      this._giveUpReconnect(reason);
+      return;
+    }
+
+    this.reconnectAttempt += 1;
+    const delayMs = backoffDelay(this.reconnectAttempt, this.reconnectBaseDelayMs, this.reconnectMaxDelayMs);
+
+    this._setStatus(`Reconnecting in ${Math.ceil(delayMs / 1000)}s (attempt ${this.reconnectAttempt})`);
+    this._emit('statechange', {
+      state: 'reconnecting',
+      connected: false,
+      namespace: this.namespace,
+      room: this.room,
+      attempt: this.reconnectAttempt,
+      delayMs,
+      reason
+    });
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this._reconnect().catch((err) => this._emitError(err));
+    }, delayMs);
+  }
+
+  async _reconnect() {
+    try {
+      await this._openTransport();
+    } catch (err) {
+      if (!this.reconnecting) return;
+      this._scheduleReconnect({ message: err.message, details: err.details || null });
+      return;
+    }
+
+    this.reconnecting = false;
+    this.reconnectAttempt = 0;
+    this._resolveTransportWaiters();
+    await this._resumePausedTransfers();
+  }
+
+  _giveUpReconnect(reason) {
+    this.reconnecting = false;
+    this.reconnectAttempt = 0;
+    this._failPausedTransfers('Reconnect failed');
+    this._setStatus('Disconnected');
+    this._emit('statechange', {
+      state: 'disconnected',
+      connected: false,
+      namespace: this.namespace,
+      room: this.room,
+      reason
+    });
+  }
+
+  _cancelReconnect() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+
+    this.reconnecting = false;
+    this.reconnectAttempt = 0;
+  }
+
+  _waitForTransport() {
+    if (this.transport) return Promise.resolve(this.transport);
+
+    return new Promise((resolve, reject) => {
+      this.transportWaiters.push({ resolve, reject });
+    });
+  }
+
+  _resolveTransportWaiters() {
+    const waiters = this.transportWaiters;
+    this.transportWaiters = [];
+    waiters.forEach(({ resolve }) => resolve(this.transport));
+  }
+
+  _rejectTransportWaiters(message) {
+    const waiters = this.transportWaiters;
+    this.transportWaiters = [];
+    waiters.forEach(({ reject }) => {
+      const err = new Error(message);
+      err.code = 'reconnect_failed';
+      reject(err);
+    });
+  }
+
+  _pauseActiveTransfers() {
+    for (const transfer of this.transfers.values()) {
+      if (transfer.status === 'done' || transfer.status === 'failed') continue;
+
+      this._upsertTransfer({
+        transferId: transfer.transferId,
+        status: 'paused',
+        errorMessage: 'Connection lost, waiting to reconnect'
+      });
+    }
+
+    for (const transferId of this.incomingTransfers.keys()) {
+      this._clearIncomingTransferTimeout(transferId);
+    }
+  }
+
+  async _resumePausedTransfers() {
+    for (const transfer of this.transfers.values()) {
+      if (transfer.status !== 'paused') continue;
+
+      this._upsertTransfer({
+        transferId: transfer.transferId,
+        status: transfer.direction === 'upload' ? 'sending' : 'receiving',
+        errorMessage: null
+      });
+    }
+
+    for (const incoming of this.incomingTransfers.values()) {
+      // Downloads restored from storage wait for a manifest to learn who holds the file now.
+      if (incoming.finalized || incoming.detached) continue;
+
+      if (incoming.receivedChunks === incoming.totalChunks) {
+        await this._finalizeIncomingTransfer(incoming);
+        continue;
+      }
+
+      await this._requestMissingChunks(incoming, { reason: 'resume' });
+    }
+  }
+
+  _failPausedTransfers(errorMessage) {
+    this._rejectTransportWaiters(errorMessage);
+
+    for (const transfer of this.transfers.values()) {
+      if (transfer.status !== 'paused') continue;
+
+      this._markTransferFailed(transfer.transferId, errorMessage, { canRetry: true });
+      this._emit('sync', {
+        action: 'transfer-failed',
+        transferId: transfer.transferId,
+        id: transfer.fileId,
+        name: transfer.name,
+        reason: 'disconnected',
+        direction: transfer.direction,
+        sourcePeerId: transfer.sourcePeerId
+      });
+    }
+  }
+
+  async addFile(file, { broadcast = true, path = file.name } = {}) {
+    if (broadcast) this._assertWritable();
+    const checksum = await hashBlob(file);
     const id = checksum;
     const updatedAt = Date.now();
+    const heads = this._headsForPath(path);
+    const version = bumpVersion(
+      mergeVersions(...heads.map((head) => head.version), this.files.get(id)?.version),
+      this.replicaId
+    );
 
     const metadata = await this.storage.putFile({
       id,
       name: file.name,
+      path,
       type: file.type || 'application/octet-stream',
       blob: file,
       updatedAt,
-      checksum
+      checksum,
+      version,
+      replicaId: this.replicaId
     });
 
     this.files.set(id, metadata);
+    // A local write supersedes every version of the path seen so far, unresolved conflicts included.
+    for (const head of heads) {
+      if (head.id === id) continue;
+      await this.storage.deleteFile(head.id);
+      this.files.delete(head.id);
+    }
+    await this._clearSupersededTombstone(id, updatedAt);
     this._renderFiles();
 
     if (broadcast && this.transport) {
       await this._broadcastFileInChunks({
         id,
         name: file.name,
+        path,
         mime: file.type || 'application/octet-stream',
         size: file.size,
         updatedAt,
         checksum,
-        dataBuffer
+        version,
+        replicaId: this.replicaId,
+        blob: file,
+        blocks: metadata.blocks
       });
     }
 
@@ -267,13 +738,21 @@ export class FileSyncPanel extends EventTarget {
   }
 
   async removeFile(id, { broadcast = true } = {}) {
+    if (broadcast) this._assertWritable();
     const metadata = this.files.get(id) || (await this.storage.getMetadata(id));
+    const tombstone = await this._recordTombstone({
+      id,
+      name: metadata?.name || null,
+      checksum: metadata?.checksum || id,
+      deletedAt: Date.now(),
+      deletedBy: this.peerId
+    });
     await this.storage.deleteFile(id);
     this.files.delete(id);
     this._renderFiles();
 
     if (broadcast && this.transport) {
-      await this._sendRoomMessage('file-delete', { id });
+      await this._sendRoomMessage('file-delete', tombstone);
     }
 
     this._emit('sync', {
@@ -289,7 +768,7 @@ export class FileSyncPanel extends EventTarget {
     if (!name) return 0;
 
     let removedCount = 0;
-    const matches = [...this.files.values()].filter((item) => item.name === name);
+    const matches = this._headsForPath(name);
 
     for (const match of matches) {
       await this.removeFile(match.id, { broadcast });
@@ -299,6 +778,72 @@ export class FileSyncPanel extends EventTarget {
     return removedCount;
   }
 
+  getConflicts() {
+    const byPath = new Map();
+    for (const file of this.files.values()) {
+      const path = file.path || file.name;
+      byPath.set(path, [...(byPath.get(path) || []), file]);
+    }
+
+    const conflicts = [];
+    for (const [path, heads] of byPath) {
+      if (heads.length < 2) continue;
+
+      // This replica's own copy (or the current last writer) is "local"; every other copy is "remote".
+      const [local, ...others] = heads.sort(
+        (a, b) => (b.replicaId === this.replicaId) - (a.replicaId === this.replicaId) || compareWriters(b, a)
+      );
+      others.forEach((remote) => {
+        conflicts.push({ conflictId: conflictIdOf(path, local.id, remote.id), path, local, remote });
+      });
+    }
+
+    return conflicts;
+  }
+
+  async resolveConflict(conflictId, choice) {
+    const conflict = this.getConflicts().find((entry) => entry.conflictId === conflictId);
+    if (!conflict) {
+      throw new Error(`Conflict not found: ${conflictId}`);
+    }
+
+    if (!['local', 'remote', 'keep-both'].includes(choice)) {
+      throw new Error(`Unknown conflict resolution: ${choice}`);
+    }
+
+    const { local, remote } = conflict;
+    const merged = bumpVersion(mergeVersions(local.version, remote.version), this.replicaId);
+    const rebroadcast = [];
+
+    if (choice === 'keep-both') {
+      const [winner, loser] = compareWriters(local, remote) >= 0 ? [local, remote] : [remote, local];
+      const copyName = conflictCopyName(loser.name, loser);
+      await this._updateFileMetadata(winner.id, { version: merged });
+      await this._updateFileMetadata(loser.id, {
+        name: copyName,
+        path: copyName,
+        version: bumpVersion(loser.version, this.replicaId)
+      });
+      rebroadcast.push(winner.id, loser.id);
+    } else {
+      const [winner, loser] = choice === 'local' ? [local, remote] : [remote, local];
+      await this._updateFileMetadata(winner.id, { version: merged });
+      await this.storage.deleteFile(loser.id);
+      this.files.delete(loser.id);
+      rebroadcast.push(winner.id);
+    }
+
+    this._renderFiles();
+    this._emitFilesChange();
+    this._emit('sync', { action: 'conflict-resolved', conflictId, path: conflict.path, resolution: choice });
+
+    if (this.transport) {
+      for (const fileId of rebroadcast) {
+        await this._rebroadcastStoredFile(fileId);
+      }
+    }
+  }
+
   async retryTransfer(transferId) {
     const transfer = this.transfers.get(transferId);
     if (!transfer) {
@@ -325,7 +870,6 @@ export class FileSyncPanel extends EventTarget {
 
     const updatedAt = metadata?.updatedAt || Date.now();
     const checksum = metadata?.checksum || transfer.fileId;
-    const dataBuffer = await file.arrayBuffer();
 
     const nextRetryCount = (transfer.retryCount || 0) + 1;
     this._upsertTransfer({
@@ -346,11 +890,15 @@ export class FileSyncPanel extends EventTarget {
     await this._broadcastFileInChunks({
       id: transfer.fileId,
       name: file.name,
+      path: metadata?.path || file.name,
       mime: file.type || metadata?.type || 'application/octet-stream',
       size: file.size,
       updatedAt,
       checksum,
-      dataBuffer,
+      version: metadata?.version || {},
+      replicaId: metadata?.replicaId || null,
+      blob: file,
+      blocks: metadata?.blocks,
       forcedTransferId: transferId,
       initialRetryCount: nextRetryCount
     });
@@ -367,8 +915,22 @@ export class FileSyncPanel extends EventTarget {
     }
 
     const nextRetryCount = (transfer.retryCount || 0) + 1;
+    const incoming = this.incomingTransfers.get(transferId);
+    if (incoming && !incoming.finalized) {
+      // Chunks that already arrived are kept; only the missing ranges are fetched again.
+      incoming.missingRounds = 0;
+      this._upsertTransfer({
+        transferId,
+        status: 'retrying',
+        retryCount: nextRetryCount,
+        errorMessage: 'Retry requested'
+      });
+      await this._requestMissingChunks(incoming, { reason: 'retry' });
+      return;
+    }
+
     this._clearIncomingTransferTimeout(transferId);
-    this.incomingTransfers.delete(transferId);
+    this._dropIncomingTransfer(transferId);
     this._upsertTransfer({
       transferId,
       fileId: transfer.fileId,
@@ -384,11 +946,15 @@ export class FileSyncPanel extends EventTarget {
       errorMessage: 'Retry requested'
     });
 
-    await this._sendRoomMessage('file-transfer-retry-request', {
-      fileId: transfer.fileId,
-      failedTransferId: transferId,
-      targetPeerId: transfer.sourcePeerId
-    });
+    await this._sendRoomMessage(
+      'file-transfer-retry-request',
+      {
+        fileId: transfer.fileId,
+        failedTransferId: transferId,
+        targetPeerId: transfer.sourcePeerId
+      },
+      { targetPeerId: transfer.sourcePeerId }
+    );
 
     this._emit('sync', {
       action: 'download-retry-requested',
@@ -400,7 +966,10 @@ export class FileSyncPanel extends EventTarget {
     });
   }
 
-  async _rebroadcastStoredFile(fileId, { retryOfTransferId = null } = {}) {
+  async _rebroadcastStoredFile(
+    fileId,
+    { retryOfTransferId = null, resumeTransferId = null, ranges = null, targetPeerId = null } = {}
+  ) {
     const metadata = this.files.get(fileId) || (await this.storage.getMetadata(fileId));
     const file = await this.storage.getFile(fileId);
     if (!metadata || !file) return;
@@ -408,42 +977,666 @@ export class FileSyncPanel extends EventTarget {
     await this._broadcastFileInChunks({
       id: metadata.id,
       name: metadata.name,
+      path: metadata.path || metadata.name,
       mime: metadata.type || file.type || 'application/octet-stream',
       size: metadata.size ?? file.size,
       updatedAt: metadata.updatedAt || Date.now(),
       checksum: metadata.checksum || metadata.id,
-      dataBuffer: await file.arrayBuffer(),
-      retryOfTransferId
+      version: metadata.version || {},
+      replicaId: metadata.replicaId || null,
+      blob: file,
+      blocks: metadata.blocks,
+      retryOfTransferId,
+      forcedTransferId: resumeTransferId,
+      ranges,
+      targetPeerId
     });
   }
 
-  async _sendRoomMessage(type, payload) {
-    if (!this.transport) return;
+  async _sendManifest({ targetPeerId = null } = {}) {
+    await this._pruneTombstones();
+    // A read-only peer can't serve files or deletes, so it only asks for the others' manifests.
+    const listed = this._readOnly() ? [] : await this.storage.listFiles();
+    const files = listed.map(({ id, checksum, updatedAt, name, path, type, size, version, replicaId }) => ({
+      id,
+      checksum,
+      updatedAt,
+      name,
+      path,
+      mime: type,
+      size,
+      version,
+      replicaId
+    }));
+    const tombstones = this._readOnly() ? [] : [...this.tombstones.values()];
+
+    await this._sendRoomMessage(
+      'sync-manifest',
+      { files, tombstones, reply: Boolean(targetPeerId) },
+      { targetPeerId }
+    );
+    this._emit('sync', {
+      action: 'manifest-sent',
+      count: files.length,
+      tombstones: tombstones.length,
+      targetPeerId
+    });
+  }
 
-    await this.transport.send({
-      type,
-      sourcePeerId: this.transport.peerId,
-      namespace: this.namespace,
-      room: this.room,
-      payload
+  async _recordTombstone({ id, name = null, checksum = null, deletedAt, deletedBy = null }) {
+    const current = this.tombstones.get(id);
+    if (current && current.deletedAt >= deletedAt) return current;
+
+    const tombstone = await this.storage.putTombstone({
+      id,
+      name,
+      checksum: checksum || id,
+      deletedAt,
+      deletedBy
     });
+    this.tombstones.set(id, tombstone);
+    return tombstone;
   }
 
-  _upsertTransfer({
-    transferId,
-    fileId,
-    name,
-    direction,
-    progress,
-    status,
-    size = undefined,
-    bytesTransferred = undefined,
-    retryCount = undefined,
-    maxRetries = undefined,
-    canRetry = undefined,
+  // Returns true when the tombstone removed a local copy that was not newer than the delete.
+  async _applyTombstone(tombstone) {
+    const deletedAt = Number(tombstone.deletedAt) || Date.now();
+    await this._recordTombstone({ ...tombstone, deletedAt });
+
+    const local = this.files.get(tombstone.id);
+    if (!local || Number(local.updatedAt || 0) > deletedAt) return false;
+
+    await this.storage.deleteFile(tombstone.id);
+    this.files.delete(tombstone.id);
+    this._renderFiles();
+    return true;
+  }
+
+  async _clearSupersededTombstone(id, updatedAt) {
+    const tombstone = this.tombstones.get(id);
+    if (!tombstone || Number(updatedAt) <= tombstone.deletedAt) return;
+
+    await this.storage.deleteTombstone(id);
+    this.tombstones.delete(id);
+  }
+
+  _isTombstoned(id, updatedAt) {
+    const tombstone = this.tombstones.get(id);
+    return Boolean(tombstone) && Number(updatedAt || 0) <= tombstone.deletedAt;
+  }
+
+  async _pruneTombstones() {
+    if (!Number.isFinite(this.tombstoneRetentionMs) || this.tombstoneRetentionMs <= 0) return;
+
+    const removed = await this.storage.pruneTombstones(Date.now() - this.tombstoneRetentionMs);
+    removed.forEach((id) => this.tombstones.delete(id));
+  }
+
+  _headsForPath(path) {
+    return [...this.files.values()].filter((file) => (file.path || file.name) === path);
+  }
+
+  _hasNewerVersion({ id, path, name, version }) {
+    return this._headsForPath(path || name).some(
+      (head) => head.id !== id && compareVersions(head.version, version) === 'after'
+    );
+  }
+
+  async _updateFileMetadata(id, patch) {
+    const metadata = await this.storage.updateMetadata(id, patch);
+    if (metadata) this.files.set(id, metadata);
+    return metadata;
+  }
+
+  _integrateRemoteFile(record, options) {
+    // Finished downloads may touch the same path heads, so they are applied one at a time.
+    const integration = this.integrateQueue.then(() => this._applyRemoteFile(record, options));
+    this.integrateQueue = integration.catch(() => {});
+    return integration;
+  }
+
+  async _applyRemoteFile(record, { sourcePeerId = null } = {}) {
+    let incoming = { ...record, version: record.version || {} };
+    let superseded = [];
+
+    for (const head of this._headsForPath(incoming.path)) {
+      if (head.id === incoming.id) {
+        incoming.version = mergeVersions(incoming.version, head.version);
+        continue;
+      }
+
+      const relation = compareVersions(head.version, incoming.version);
+      if (relation === 'before') {
+        superseded.push(head);
+        continue;
+      }
+
+      if (relation === 'after') {
+        this._emit('sync', { action: 'stale-version-ignored', id: incoming.id, path: incoming.path, sourcePeerId });
+        return null;
+      }
+
+      const { blob: _blob, ...remote } = incoming;
+      const conflictId = conflictIdOf(incoming.path, head.id, incoming.id);
+      const resolution = await this._chooseConflictResolution({ conflictId, path: incoming.path, local: head, remote });
+      this._emit('sync', {
+        action: 'conflict',
+        conflictId,
+        path: incoming.path,
+        localId: head.id,
+        remoteId: incoming.id,
+        strategy: typeof this.conflictStrategy === 'function' ? 'custom' : this.conflictStrategy,
+        resolution,
+        sourcePeerId
+      });
+
+      if (resolution === 'manual') continue;
+
+      const merged = mergeVersions(head.version, incoming.version);
+      if (resolution === 'local') {
+        await this._updateFileMetadata(head.id, { version: merged });
+        return null;
+      }
+
+      if (resolution === 'remote') {
+        incoming.version = merged;
+        superseded.push(head);
+        continue;
+      }
+
+      if (compareWriters(head, incoming) > 0) {
+        // The local copy keeps the path, so the incoming copy no longer competes with anything here.
+        await this._updateFileMetadata(head.id, { version: merged });
+        const copyName = conflictCopyName(incoming.name, incoming);
+        incoming = { ...incoming, name: copyName, path: copyName };
+        superseded = [];
+        break;
+      }
+
+      const copyName = conflictCopyName(head.name, head);
+      await this._updateFileMetadata(head.id, { name: copyName, path: copyName });
+      incoming.version = merged;
+    }
+
+    const metadata = await this.storage.putFile(incoming);
+    this.files.set(metadata.id, metadata);
+
+    for (const head of superseded) {
+      await this.storage.deleteFile(head.id);
+      this.files.delete(head.id);
+      this._emit('sync', { action: 'superseded', id: head.id, path: incoming.path, byId: incoming.id, sourcePeerId });
+    }
+
+    return metadata;
+  }
+
+  async _chooseConflictResolution(conflict) {
+    if (typeof this.conflictStrategy === 'function') {
+      try {
+        const choice = await this.conflictStrategy(conflict);
+        return ['local', 'remote', 'keep-both'].includes(choice) ? choice : 'manual';
+      } catch (err) {
+        this._emitError(err);
+        return 'manual';
+      }
+    }
+
+    if (this.conflictStrategy === 'keep-both' || this.conflictStrategy === 'manual') {
+      return this.conflictStrategy;
+    }
+
+    return compareWriters(conflict.local, conflict.remote) >= 0 ? 'local' : 'remote';
+  }
+
+  _wantsManifestEntry(entry) {
+    if (!entry?.id) return false;
+    if (this._isTombstoned(entry.id, entry.updatedAt)) return false;
+    if (this._hasNewerVersion(entry)) return false;
+
+    const local = this.files.get(entry.id);
+    if (local && !(Number(entry.updatedAt) > Number(local.updatedAt || 0))) return false;
+
+    const pending = this.pendingBlockLists.get(entry.id);
+    if (pending && Date.now() - pending.requestedAt < BLOCK_LIST_REQUEST_TIMEOUT_MS) return false;
+
+    return ![...this.incomingTransfers.values()].some(
+      (transfer) => transfer.fileId === entry.id && !transfer.finalized && !transfer.detached
+    );
+  }
+
+  async _handleManifest(message) {
+    const payload = message.payload || {};
+    const entries = Array.isArray(payload.files) ? payload.files : [];
+    const tombstones = Array.isArray(payload.tombstones) ? payload.tombstones : [];
+
+    let removedCount = 0;
+    for (const tombstone of tombstones) {
+      if (!tombstone?.id) continue;
+      if (await this._applyTombstone(tombstone)) {
+        removedCount += 1;
+        this._emit('sync', {
+          action: 'delete-remote',
+          id: tombstone.id,
+          name: tombstone.name || null,
+          sourcePeerId: message.sourcePeerId,
+          deletedBy: tombstone.deletedBy || null
+        });
+      }
+    }
+    if (removedCount) this._emitFilesChange();
+
+    // Answer a peer's opening manifest with ours so it can pull what it lacks too.
+    if (!payload.reply) {
+      await this._sendManifest({ targetPeerId: message.sourcePeerId });
+    }
+
+    entries.forEach((entry) => entry?.id && this._addFileHolder(entry.id, message.sourcePeerId));
+    const wanted = entries.filter((entry) => this._wantsManifestEntry(entry));
+    this._emit('sync', {
+      action: 'manifest-received',
+      sourcePeerId: message.sourcePeerId,
+      count: entries.length,
+      missing: wanted.length
+    });
+
+    for (const entry of wanted) {
+      const partial = [...this.incomingTransfers.values()].find(
+        (transfer) => transfer.fileId === entry.id && transfer.detached
+      );
+      if (partial) {
+        // Any holder can finish a restored download: the file id is its content hash.
+        partial.detached = false;
+        partial.sourcePeerId = message.sourcePeerId;
+        this._upsertTransfer({ transferId: partial.transferId, status: 'receiving', sourcePeerId: message.sourcePeerId });
+        await this._requestMissingChunks(partial, { reason: 'resume' });
+        continue;
+      }
+
+      await this._requestBlockList(entry, message.sourcePeerId);
+    }
+
+    // Downloads already running spread their remaining blocks over the new holder too.
+    for (const entry of entries) {
+      const transfer = this._activeSwarmDownload(entry?.id);
+      if (transfer) await this._scheduleSwarm(transfer);
+    }
+  }
+
+  _addFileHolder(fileId, peerId) {
+    if (!peerId || peerId === this.transport?.peerId) return;
+    if (!this.fileHolders.has(fileId)) this.fileHolders.set(fileId, new Set());
+    this.fileHolders.get(fileId).add(peerId);
+  }
+
+  _activeSwarmDownload(fileId) {
+    return [...this.incomingTransfers.values()].find(
+      (transfer) => transfer.fileId === fileId && transfer.swarm && !transfer.finalized && !transfer.detached
+    );
+  }
+
+  async _requestBlockList(entry, peerId) {
+    // The block list comes first, so blocks this peer already stores are never requested.
+    this.pendingBlockLists.set(entry.id, { entry, peerId, requestedAt: Date.now() });
+    await this._sendRoomMessage('file-blocks-request', { fileId: entry.id }, { targetPeerId: peerId });
+  }
+
+  async _startSwarmDownload(entry, peerId, blocks) {
+    const size = Number(entry.size) || 0;
+    const transfer = this._trackIncomingTransfer({
+      transferId: createTransferId(),
+      fileId: entry.id,
+      name: entry.name,
+      path: entry.path || entry.name,
+      mime: entry.mime || 'application/octet-stream',
+      size,
+      updatedAt: entry.updatedAt || Date.now(),
+      checksum: entry.checksum,
+      version: entry.version || {},
+      replicaId: entry.replicaId || null,
+      totalChunks: blocks.length,
+      blocks,
+      sourcePeerId: peerId,
+      startedAt: Date.now()
+    });
+    transfer.swarm = new SwarmScheduler(transfer.received);
+    this._upsertTransfer({
+      transferId: transfer.transferId,
+      fileId: transfer.fileId,
+      name: transfer.name,
+      direction: 'download',
+      progress: 0,
+      status: 'receiving',
+      size,
+      bytesTransferred: 0,
+      maxRetries: this.transferRetryLimit,
+      canRetry: true,
+      errorMessage: null,
+      sourcePeerId: peerId
+    });
+    this._emit('sync', {
+      action: 'pull-requested',
+      id: entry.id,
+      name: entry.name,
+      transferId: transfer.transferId,
+      holders: this.fileHolders.get(entry.id)?.size || 1
+    });
+
+    await transfer.writes.catch(() => null);
+    await this._scheduleSwarm(transfer);
+    this._touchIncomingTransferTimeout(transfer.transferId);
+  }
+
+  async _scheduleSwarm(transfer) {
+    if (transfer.receivedChunks === transfer.totalChunks) {
+      // Every block was already stored here, e.g. shared with an older version of the file.
+      await this._finalizeIncomingTransfer(transfer);
+      return;
+    }
+
+    const { swarm } = transfer;
+    const holders = this.fileHolders.get(transfer.fileId) || new Set();
+    [...swarm.peers.keys()].filter((peerId) => !holders.has(peerId)).forEach((peerId) => swarm.removePeer(peerId));
+    holders.forEach((peerId) => swarm.addPeer(peerId));
+    if (!swarm.peers.size) {
+      // Nobody holding the file is left; the download waits for a manifest that lists it.
+      this._clearIncomingTransferTimeout(transfer.transferId);
+      transfer.detached = true;
+      this._upsertTransfer({ transferId: transfer.transferId, status: 'paused' });
+      return;
+    }
+
+    for (const [peerId, range] of swarm.assign()) {
+      await this._sendRoomMessage(
+        'file-chunk-request',
+        {
+          fileId: transfer.fileId,
+          transferId: transfer.transferId,
+          ranges: [range]
+        },
+        { targetPeerId: peerId }
+      );
+    }
+  }
+
+  _failoverSwarmDownloads(peerId) {
+    for (const [fileId, pending] of this.pendingBlockLists) {
+      if (pending.peerId !== peerId) continue;
+
+      const holder = this.fileHolders.get(fileId)?.values().next().value;
+      if (holder) {
+        this._requestBlockList(pending.entry, holder).catch((err) => this._emitError(err));
+      } else {
+        this.pendingBlockLists.delete(fileId);
+      }
+    }
+
+    for (const transfer of this.incomingTransfers.values()) {
+      if (!transfer.swarm?.peers.has(peerId) || transfer.finalized) continue;
+
+      transfer.swarm.removePeer(peerId);
+      if (transfer.sourcePeerId === peerId) {
+        transfer.sourcePeerId = transfer.swarm.peers.keys().next().value || peerId;
+      }
+      if (transfer.detached) continue;
+
+      this._emit('sync', {
+        action: 'swarm-failover',
+        transferId: transfer.transferId,
+        id: transfer.fileId,
+        name: transfer.name,
+        lostPeerId: peerId,
+        holders: transfer.swarm.peers.size
+      });
+      this._scheduleSwarm(transfer).catch((err) => this._emitError(err));
+    }
+  }
+
+  _swarmSources(transfer) {
+    return [...transfer.swarm.contributions.entries()].map(([peerId, chunks]) => ({
+      peerId,
+      displayName: this.peers.get(peerId)?.displayName || peerId.slice(0, 8),
+      chunks
+    }));
+  }
+
+  _serveFileRequest(fileId, requestedByPeerId, { transferId = null, ranges = null } = {}) {
+    // Pulls are served one file at a time so a large catch-up doesn't load every file at once.
+    this.serveQueue = this.serveQueue
+      .then(() =>
+        this._rebroadcastStoredFile(fileId, {
+          resumeTransferId: transferId,
+          ranges,
+          targetPeerId: requestedByPeerId
+        })
+      )
+      .catch((err) => this._emitError(err));
+    return this.serveQueue;
+  }
+
+  async _requestMissingChunks(transfer, { reason }) {
+    const ranges = missingRanges(transfer.received);
+    if (reason === 'missing_chunks' || reason === 'timeout') {
+      transfer.missingRounds = (transfer.missingRounds || 0) + 1;
+      if (transfer.missingRounds > this.transferRetryLimit) {
+        this._clearIncomingTransferTimeout(transfer.transferId);
+        this._markTransferFailed(
+          transfer.transferId,
+          `Missing chunks (${transfer.receivedChunks}/${transfer.totalChunks})`,
+          { canRetry: true }
+        );
+        this._emit('sync', {
+          action: 'transfer-failed',
+          transferId: transfer.transferId,
+          id: transfer.fileId,
+          name: transfer.name,
+          reason: 'missing_chunks',
+          direction: 'download',
+          sourcePeerId: transfer.sourcePeerId
+        });
+        return;
+      }
+    }
+
+    transfer.awaitingRanges = true;
+    this._touchIncomingTransferTimeout(transfer.transferId);
+    if (transfer.swarm) {
+      transfer.swarm.reset();
+      await this._scheduleSwarm(transfer);
+    } else {
+      await this._sendRoomMessage(
+        'file-chunk-request',
+        {
+          fileId: transfer.fileId,
+          transferId: transfer.transferId,
+          ranges
+        },
+        { targetPeerId: transfer.sourcePeerId }
+      );
+    }
+
+    this._emit('sync', {
+      action: 'chunks-requested',
+      transferId: transfer.transferId,
+      id: transfer.fileId,
+      name: transfer.name,
+      reason,
+      missingChunks: transfer.totalChunks - transfer.receivedChunks,
+      ranges: ranges.length,
+      targetPeerId: transfer.sourcePeerId
+    });
+  }
+
+  async _sendChunkAck(transfer, { complete = false } = {}) {
+    if (transfer.replayed && !transfer.swarm) return;
+
+    const payload = {
+      fileId: transfer.fileId,
+      transferId: transfer.transferId,
+      totalChunks: transfer.totalChunks,
+      receivedChunks: transfer.receivedChunks,
+      bitmap: encodeChunkBitmap(transfer.received),
+      // Chunks still waiting for storage count against the window the sender may fill.
+      credit: Math.max(ACK_EVERY_CHUNKS, RECEIVE_WINDOW_CHUNKS - transfer.pendingWrites),
+      complete
+    };
+    // Each holder serving part of a swarm download runs its own send window.
+    const targets = !transfer.swarm
+      ? [transfer.sourcePeerId]
+      : complete
+        ? [...transfer.swarm.contributions.keys()]
+        : transfer.swarm.activePeers();
+
+    for (const targetPeerId of targets) {
+      await this._sendRoomMessage('file-chunk-ack', payload, { targetPeerId });
+    }
+  }
+
+  async _sendRoomMessage(type, payload, { targetPeerId = null } = {}) {
+    if (!this.transport && this.reconnecting) {
+      await this._waitForTransport();
+    }
+
+    if (!this.transport) return;
+
+    if (type !== 'file-chunk' && this.controlPausedUntil > Date.now()) {
+      await sleep(this.controlPausedUntil - Date.now());
+    }
+
+    const envelope = {
+      type,
+      sourcePeerId: this.transport.peerId,
+      namespace: this.namespace,
+      room: this.room,
+      payload
+    };
+    if (this.roomKey) envelope.payload = await this._sealPayload(envelope);
+
+    // The signaling server delivers targeted messages to that peer only.
+    if (targetPeerId) envelope.targetPeerId = targetPeerId;
+
+    const identity = await this.identityReady;
+    envelope.publicKey = identity.publicKey;
+    envelope.signature = await identity.sign(envelope);
+
+    await this.transport.send(envelope);
+  }
+
+  // Only what the server routes by stays readable: the message type, and the transfer id,
+  // chunk index and flags of a chunk frame.
+  async _sealPayload(envelope) {
+    const { type, payload } = envelope;
+    if (type === 'file-chunk') {
+      const { transferId, chunkIndex, flags, data } = payload;
+      const bytes = data instanceof Uint8Array ? data : fromBase64(data);
+      const sealed = await sealBytes(this.roomKey, bytes, messageAad(envelope, transferId, chunkIndex));
+      return { transferId, chunkIndex, flags, data: this.transport.binary ? sealed : toBase64(sealed) };
+    }
+
+    return { sealed: toBase64(await sealJson(this.roomKey, payload, messageAad(envelope))) };
+  }
+
+  async _openPayload(message) {
+    const payload = message.payload || {};
+    if (!this.roomKey) {
+      throw Object.assign(new Error('Message is end-to-end encrypted.'), { code: 'no-key' });
+    }
+
+    try {
+      if (message.type === 'file-chunk') {
+        const data = payload.data instanceof Uint8Array ? payload.data : fromBase64(payload.data || '');
+        const aad = messageAad(message, payload.transferId, payload.chunkIndex);
+        return { ...payload, data: await openBytes(this.roomKey, data, aad) };
+      }
+      if (typeof payload.sealed === 'string') {
+        return await openJson(this.roomKey, fromBase64(payload.sealed), messageAad(message));
+      }
+    } catch (err) {
+      throw Object.assign(new Error(`Could not decrypt ${message.type}: ${err.message}`), { code: 'wrong-key' });
+    }
+
+    // Accepting plaintext would let anyone on the signaling server inject messages.
+    throw Object.assign(new Error('Message is not encrypted.'), { code: 'not-encrypted' });
+  }
+
+  _reportDecryptFailure(message, err) {
+    // A peer with the wrong key fails on every chunk, so failures are reported per peer at most every few seconds.
+    const lastReportedAt = this.decryptFailures.get(message.sourcePeerId) || 0;
+    if (Date.now() - lastReportedAt < DECRYPT_FAILURE_REPORT_MS) return;
+
+    this.decryptFailures.set(message.sourcePeerId, Date.now());
+    this._emit('sync', {
+      action: 'decrypt-failed',
+      sourcePeerId: message.sourcePeerId,
+      messageType: message.type,
+      reason: err.code,
+      error: err.message
+    });
+  }
+
+  _roomPins() {
+    const key = `${this.namespace}/${this.room}`;
+    if (!this.pinnedKeys.has(key)) this.pinnedKeys.set(key, new Map());
+    return this.pinnedKeys.get(key);
+  }
+
+  // Trust on first use: the first key that signs for a peerId in this room stays pinned to
+  // it, also after that peer leaves, so a later claim to the peerId needs the same key.
+  async _verifyPeer(message) {
+    let reason = null;
+    if (!(await verifySignature(message))) {
+      reason = message.signature ? 'bad-signature' : 'unsigned';
+    } else {
+      const pins = this._roomPins();
+      const pinned = pins.get(message.sourcePeerId);
+      if (!pinned) {
+        const pin = { publicKey: message.publicKey, fingerprint: await keyFingerprint(message.publicKey) };
+        pins.set(message.sourcePeerId, pin);
+        const peer = this.peers.get(message.sourcePeerId);
+        if (peer) {
+          peer.fingerprint = pin.fingerprint;
+          this._emitPeersChange({ action: 'verified', peer });
+        }
+      } else if (pinned.publicKey !== message.publicKey) {
+        reason = 'key-mismatch';
+      }
+    }
+
+    if (!reason) return true;
+    this._reportUntrustedPeer(message, reason);
+    return false;
+  }
+
+  _reportUntrustedPeer(message, reason) {
+    const lastReportedAt = this.untrustedReports.get(message.sourcePeerId) || 0;
+    if (Date.now() - lastReportedAt < UNTRUSTED_PEER_REPORT_MS) return;
+
+    this.untrustedReports.set(message.sourcePeerId, Date.now());
+    this._emitError(
+      Object.assign(new Error(`Dropped ${message.type} from ${message.sourcePeerId}: ${reason}.`), {
+        code: 'untrusted-peer',
+        reason,
+        sourcePeerId: message.sourcePeerId,
+        messageType: message.type
+      })
+    );
+  }
+
+  _upsertTransfer({
+    transferId,
+    fileId,
+    name,
+    direction,
+    progress,
+    status,
+    size = undefined,
+    bytesTransferred = undefined,
+    retryCount = undefined,
+    maxRetries = undefined,
+    canRetry = undefined,
     errorMessage = undefined,
     sourcePeerId = undefined,
-    etaSec = undefined
+    etaSec = undefined,
+    sources = undefined
   }) {
     const now = Date.now();
     const prev = this.transfers.get(transferId);
@@ -464,6 +1657,7 @@ export class FileSyncPanel extends EventTarget {
       startedAt: prev?.startedAt ?? now,
       speedBps: prev?.speedBps ?? 0,
       etaSec: etaSec ?? prev?.etaSec ?? null,
+      sources: sources ?? prev?.sources ?? null,
       bytesTransferred: prev?.bytesTransferred ?? 0,
       lastByteUpdateAt: prev?.lastByteUpdateAt ?? now,
       lastEmittedProgress: prev?.lastEmittedProgress ?? -5,
@@ -581,6 +1775,7 @@ export class FileSyncPanel extends EventTarget {
     payload,
     transferId,
     transferName,
+    targetPeerId = null,
     allowRetry = true
   }) {
     let attempt = 0;
@@ -589,10 +1784,16 @@ export class FileSyncPanel extends EventTarget {
     while (attempt < maxAttempts) {
       attempt += 1;
       try {
-        await this._sendRoomMessage(type, payload);
+        await this._sendRoomMessage(type, payload, { targetPeerId });
         return;
       } catch (err) {
-        if (attempt >= maxAttempts) {
+        if (this.reconnecting && err.code !== 'reconnect_failed') {
+          // The next send waits for the transport to come back, so this attempt doesn't count.
+          attempt -= 1;
+          continue;
+        }
+
+        if (attempt >= maxAttempts || err.code === 'reconnect_failed') {
           this._markTransferFailed(transferId, `Transport send failed: ${err.message}`, {
             canRetry: true
           });
@@ -631,7 +1832,8 @@ export class FileSyncPanel extends EventTarget {
           error: err.message
         });
 
-        await sleep(this.retryBaseDelayMs * attempt);
+        const sendWindow = this.sendWindows.get(sendWindowKey(transferId, targetPeerId));
+        await sleep(sendWindow?.retryDelay(attempt) ?? this.retryBaseDelayMs);
       }
     }
   }
@@ -639,85 +1841,47 @@ export class FileSyncPanel extends EventTarget {
   async _broadcastFileInChunks({
     id,
     name,
+    path = name,
     mime,
     size,
     updatedAt,
     checksum,
-    dataBuffer,
+    version = {},
+    replicaId = null,
+    blob,
+    blocks,
     forcedTransferId = null,
     retryOfTransferId = null,
+    ranges = null,
+    targetPeerId = null,
     initialRetryCount = 0
   }) {
-    const transferId = forcedTransferId || createTransferId(id);
-    const totalChunks = Math.max(1, Math.ceil(dataBuffer.byteLength / this.chunkBytes));
-
-    this._upsertTransfer({
-      transferId,
-      fileId: id,
-      name,
-      direction: 'upload',
-      progress: 0,
-      status: 'sending',
-      size,
-      bytesTransferred: 0,
-      retryCount: initialRetryCount,
-      maxRetries: this.transferRetryLimit,
-      canRetry: true,
-      errorMessage: null
-    });
-    this._emitProgressIfNeeded({
-      action: 'upload-progress',
-      transferId,
-      name,
-      progress: 0
-    });
-
-    await this._sendTransferMessageWithRetry({
-      type: 'file-transfer-start',
-      transferId,
-      transferName: name,
-      allowRetry: false,
-      payload: {
-        transferId,
-        id,
-        name,
-        mime,
-        size,
-        updatedAt,
-        checksum,
-        totalChunks,
-        retryOfTransferId
-      }
-    });
-
-    for (let index = 0; index < totalChunks; index += 1) {
-      const start = index * this.chunkBytes;
-      const end = Math.min(start + this.chunkBytes, dataBuffer.byteLength);
-      const chunkBuffer = dataBuffer.slice(start, end);
-
-      await this._sendTransferMessageWithRetry({
-        type: 'file-chunk',
-        transferId,
-        transferName: name,
-        payload: {
-          transferId,
-          id,
-          chunkIndex: index,
-          totalChunks,
-          data: toBase64(chunkBuffer)
-        }
-      });
+    const transferId = forcedTransferId || createTransferId();
+    // Chunks are the file's stored blocks, so every holder slices the file the same way.
+    const totalChunks = blocks.length;
+    const offsets = blockOffsets(blocks);
+    const sendRanges = ranges ? normalizeRanges(ranges, totalChunks) : [[0, totalChunks]];
+    const skippedChunks = totalChunks - sendRanges.reduce((sum, [start, end]) => sum + end - start, 0);
+    const startProgress = (skippedChunks / totalChunks) * 100;
+    let bytesSent = size - sendRanges.reduce((sum, [start, end]) => sum + offsets[end] - offsets[start], 0);
+    const sendWindow = new SendWindow({ minRtoMs: this.retryBaseDelayMs, sentChunks: skippedChunks });
+    const windowKey = sendWindowKey(transferId, targetPeerId);
+    // A retransmit to the same peer supersedes a pass that is still running; the requested
+    // ranges already cover whatever that pass had left to send.
+    this.sendWindows.get(windowKey)?.close();
+    this.sendWindows.set(windowKey, sendWindow);
 
-      const progress = ((index + 1) / totalChunks) * 100;
+    try {
       this._upsertTransfer({
         transferId,
         fileId: id,
         name,
         direction: 'upload',
-        progress,
+        progress: startProgress,
         status: 'sending',
         size,
-        bytesTransferred: end,
+        bytesTransferred: bytesSent,
+        retryCount: initialRetryCount,
         maxRetries: this.transferRetryLimit,
         canRetry: true,
         errorMessage: null
@@ -726,35 +1890,130 @@ export class FileSyncPanel extends EventTarget {
         action: 'upload-progress',
         transferId,
         name,
-        progress
+        progress: startProgress
       });
-    }
 
-    await this._sendTransferMessageWithRetry({
-      type: 'file-transfer-complete',
-      transferId,
-      transferName: name,
-      allowRetry: false,
-      payload: {
-        transferId,
-        id,
-        checksum,
-        updatedAt
+      // A retransmit reuses the receiver's existing transfer state, so no new start frame.
+      if (!ranges) {
+        await this._sendTransferMessageWithRetry({
+          type: 'file-transfer-start',
+          transferId,
+          transferName: name,
+          targetPeerId,
+          allowRetry: false,
+          payload: {
+            transferId,
+            id,
+            name,
+            path,
+            mime,
+            size,
+            updatedAt,
+            checksum,
+            version,
+            replicaId,
+            totalChunks,
+            blocks,
+            retryOfTransferId
+          }
+        });
+        await sendWindow.waitForReceivers();
       }
-    });
 
-    this._completeTransfer(transferId);
-    this._emit('sync', {
-      action: 'upload-complete',
-      transferId,
-      id,
-      name,
-      checksum
-    });
+      let sentChunks = skippedChunks;
+      for (const [fromChunk, toChunk] of sendRanges) {
+        for (let index = fromChunk; index < toChunk; index += 1) {
+          if (sendWindow.isHeldByAll(index)) {
+            sendWindow.onSkipped();
+          } else {
+            await this._waitForSendCapacity(sendWindow);
+            if (sendWindow.closed) return transferId;
+
+            const bytes = new Uint8Array(await blob.slice(offsets[index], offsets[index + 1]).arrayBuffer());
+            await this._sendTransferMessageWithRetry({
+              type: 'file-chunk',
+              transferId,
+              transferName: name,
+              targetPeerId,
+              payload: {
+                transferId,
+                id,
+                chunkIndex: index,
+                totalChunks,
+                flags: index === totalChunks - 1 ? CHUNK_FLAG_LAST : 0,
+                // Transports that carry binary frames send the raw bytes; base64 is the JSON fallback.
+                data: this.transport?.binary ? bytes : toBase64(bytes)
+              }
+            });
+            sendWindow.onSent();
+          }
+
+          sentChunks += 1;
+          bytesSent += blocks[index][1];
+          const progress = (sentChunks / totalChunks) * 100;
+          this._upsertTransfer({
+            transferId,
+            fileId: id,
+            name,
+            direction: 'upload',
+            progress,
+            status: 'sending',
+            size,
+            bytesTransferred: bytesSent,
+            maxRetries: this.transferRetryLimit,
+            canRetry: true,
+            errorMessage: null
+          });
+          this._emitProgressIfNeeded({
+            action: 'upload-progress',
+            transferId,
+            name,
+            progress
+          });
+        }
+      }
+
+      await this._sendTransferMessageWithRetry({
+        type: 'file-transfer-complete',
+        transferId,
+        transferName: name,
+        targetPeerId,
+        allowRetry: false,
+        payload: {
+          transferId,
+          id,
+          checksum,
+          updatedAt,
+          resumed: Boolean(ranges),
+          ranges: ranges ? sendRanges : null
+        }
+      });
+
+      this._completeTransfer(transferId);
+      this._emit('sync', {
+        action: 'upload-complete',
+        transferId,
+        id,
+        name,
+        checksum
+      });
+    } finally {
+      sendWindow.close();
+      if (this.sendWindows.get(windowKey) === sendWindow) this.sendWindows.delete(windowKey);
+    }
 
     return transferId;
   }
 
+  async _waitForSendCapacity(sendWindow) {
+    await sendWindow.waitForSlot();
+    // Don't queue more on a socket that hasn't flushed what it already holds.
+    while ((this.transport?.bufferedAmount || 0) > SOCKET_HIGH_WATER_BYTES) {
+      await sleep(SOCKET_DRAIN_POLL_MS);
+    }
+    await this.sendPacer.wait(sendWindow.pacingMs);
+  }
+
   _clearIncomingTransferTimeout(transferId) {
     const timerId = this.incomingTransferTimeouts.get(transferId);
     if (timerId) {
@@ -770,6 +2029,19 @@ export class FileSyncPanel extends EventTarget {
       const transfer = this.incomingTransfers.get(transferId);
       if (!transfer || transfer.finalized) return;
 
+      // While our own sends are paused by the rate limit, a request would be dropped too.
+      const pausedMs = Math.max(this.sendPacer.pausedUntil, this.controlPausedUntil) - Date.now();
+      if (pausedMs > 0) {
+        this._touchIncomingTransferTimeout(transferId, pausedMs + timeoutMs);
+        return;
+      }
+
+      // The complete frame may have been dropped (e.g. rate limited), so ask for what's missing first.
+      if ((transfer.missingRounds || 0) < this.transferRetryLimit) {
+        this._requestMissingChunks(transfer, { reason: 'timeout' }).catch((err) => this._emitError(err));
+        return;
+      }
+
       this._markTransferFailed(
         transfer.transferId,
         'No chunks received recently (timeout).',
@@ -805,7 +2077,121 @@ export class FileSyncPanel extends EventTarget {
     }
   }
 
+  // Leaves the room and drops the storage key along with everything read with it.
+  async lockStorage() {
+    if (!this.storageEncrypted) {
+      throw new Error('Storage is not encrypted at rest.');
+    }
+
+    await this.disconnect();
+    this.storagePassphrase = null;
+    this.storage = null;
+    this.storageOpenedFor = null;
+    this._resetTransfers();
+    this.pendingBlockLists.clear();
+    this.files = new Map();
+    this.tombstones = new Map();
+    this._renderFiles();
+    this._setStatus('Storage locked');
+    this._emit('lockchange', { locked: true });
+  }
+
+  // Rejects with `wrong_passphrase` and stays locked when the passphrase doesn't match.
+  async unlockStorage(passphrase) {
+    if (!this.storageEncrypted) {
+      throw new Error('Storage is not encrypted at rest.');
+    }
+
+    this.storagePassphrase = passphrase;
+    try {
+      await this._setupStorage();
+    } catch (err) {
+      this.storagePassphrase = null;
+      throw err;
+    }
+
+    this._emit('lockchange', { locked: false });
+    await this.connect();
+  }
+
+  // Moderation needs a token with the `admin` role for the room; the server enforces it.
+  kickPeer(peerId, { reason } = {}) {
+    return this._moderate('kick', { peerId, reason });
+  }
+
+  // Bans the peer's identity key (and peerId) for `durationSeconds`, or its IP with `scope: 'ip'`.
+  banPeer(peerId, { durationSeconds, scope = 'identity', reason } = {}) {
+    return this._moderate('ban', { peerId, durationSeconds, scope, reason });
+  }
+
+  unbanPeer(peerId, { scope = 'identity' } = {}) {
+    return this._moderate('unban', { peerId, scope });
+  }
+
+  lockRoom({ reason } = {}) {
+    return this._moderate('lock', { reason });
+  }
+
+  unlockRoom() {
+    return this._moderate('unlock', {});
+  }
+
+  forceDeleteFile(fileId, { reason } = {}) {
+    return this._moderate('delete', { fileId, reason });
+  }
+
+  _moderate(action, params) {
+    return moderateRoom({
+      signalingUrl: this.signalingUrl,
+      token: this.token,
+      action,
+      namespace: this.namespace,
+      room: this.room,
+      ...params
+    });
+  }
+
+  async _handleModeration(message) {
+    if (message.namespace !== this.namespace || message.room !== this.room) return;
+
+    if (message.type === 'kicked') {
+      this.kicked = { reason: message.reason || null, bannedUntil: message.bannedUntil || null };
+      this._emit('kicked', { namespace: this.namespace, room: this.room, ...this.kicked });
+      return;
+    }
+
+    if (message.type === 'room-locked') {
+      this.roomLocked = Boolean(message.locked);
+      this._emit('room-locked', {
+        namespace: this.namespace,
+        room: this.room,
+        locked: this.roomLocked,
+        reason: message.reason || null
+      });
+      return;
+    }
+
+    if (message.type === 'forced-delete' && typeof message.fileId === 'string') {
+      // A forced delete wins over the local copy, whatever its version.
+      const local = this.files.get(message.fileId);
+      await this._recordTombstone({
+        id: message.fileId,
+        name: local?.name || null,
+        checksum: local?.checksum || message.fileId,
+        deletedAt: Number(message.deletedAt) || Date.now()
+      });
+      if (local) {
+        await this.storage.deleteFile(message.fileId);
+        this.files.delete(message.fileId);
+        this._renderFiles();
+        this._emitFilesChange();
+      }
+      this._emit('sync', { action: 'delete-forced', id: message.fileId, name: local?.name || null, reason: message.reason || null });
+    }
+  }
+
   destroy() {
+    this.destroyed = true;
     for (const transfer of this.transfers.values()) {
       if (transfer.cleanupTimer) {
         clearTimeout(transfer.cleanupTimer);
@@ -817,27 +2203,50 @@ export class FileSyncPanel extends EventTarget {
     this.transfers.clear();
     this.incomingTransfers.clear();
     this.incomingTransferTimeouts.clear();
+    this.sendWindows.forEach((sendWindow) => sendWindow.close());
+    this.sendWindows.clear();
     this.disconnect().catch(() => null);
     this.container.innerHTML = '';
   }
 
   async _init() {
-    await this._setupStorage();
-    await this.connect({ namespace: this.namespace, room: this.room, token: this.token });
+    if (this.storageEncrypted && !this.storagePassphrase) {
+      this._setStatus('Storage locked');
+    } else {
+      await this._setupStorage();
+      await this.connect({ namespace: this.namespace, room: this.room, token: this.token });
+    }
     this._emit('ready', {
       namespace: this.namespace,
       room: this.room,
-      storage: this.storageEngine
+      storage: this.storageEngine,
+      locked: !this.storage
     });
   }
 
   async _setupStorage() {
-    const { engine, api } = await createFileStorage(this.namespace, this.room);
+    const { engine, api } = await createFileStorage(this.namespace, this.room, {
+      blockBytes: this.chunkBytes,
+      encryption: this.storageEncrypted ? { passphrase: this.storagePassphrase } : null
+    });
     this.storageEngine = engine;
     this.storage = api;
+    this.storageOpenedFor = `${this.namespace}::${this.room}`;
 
     const listed = await this.storage.listFiles();
     this.files = new Map(listed.map((entry) => [entry.id, entry]));
+    const tombstones = await this.storage.listTombstones();
+    this.tombstones = new Map(tombstones.map((entry) => [entry.id, entry]));
+    await this._pruneTombstones();
+    // Partial downloads stay in the old room's storage and resume when it is opened again.
+    this._resetTransfers();
+    await this._restorePartialDownloads();
+    this._renderFiles();
+
+    this._setStatus(`Storage engine: ${engine}${this.storageEncrypted ? ', encrypted at rest' : ''}`);
+  }
+
+  _resetTransfers() {
     for (const transfer of this.transfers.values()) {
       if (transfer.cleanupTimer) {
         clearTimeout(transfer.cleanupTimer);
@@ -849,9 +2258,7 @@ export class FileSyncPanel extends EventTarget {
     this.transfers.clear();
     this.incomingTransfers.clear();
     this.incomingTransferTimeouts.clear();
-    this._renderFiles();
-
-    this._setStatus(`Storage engine: ${engine}`);
+    this.fileHolders.clear();
   }
 
   async _handleIncomingMessage(message) {
@@ -865,6 +2272,46 @@ export class FileSyncPanel extends EventTarget {
       return;
     }
 
+    if (message.targetPeerId && this.transport && message.targetPeerId !== this.transport.peerId) {
+      return;
+    }
+
+    if (message.type === 'roster') {
+      this._setPeers(message.peers || []);
+      return;
+    }
+
+    if (message.type === 'peer-joined') {
+      this._upsertPeer(message.peer);
+      return;
+    }
+
+    if (message.type === 'peer-left') {
+      this._removePeer(message.peerId);
+      this.sendWindows.forEach((sendWindow) => sendWindow.onDecline(message.peerId));
+      return;
+    }
+
+    if (!(await this._verifyPeer(message))) return;
+
+    if (this.roomKey || typeof message.payload?.sealed === 'string') {
+      try {
+        message = { ...message, payload: await this._openPayload(message) };
+      } catch (err) {
+        this._reportDecryptFailure(message, err);
+        return;
+      }
+    }
+
+    if (this.peers.get(message.sourcePeerId)?.role === 'read') {
+      if (WRITER_MESSAGE_TYPES.has(message.type)) return;
+      if (message.type === 'sync-manifest') {
+        message = { ...message, payload: { ...message.payload, files: [], tombstones: [] } };
+      }
+    }
+
+    if (this._readOnly() && SERVE_REQUEST_TYPES.has(message.type)) return;
+
     if (message.type === 'file-transfer-retry-request') {
       const payload = message.payload || {};
       if (payload.targetPeerId && this.transport?.peerId !== payload.targetPeerId) {
@@ -872,7 +2319,8 @@ export class FileSyncPanel extends EventTarget {
       }
 
       await this._rebroadcastStoredFile(payload.fileId, {
-        retryOfTransferId: payload.failedTransferId || null
+        retryOfTransferId: payload.failedTransferId || null,
+        targetPeerId: message.sourcePeerId
       });
 
       this._emit('sync', {
@@ -884,8 +2332,118 @@ export class FileSyncPanel extends EventTarget {
       return;
     }
 
+    if (message.type === 'sync-manifest') {
+      await this._handleManifest(message);
+      return;
+    }
+
+    if (message.type === 'file-have') {
+      const fileId = message.payload?.fileId;
+      if (!fileId) return;
+
+      this._addFileHolder(fileId, message.sourcePeerId);
+      const transfer = this._activeSwarmDownload(fileId);
+      if (transfer) await this._scheduleSwarm(transfer);
+      return;
+    }
+
+    if (message.type === 'file-blocks-request') {
+      const metadata = this.files.get(message.payload?.fileId);
+      if (!metadata) return;
+
+      await this._sendRoomMessage(
+        'file-blocks',
+        { fileId: metadata.id, blocks: metadata.blocks },
+        { targetPeerId: message.sourcePeerId }
+      );
+      return;
+    }
+
+    if (message.type === 'file-blocks') {
+      const payload = message.payload || {};
+      const pending = this.pendingBlockLists.get(payload.fileId);
+      if (!pending || !Array.isArray(payload.blocks) || !payload.blocks.length) return;
+      if (blockOffsets(payload.blocks).at(-1) !== Number(pending.entry.size || 0)) return;
+
+      this.pendingBlockLists.delete(payload.fileId);
+      if (!this._wantsManifestEntry(pending.entry)) return;
+      await this._startSwarmDownload(pending.entry, message.sourcePeerId, payload.blocks);
+      return;
+    }
+
+    if (message.type === 'file-chunk-request') {
+      const payload = message.payload || {};
+      if (!payload.transferId || !this.files.has(payload.fileId)) return;
+
+      // The peer is served by its own targeted pass from now on.
+      this.sendWindows.get(sendWindowKey(payload.transferId, null))?.onDecline(message.sourcePeerId);
+      this._emit('sync', {
+        action: 'chunk-request-received',
+        fileId: payload.fileId,
+        transferId: payload.transferId,
+        ranges: Array.isArray(payload.ranges) ? payload.ranges.length : 0,
+        requestedByPeerId: message.sourcePeerId
+      });
+      await this._serveFileRequest(payload.fileId, message.sourcePeerId, {
+        transferId: payload.transferId,
+        ranges: Array.isArray(payload.ranges) ? payload.ranges : []
+      });
+      return;
+    }
+
+    if (message.type === 'file-chunk-ack') {
+      const payload = message.payload || {};
+      const sendWindow =
+        this.sendWindows.get(sendWindowKey(payload.transferId, message.sourcePeerId)) ||
+        this.sendWindows.get(sendWindowKey(payload.transferId, null));
+      if (sendWindow && payload.declined) {
+        sendWindow.onDecline(message.sourcePeerId);
+      } else if (sendWindow) {
+        const held = payload.bitmap ? decodeChunkBitmap(payload.bitmap, Number(payload.totalChunks) || 0) : null;
+        sendWindow.onAck(message.sourcePeerId, Number(payload.receivedChunks) || 0, Number(payload.credit), held);
+        this.sendPacer.onProgress();
+      }
+
+      if (payload.complete) {
+        this._emit('sync', {
+          action: 'upload-acknowledged',
+          transferId: payload.transferId,
+          id: payload.fileId,
+          acknowledgedByPeerId: message.sourcePeerId
+        });
+      }
+      return;
+    }
+
     if (message.type === 'file-transfer-start') {
       const payload = message.payload;
+      if (!Array.isArray(payload?.blocks) || !payload.blocks.length) return;
+      this._addFileHolder(payload.id, message.sourcePeerId);
+      const skipReason = this._isTombstoned(payload.id, payload.updatedAt)
+        ? 'tombstoned'
+        : this._hasNewerVersion(payload)
+          ? 'stale-version'
+          : null;
+      if (skipReason) {
+        this._emit('sync', {
+          action: 'transfer-skipped',
+          transferId: payload.transferId,
+          id: payload.id,
+          name: payload.name,
+          reason: skipReason,
+          sourcePeerId: message.sourcePeerId
+        });
+        // Lets the sender stop waiting for this peer's acks.
+        if (!message.replayed) {
+          await this._sendRoomMessage(
+            'file-chunk-ack',
+            { fileId: payload.id, transferId: payload.transferId, declined: true },
+            { targetPeerId: message.sourcePeerId }
+          ).catch(() => null);
+        }
+        return;
+      }
+
       const retriedTransfer = payload.retryOfTransferId
         ? this.transfers.get(payload.retryOfTransferId)
         : null;
@@ -898,26 +2456,27 @@ export class FileSyncPanel extends EventTarget {
         }
         this.transfers.delete(payload.retryOfTransferId);
         this._clearIncomingTransferTimeout(payload.retryOfTransferId);
-        this.incomingTransfers.delete(payload.retryOfTransferId);
+        this._dropIncomingTransfer(payload.retryOfTransferId);
       }
 
-      const incoming = {
+      const incoming = this._trackIncomingTransfer({
         transferId: payload.transferId,
         fileId: payload.id,
         name: payload.name,
+        path: payload.path || payload.name,
         mime: payload.mime || 'application/octet-stream',
         size: payload.size || 0,
         updatedAt: payload.updatedAt || Date.now(),
         checksum: payload.checksum,
-        totalChunks: Math.max(1, Number(payload.totalChunks || 1)),
-        chunks: new Array(Math.max(1, Number(payload.totalChunks || 1))),
-        receivedChunks: 0,
-        bytesReceived: 0,
+        version: payload.version || {},
+        replicaId: payload.replicaId || null,
+        totalChunks: payload.blocks.length,
+        blocks: payload.blocks,
         sourcePeerId: message.sourcePeerId,
-        finalized: false
-      };
-
-      this.incomingTransfers.set(payload.transferId, incoming);
+        // Replayed from the server's backlog: the sender may be long gone.
+        replayed: Boolean(message.replayed),
+        startedAt: Date.now()
+      });
       this._upsertTransfer({
         transferId: payload.transferId,
         fileId: payload.id,
@@ -941,6 +2500,8 @@ export class FileSyncPanel extends EventTarget {
         sourcePeerId: message.sourcePeerId
       });
       this._touchIncomingTransferTimeout(payload.transferId);
+      // Sent once the partial is open, so the bitmap lists the blocks already stored here.
+      this._queueIncomingWrite(incoming, () => this._sendChunkAck(incoming).catch(() => null));
       return;
     }
 
@@ -954,11 +2515,22 @@ export class FileSyncPanel extends EventTarget {
         return;
       }
 
-      if (!transfer.chunks[index]) {
-        const decoded = fromBase64(payload.data || '');
-        transfer.chunks[index] = decoded;
+      if (!transfer.received[index]) {
+        const decoded = payload.data instanceof Uint8Array ? payload.data : fromBase64(payload.data || '');
+        if (decoded.byteLength !== transfer.blocks[index][1]) return;
+
+        transfer.received[index] = 1;
         transfer.receivedChunks += 1;
         transfer.bytesReceived += decoded.byteLength;
+        transfer.refetching.delete(index);
+        transfer.swarm?.onChunk(message.sourcePeerId);
+        this._queueIncomingWrite(transfer, () =>
+          transfer.writer.write(index, decoded).catch((err) => this._rejectIncomingChunk(transfer, index, message.sourcePeerId, err))
+        );
+
+        if (transfer.receivedChunks % ACK_EVERY_CHUNKS === 0 && transfer.receivedChunks < transfer.totalChunks) {
+          this._sendChunkAck(transfer).catch(() => null);
+        }
       }
 
       const progress = (transfer.receivedChunks / transfer.totalChunks) * 100;
@@ -973,7 +2545,8 @@ export class FileSyncPanel extends EventTarget {
         bytesTransferred: transfer.bytesReceived,
         maxRetries: this.transferRetryLimit,
         canRetry: true,
-        sourcePeerId: transfer.sourcePeerId
+        sourcePeerId: transfer.sourcePeerId,
+        sources: transfer.swarm ? this._swarmSources(transfer) : undefined
       });
       this._emitProgressIfNeeded({
         action: 'download-progress',
@@ -998,30 +2571,28 @@ export class FileSyncPanel extends EventTarget {
 
       if (transfer.receivedChunks === transfer.totalChunks) {
         await this._finalizeIncomingTransfer(transfer);
+      } else if (transfer.swarm) {
+        // Only this holder's blocks are done; anything it missed goes back to the pool.
+        transfer.swarm.release(message.sourcePeerId, Array.isArray(payload.ranges) ? payload.ranges : null);
+        await this._scheduleSwarm(transfer);
+      } else if (transfer.awaitingRanges && !payload.resumed) {
+        // The original pass ended after we asked for a retransmit, which sends its own complete.
+        return;
+      } else if (transfer.totalChunks - transfer.receivedChunks === transfer.refetching.size) {
+        // Only rejected chunks are missing, and each has been asked for again.
+        return;
+      } else if (payload.resumed && Array.isArray(payload.ranges) && !overlapsRanges(missingRanges(transfer.received), payload.ranges)) {
+        // A retransmit of other chunks finished while the original pass is still sending.
+        return;
       } else {
-        this._clearIncomingTransferTimeout(transfer.transferId);
-        this._markTransferFailed(
-          transfer.transferId,
-          `Missing chunks (${transfer.receivedChunks}/${transfer.totalChunks})`,
-          { canRetry: true }
-        );
-        this._emit('sync', {
-          action: 'transfer-failed',
-          transferId: transfer.transferId,
-          id: transfer.fileId,
-          name: transfer.name,
-          reason: 'missing_chunks',
-          direction: 'download',
-          sourcePeerId: transfer.sourcePeerId
-        });
+        await this._requestMissingChunks(transfer, { reason: 'missing_chunks' });
       }
       return;
     }
 
     if (message.type === 'file-upsert') {
       const payload = message.payload;
-      const buffer = fromBase64(payload.data);
-      const file = new File([buffer], payload.name, {
+      const file = new File([fromBase64(payload.data)], payload.name, {
         type: payload.mime,
         lastModified: payload.updatedAt
       });
@@ -1036,6 +2607,7 @@ export class FileSyncPanel extends EventTarget {
       });
 
       this.files.set(payload.id, metadata);
+      await this._clearSupersededTombstone(payload.id, payload.updatedAt);
       this._renderFiles();
 
       this._emit('sync', {
@@ -1050,14 +2622,21 @@ export class FileSyncPanel extends EventTarget {
     }
 
     if (message.type === 'file-delete') {
-      const { id } = message.payload;
-      await this.storage.deleteFile(id);
-      this.files.delete(id);
-      this._renderFiles();
+      const payload = message.payload;
+      this.fileHolders.get(payload.id)?.delete(message.sourcePeerId);
+      // Older peers send a bare id; treat that as "deleted now" like before.
+      const removed = await this._applyTombstone({
+        id: payload.id,
+        name: payload.name || null,
+        checksum: payload.checksum || payload.id,
+        deletedAt: payload.deletedAt || Date.now(),
+        deletedBy: payload.deletedBy || message.sourcePeerId
+      });
+      if (!removed) return;
 
       this._emit('sync', {
         action: 'delete-remote',
-        id,
+        id: payload.id,
         sourcePeerId: message.sourcePeerId
       });
 
@@ -1075,31 +2654,48 @@ export class FileSyncPanel extends EventTarget {
     }
     this._clearIncomingTransferTimeout(transfer.transferId);
 
-    const mergedBuffer = concatArrayBuffers(transfer.chunks);
-    const file = new File([mergedBuffer], transfer.name, {
-      type: transfer.mime,
-      lastModified: transfer.updatedAt
-    });
-
+    let file;
     let metadata;
     try {
-      metadata = await this.storage.putFile({
-        id: transfer.fileId,
-        name: transfer.name,
+      await transfer.writes;
+      if (transfer.writeError) throw transfer.writeError;
+      if (transfer.receivedChunks !== transfer.totalChunks) {
+        // A block failed its hash check after it was counted; it is fetched again.
+        transfer.finalized = false;
+        await this._requestMissingChunks(transfer, { reason: 'corrupt_chunk' });
+        return;
+      }
+      const written = await transfer.writer.complete();
+      file = new File([written], transfer.name, {
         type: transfer.mime,
-        blob: file,
-        updatedAt: transfer.updatedAt,
-        checksum: transfer.checksum
+        lastModified: transfer.updatedAt
       });
+      metadata = await this._integrateRemoteFile(
+        {
+          id: transfer.fileId,
+          name: transfer.name,
+          path: transfer.path,
+          type: transfer.mime,
+          blob: file,
+          updatedAt: transfer.updatedAt,
+          checksum: transfer.checksum,
+          version: transfer.version,
+          replicaId: transfer.replicaId,
+          blocks: transfer.blocks
+        },
+        { sourcePeerId: transfer.sourcePeerId }
+      );
     } catch (err) {
-      transfer.finalized = false;
       this._markTransferFailed(transfer.transferId, `Failed to save file: ${err.message}`, {
         canRetry: true
       });
+      this._dropIncomingTransfer(transfer.transferId);
       throw err;
     }
 
-    this.files.set(transfer.fileId, metadata);
+    if (metadata) {
+      await this._clearSupersededTombstone(transfer.fileId, transfer.updatedAt);
+    }
     this._renderFiles();
     this._upsertTransfer({
       transferId: transfer.transferId,
@@ -1108,8 +2704,8 @@ export class FileSyncPanel extends EventTarget {
       direction: 'download',
       progress: 100,
       status: 'receiving',
-      size: transfer.size || mergedBuffer.byteLength,
-      bytesTransferred: transfer.bytesReceived || mergedBuffer.byteLength,
+      size: transfer.size || file.size,
+      bytesTransferred: transfer.bytesReceived || file.size,
       maxRetries: this.transferRetryLimit,
       canRetry: true,
       sourcePeerId: transfer.sourcePeerId
@@ -1122,23 +2718,161 @@ export class FileSyncPanel extends EventTarget {
       sourcePeerId: transfer.sourcePeerId
     });
     this._completeTransfer(transfer.transferId);
+    this._sendChunkAck(transfer, { complete: true }).catch(() => null);
 
+    if (metadata) {
+      // Peers still downloading this file can fetch blocks from us now.
+      if (!this._readOnly()) this._sendRoomMessage('file-have', { fileId: transfer.fileId }).catch(() => null);
+      this._emit('sync', {
+        action: 'upsert-remote',
+        id: transfer.fileId,
+        name: metadata.name,
+        sourcePeerId: transfer.sourcePeerId
+      });
+    }
     this._emit('sync', {
-      action: 'upsert-remote',
+      action: 'download-complete',
+      transferId: transfer.transferId,
       id: transfer.fileId,
       name: transfer.name,
       sourcePeerId: transfer.sourcePeerId
     });
+
+    this._emitFilesChange();
+    this._dropIncomingTransfer(transfer.transferId);
+  }
+
+  _trackIncomingTransfer(descriptor, writer = null) {
+    const incoming = {
+      ...descriptor,
+      received: new Uint8Array(descriptor.totalChunks),
+      receivedChunks: 0,
+      bytesReceived: 0,
+      writer,
+      writes: Promise.resolve(),
+      writeError: null,
+      // Rejected chunks asked for again one by one.
+      refetching: new Set(),
+      pendingWrites: 0,
+      swarm: null,
+      finalized: false,
+      detached: false
+    };
+
+    if (writer) {
+      this._markStoredBlocks(incoming, writer.received);
+    } else {
+      // The partial is persisted with the descriptor so the download can resume after a reload.
+      this._queueIncomingWrite(incoming, async () => {
+        incoming.writer = await this.storage.openPartial(descriptor.transferId, descriptor);
+        this._markStoredBlocks(incoming, incoming.writer.received);
+      });
+    }
+
+    this.incomingTransfers.set(descriptor.transferId, incoming);
+    return incoming;
+  }
+
+  // Blocks already in storage, from an earlier attempt or shared with another file, are never fetched.
+  _markStoredBlocks(transfer, stored) {
+    stored.forEach((value, index) => {
+      if (!value || transfer.received[index]) return;
+
+      transfer.received[index] = 1;
+      transfer.receivedChunks += 1;
+      transfer.bytesReceived += transfer.blocks[index][1];
+    });
+  }
+
+  async _restorePartialDownloads() {
+    const partials = await this.storage.listPartials();
+    for (const descriptor of partials) {
+      const expired = Date.now() - Number(descriptor.startedAt || 0) > PARTIAL_RETENTION_MS;
+      if (expired || this.files.has(descriptor.fileId) || this._isTombstoned(descriptor.fileId, descriptor.updatedAt)) {
+        await this.storage.discardPartial(descriptor.transferId);
+        continue;
+      }
+
+      const writer = await this.storage.openPartial(descriptor.transferId, descriptor);
+      const incoming = this._trackIncomingTransfer(descriptor, writer);
+      incoming.swarm = new SwarmScheduler(incoming.received);
+      incoming.detached = true;
+      this._upsertTransfer({
+        transferId: incoming.transferId,
+        fileId: incoming.fileId,
+        name: incoming.name,
+        direction: 'download',
+        progress: (incoming.receivedChunks / incoming.totalChunks) * 100,
+        status: 'paused',
+        size: incoming.size,
+        bytesTransferred: incoming.bytesReceived,
+        maxRetries: this.transferRetryLimit,
+        canRetry: true,
+        errorMessage: null,
+        sourcePeerId: incoming.sourcePeerId
+      });
+    }
+  }
+
+  _queueIncomingWrite(transfer, task) {
+    transfer.pendingWrites += 1;
+    // A failure is recorded rather than rethrown, so the writes queued after it still run.
+    // It surfaces when the transfer is finalized.
+    transfer.writes = transfer.writes
+      .then(task)
+      .catch((err) => {
+        transfer.writeError ??= err;
+      })
+      .finally(() => {
+        transfer.pendingWrites -= 1;
+      });
+  }
+
+  // A chunk is counted when it arrives, before storage checks its hash. One that fails the
+  // check, or doesn't reach storage, is missing again; a corrupt one is asked for again.
+  _rejectIncomingChunk(transfer, index, sourcePeerId, err) {
+    if (!transfer.received[index]) return;
+
+    transfer.received[index] = 0;
+    transfer.receivedChunks -= 1;
+    transfer.bytesReceived -= transfer.blocks[index][1];
     this._emit('sync', {
-      action: 'download-complete',
+      action: 'chunk-rejected',
       transferId: transfer.transferId,
       id: transfer.fileId,
       name: transfer.name,
-      sourcePeerId: transfer.sourcePeerId
+      chunkIndex: index,
+      reason: err.code || 'write_failed',
+      sourcePeerId
     });
+    if (err.code !== 'block_mismatch') throw err;
+    // While finalizing, the finalize step asks for it once the queued writes are done.
+    if (transfer.finalized || this.incomingTransfers.get(transfer.transferId) !== transfer) return;
+
+    transfer.refetching.add(index);
+    // Not awaited, so the writes queued behind this one don't wait on the network. In a
+    // swarm, free blocks go to idle holders, and a block still assigned goes back to the
+    // pool when its holder's pass ends.
+    const request = transfer.swarm
+      ? this._scheduleSwarm(transfer)
+      : this._sendRoomMessage(
+          'file-chunk-request',
+          { fileId: transfer.fileId, transferId: transfer.transferId, ranges: [[index, index + 1]] },
+          { targetPeerId: transfer.sourcePeerId }
+        );
+    request.catch((requestErr) => this._emitError(requestErr));
+  }
 
-    this._emitFilesChange();
-    this.incomingTransfers.delete(transfer.transferId);
+  _dropIncomingTransfer(transferId) {
+    const transfer = this.incomingTransfers.get(transferId);
+    if (!transfer) return;
+
+    this.incomingTransfers.delete(transferId);
+    // Queued chunk writes must settle before their partial file is removed.
+    transfer.writes
+      .catch(() => null)
+      .then(() => transfer.writer?.discard())
+      .catch(() => null);
   }
 
   _renderShell() {
@@ -1149,6 +2883,7 @@ export class FileSyncPanel extends EventTarget {
       <div class="fs-header">
         <strong>${this.title}</strong>
         <span class="fs-status" data-fs-status>Initializing...</span>
+        <div class="fs-roster" data-fs-roster></div>
       </div>
       <div class="fs-controls">
         <label>
@@ -1169,12 +2904,15 @@ export class FileSyncPanel extends EventTarget {
 
     this.elements = {
       status: this.container.querySelector('[data-fs-status]'),
+      roster: this.container.querySelector('[data-fs-roster]'),
       namespace: this.container.querySelector('[data-fs-namespace]'),
       room: this.container.querySelector('[data-fs-room]'),
       reconnect: this.container.querySelector('[data-fs-action="connect"]'),
       dropzone: this.container.querySelector('[data-fs-dropzone]'),
       list: this.container.querySelector('[data-fs-list]')
     };
+
+    this._renderPeers();
   }
 
   _bindEvents() {
@@ -1216,6 +2954,13 @@ export class FileSyncPanel extends EventTarget {
       const action = button.dataset.action;
 
       try {
+        if (action === 'resolve-conflict') {
+          const conflictRow = event.target.closest('[data-conflict-id]');
+          if (!conflictRow) return;
+          await this.resolveConflict(decodeURIComponent(conflictRow.dataset.conflictId), button.dataset.choice);
+          return;
+        }
+
         if (action === 'retry-transfer') {
           const transferRow = event.target.closest('[data-transfer-id]');
           if (!transferRow) return;
@@ -1314,9 +3059,17 @@ export class FileSyncPanel extends EventTarget {
     }
   }
 
+  _sourcesLabel(sources) {
+    const total = sources.reduce((sum, source) => sum + source.chunks, 0) || 1;
+    return `From ${sources
+      .map((source) => `${escapeHtml(source.displayName)} ${Math.round((source.chunks / total) * 100)}%`)
+      .join(' · ')}`;
+  }
+
   _transferStatusLabel(transfer) {
     if (transfer.status === 'failed') return 'Failed';
     if (transfer.status === 'done') return 'Completed';
+    if (transfer.status === 'paused') return 'Paused (reconnecting)';
     if (transfer.status === 'retrying') return transfer.direction === 'upload' ? 'Retrying Upload' : 'Retrying Download';
     if (transfer.direction === 'upload') return 'Uploading';
     return 'Downloading';
@@ -1326,6 +3079,24 @@ export class FileSyncPanel extends EventTarget {
     this.elements.status.textContent = text;
   }
 
+  _renderPeers() {
+    const peers = this.getPeers();
+    const label = document.createElement('span');
+    label.className = 'fs-roster-label';
+    label.textContent = peers.length ? `Peers (${peers.length})` : 'No other peers';
+
+    // Names come from other peers, so they are set as text rather than markup.
+    const chips = peers.map((peer) => {
+      const chip = document.createElement('span');
+      chip.className = 'fs-peer';
+      chip.title = peer.peerId;
+      chip.textContent = peer.displayName;
+      return chip;
+    });
+
+    this.elements.roster.replaceChildren(label, ...chips);
+  }
+
   _emitFilesChange() {
     this._emit('fileschange', {
       namespace: this.namespace,
@@ -1359,6 +3130,7 @@ export class FileSyncPanel extends EventTarget {
                 ${statusLabel} · ${transfer.progress}% · ${readableSize(transfer.size || 0)}
                 · ${speed} · ETA ${eta} · Retry ${retryText}
               </div>
+              ${transfer.sources?.length ? `<div class="fs-sources">${this._sourcesLabel(transfer.sources)}</div>` : ''}
               ${transfer.errorMessage ? `<div class="fs-error">${transfer.errorMessage}</div>` : ''}
               <div class="fs-progress-track">
                 <div class="fs-progress-fill" style="width: ${transfer.progress}%"></div>
@@ -1372,6 +3144,27 @@ export class FileSyncPanel extends EventTarget {
       })
       .join('');
 
+    const conflictMarkup = this.getConflicts()
+      .map(({ conflictId, path, local, remote }) => {
+        return `
+          <li class="fs-item fs-conflict" data-conflict-id="${encodeURIComponent(conflictId)}">
+            <div class="fs-meta">
+              <div class="fs-name">Conflict: ${escapeHtml(path)}</div>
+              <div class="fs-detail">
+                Local ${readableSize(local.size)} · ${new Date(local.updatedAt).toLocaleString()}
+                vs remote ${readableSize(remote.size)} · ${new Date(remote.updatedAt).toLocaleString()}
+              </div>
+            </div>
+            <div class="fs-actions">
+              <button type="button" data-action="resolve-conflict" data-choice="local">Keep local</button>
+              <button type="button" data-action="resolve-conflict" data-choice="remote">Keep remote</button>
+              <button type="button" data-action="resolve-conflict" data-choice="keep-both">Keep both</button>
+            </div>
+          </li>
+        `;
+      })
+      .join('');
+
     const fileMarkup = files
       .map((file) => {
         return `
@@ -1389,7 +3182,7 @@ export class FileSyncPanel extends EventTarget {
       })
       .join('');
 
-    this.elements.list.innerHTML = `${transferMarkup}${fileMarkup}`;
+    this.elements.list.innerHTML = `${transferMarkup}${conflictMarkup}${fileMarkup}`;
   }
 
   _emit(eventName, detail) {
@@ -1400,6 +3193,7 @@ export class FileSyncPanel extends EventTarget {
       error: 'onError',
       statechange: 'onStateChange',
       fileschange: 'onFilesChange',
+      peerschange: 'onPeersChange',
       sync: 'onSync'
     };
 
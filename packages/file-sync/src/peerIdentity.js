@@ -0,0 +1,111 @@
+// Peer identity keys. Every panel holds an ECDSA P-256 key pair that lives in IndexedDB,
+// with the private key not extractable, and signs each room message with it. The public
+// key travels with the message, so receivers can verify it and pin it to the sender's
+// peerId on first use: a forged `sourcePeerId` then fails the signature or the pin.
+
+import { fromBase64, toBase64, toHex } from './encoding.js';
+
+const DB_NAME = 'browser-sync-identity';
+const STORE_NAME = 'keys';
+const KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGN_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+const MAX_IMPORTED_KEYS = 256;
+const encoder = new TextEncoder();
+const importedKeys = new Map();
+
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function withKeyStore(mode, action) {
+  const open = indexedDB.open(DB_NAME, 1);
+  open.onupgradeneeded = () => open.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+  const db = await requestResult(open);
+  try {
+    return await requestResult(action(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)));
+  } finally {
+    db.close();
+  }
+}
+
+// Short, stable name for a public key, e.g. to compare with what another user reads out.
+export async function keyFingerprint(publicKey) {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', fromBase64(publicKey)));
+  return toHex(digest.subarray(0, 16)).match(/.{4}/g).join(':');
+}
+
+export class PeerIdentity {
+  constructor({ privateKey, publicKey }) {
+    this.privateKey = privateKey;
+    // Raw uncompressed point, base64.
+    this.publicKey = publicKey;
+  }
+
+  static async generate() {
+    const pair = await crypto.subtle.generateKey(KEY_ALGORITHM, false, ['sign', 'verify']);
+    const raw = new Uint8Array(await crypto.subtle.exportKey('raw', pair.publicKey));
+    return new PeerIdentity({ privateKey: pair.privateKey, publicKey: toBase64(raw) });
+  }
+
+  // Loads the key pair stored under `id`, or makes and stores one. Without IndexedDB the
+  // identity only lasts as long as the page.
+  static async load(id = 'default') {
+    if (!globalThis.indexedDB) return PeerIdentity.generate();
+
+    const stored = await withKeyStore('readonly', (store) => store.get(id));
+    if (stored) return new PeerIdentity(stored);
+
+    const identity = await PeerIdentity.generate();
+    await withKeyStore('readwrite', (store) =>
+      store.put({ id, privateKey: identity.privateKey, publicKey: identity.publicKey })
+    );
+    return identity;
+  }
+
+  fingerprint() {
+    return keyFingerprint(this.publicKey);
+  }
+
+  async sign(message) {
+    const signature = await crypto.subtle.sign(SIGN_ALGORITHM, this.privateKey, signedContent(message));
+    return toBase64(new Uint8Array(signature));
+  }
+}
+
+// Bytes covered by a message signature: the routing fields, then the payload as sent
+// (sealed, when the room is encrypted). Chunk bytes are signed raw, so the signature
+// holds whether they travel in a binary frame or as base64.
+export function signedContent(message) {
+  const { type, namespace, room, sourcePeerId, targetPeerId, payload = {} } = message;
+  const fields = [type, `${namespace}/${room}`, sourcePeerId || '', targetPeerId || ''];
+
+  if (type !== 'file-chunk') {
+    return encoder.encode([...fields, JSON.stringify(payload)].join('\n'));
+  }
+
+  const head = encoder.encode(`${[...fields, payload.transferId, payload.chunkIndex, Number(payload.flags) || 0].join('\n')}\n`);
+  const data = typeof payload.data === 'string' ? fromBase64(payload.data) : payload.data;
+  const content = new Uint8Array(head.byteLength + data.byteLength);
+  content.set(head);
+  content.set(data, head.byteLength);
+  return content;
+}
+
+export async function verifySignature(message) {
+  if (typeof message.publicKey !== 'string' || typeof message.signature !== 'string') return false;
+
+  try {
+    let key = importedKeys.get(message.publicKey);
+    if (!key) {
+      key = await crypto.subtle.importKey('raw', fromBase64(message.publicKey), KEY_ALGORITHM, false, ['verify']);
+      if (importedKeys.size >= MAX_IMPORTED_KEYS) importedKeys.clear();
+      importedKeys.set(message.publicKey, key);
+    }
+    return await crypto.subtle.verify(SIGN_ALGORITHM, key, fromBase64(message.signature), signedContent(message));
+  } catch (_err) {
+    return false;
+  }
+}
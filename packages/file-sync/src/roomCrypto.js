@@ -0,0 +1,73 @@
+// End-to-end encryption of room traffic. Every peer derives the same AES-GCM key from the
+// room passphrase (PBKDF2) or an invite secret (HKDF), salted with the namespace and room,
+// so the signaling server only ever relays ciphertext. The routing fields it still reads
+// are bound to each ciphertext as additional data and can't be rewritten unnoticed.
+
+const PBKDF2_ITERATIONS = 600_000;
+const IV_BYTES = 12;
+const KEY_ALGORITHM = { name: 'AES-GCM', length: 256 };
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+export async function deriveRoomKey({ passphrase = null, secret = null, namespace, room }) {
+  const salt = encoder.encode(`browser-sync/${namespace}/${room}`);
+  const usages = ['encrypt', 'decrypt'];
+
+  if (passphrase) {
+    const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', hash: 'SHA-256', salt, iterations: PBKDF2_ITERATIONS },
+      material,
+      KEY_ALGORITHM,
+      false,
+      usages
+    );
+  }
+
+  if (secret) {
+    // Invite secrets are random already, so a single HKDF step is enough.
+    const material = await crypto.subtle.importKey('raw', encoder.encode(secret), 'HKDF', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'HKDF', hash: 'SHA-256', salt, info: encoder.encode('browser-sync room key') },
+      material,
+      KEY_ALGORITHM,
+      false,
+      usages
+    );
+  }
+
+  throw new Error('Room encryption needs a passphrase or a secret.');
+}
+
+export function messageAad({ type, namespace, room, sourcePeerId }, ...fields) {
+  return encoder.encode([type, `${namespace}/${room}`, sourcePeerId || '', ...fields].join('\n'));
+}
+
+// Returns the 12-byte IV followed by the ciphertext and tag.
+export async function sealBytes(key, bytes, aad) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData: aad }, key, bytes);
+  const sealed = new Uint8Array(IV_BYTES + ciphertext.byteLength);
+  sealed.set(iv);
+  sealed.set(new Uint8Array(ciphertext), IV_BYTES);
+  return sealed;
+}
+
+// Rejects when the key is wrong or the data or its routing fields were changed.
+export async function openBytes(key, sealed, aad) {
+  const iv = sealed.subarray(0, IV_BYTES);
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv, additionalData: aad },
+    key,
+    sealed.subarray(IV_BYTES)
+  );
+  return new Uint8Array(plaintext);
+}
+
+export function sealJson(key, value, aad) {
+  return sealBytes(key, encoder.encode(JSON.stringify(value)), aad);
+}
+
+export async function openJson(key, sealed, aad) {
+  return JSON.parse(decoder.decode(await openBytes(key, sealed, aad)));
+}
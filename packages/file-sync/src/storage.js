@@ -1,53 +1,225 @@
+import { blockOffsets, splitBlob } from './contentChunking.js';
+import { hashBytes } from './hashing.js';
+import { StorageCipher, decodeJson, encodeJson } from './storageCipher.js';
+
+// File contents live in a block store keyed by each block's SHA-256, and a file is the
+// list of `[hash, size]` blocks it is made of. Identical blocks are stored once for all
+// files of the room, and a download writes each block as soon as it arrives.
+const DEFAULT_BLOCK_BYTES = 64 * 1024;
+
 function encodeSegment(input) {
   return input.replace(/[^a-zA-Z0-9-_]/g, '_');
 }
 
+async function readJsonFile(dirHandle, fileName, cipher = null) {
+  try {
+    const handle = await dirHandle.getFileHandle(fileName);
+    const file = await handle.getFile();
+    return await decodeJson(new Uint8Array(await file.arrayBuffer()), cipher);
+  } catch (_err) {
+    return null;
+  }
+}
+
+async function writeJsonFile(dirHandle, fileName, value, cipher = null) {
+  const handle = await dirHandle.getFileHandle(fileName, { create: true });
+  const writable = await handle.createWritable();
+  await writable.write(await encodeJson(value, cipher));
+  await writable.close();
+}
+
+async function openBlock(blob, cipher) {
+  if (!cipher) return blob;
+  return new Blob([await cipher.open(new Uint8Array(await blob.arrayBuffer()))]);
+}
+
+// Copies files and tombstones into a freshly encrypted store. Partial downloads start over.
+async function importFiles(from, to) {
+  for (const metadata of await from.listFiles()) {
+    await to.putFile({ ...metadata, blob: await from.getFile(metadata.id) });
+  }
+  for (const tombstone of await from.listTombstones()) {
+    await to.putTombstone(tombstone);
+  }
+}
+
+// Writes the blocks of `blob` the store doesn't hold yet and records them in `recipe`.
+// A given block list (from the peer the file came from) is followed instead of cutting
+// again, so every holder of a file slices it the same way.
+async function storeBlocks({ blob, blocks, blockBytes, recipe, hasBlock, writeBlock }) {
+  if (blocks) {
+    recipe.push(...blocks);
+    const offsets = blockOffsets(blocks);
+    for (let index = 0; index < blocks.length; index += 1) {
+      const [hash] = blocks[index];
+      if (await hasBlock(hash)) continue;
+
+      const bytes = new Uint8Array(await blob.slice(offsets[index], offsets[index + 1]).arrayBuffer());
+      if ((await hashBytes(bytes)) !== hash) throw blockMismatchError(hash);
+      await writeBlock(hash, bytes);
+    }
+    return recipe;
+  }
+
+  for await (const { bytes } of splitBlob(blob, blockBytes)) {
+    const hash = await hashBytes(bytes);
+    if (!(await hasBlock(hash))) await writeBlock(hash, bytes);
+    recipe.push([hash, bytes.byteLength]);
+  }
+  return recipe;
+}
+
+function blockMismatchError(hash) {
+  return Object.assign(new Error(`Block ${hash.slice(0, 12)} does not match its hash.`), { code: 'block_mismatch' });
+}
+
+function referencedBlocks(recipes) {
+  const referenced = new Set();
+  recipes.forEach((blocks) => blocks?.forEach(([hash]) => referenced.add(hash)));
+  return referenced;
+}
+
+function metadataOf(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    path: record.path || record.name,
+    type: record.type,
+    size: record.size,
+    updatedAt: record.updatedAt,
+    checksum: record.checksum,
+    version: record.version || {},
+    replicaId: record.replicaId || null,
+    blocks: record.blocks || null
+  };
+}
+
 class OPFSStorage {
-  constructor(namespace, room) {
+  constructor(namespace, room, { blockBytes = DEFAULT_BLOCK_BYTES, encryption = null } = {}) {
     this.namespace = namespace;
     this.room = room;
+    this.blockBytes = blockBytes;
+    this.encryption = encryption;
+    this.cipher = null;
+    this.keyInfo = null;
+    this.appDirName = encryption ? 'browser-sync-opfs-encrypted' : 'browser-sync-opfs';
+    this.keyFileName = '.sync-key.json';
     this.indexFileName = '.sync-index.json';
+    this.tombstoneFileName = '.sync-tombstones.json';
+    this.partialDirName = '.partial';
+    this.blockDirName = '.blocks';
     this.index = new Map();
+    this.tombstones = new Map();
+    this.blocks = new Set();
+    // Block lists of files still being written; their blocks are not garbage yet.
+    this.pendingRecipes = new Set();
   }
 
   async init() {
     const root = await navigator.storage.getDirectory();
-    const appDir = await root.getDirectoryHandle('browser-sync-opfs', { create: true });
-    const nsDir = await appDir.getDirectoryHandle(encodeSegment(this.namespace), { create: true });
-    this.roomDir = await nsDir.getDirectoryHandle(encodeSegment(this.room), { create: true });
+    const appDir = await root.getDirectoryHandle(this.appDirName, { create: true });
+    this.nsDir = await appDir.getDirectoryHandle(encodeSegment(this.namespace), { create: true });
+    this.roomDir = await this.nsDir.getDirectoryHandle(encodeSegment(this.room), { create: true });
+    this.blockDir = await this.roomDir.getDirectoryHandle(this.blockDirName, { create: true });
+    for await (const name of this.blockDir.keys()) {
+      this.blocks.add(name);
+    }
+    if (this.encryption) await this.#openCipher();
     await this.#readIndex();
+    await this.#readTombstones();
+    await this.#migrateWholeFiles();
+    if (this.encryption) await this.#importPlaintext();
+  }
+
+  // Removes the room's storage entirely.
+  async destroy() {
+    await this.nsDir.removeEntry(encodeSegment(this.room), { recursive: true });
   }
 
   async putFile(record) {
-    const fileName = `${record.id}.bin`;
-    const handle = await this.roomDir.getFileHandle(fileName, { create: true });
-    const writable = await handle.createWritable();
-    await writable.write(record.blob);
-    await writable.close();
+    const recipe = [];
+    this.pendingRecipes.add(recipe);
+    try {
+      await storeBlocks({
+        blob: record.blob,
+        blocks: record.blocks,
+        blockBytes: this.blockBytes,
+        recipe,
+        hasBlock: (hash) => this.#hasBlock(hash),
+        writeBlock: (hash, bytes) => this.#writeBlock(hash, bytes)
+      });
+      this.index.set(record.id, metadataOf({ ...record, size: record.blob.size, blocks: recipe }));
+      await this.#writeIndex();
+    } finally {
+      this.pendingRecipes.delete(recipe);
+    }
 
-    this.index.set(record.id, {
-      id: record.id,
-      name: record.name,
-      type: record.type,
-      size: record.blob.size,
-      updatedAt: record.updatedAt,
-      checksum: record.checksum,
-      fileName
-    });
+    return this.index.get(record.id);
+  }
+
+  async updateMetadata(id, patch) {
+    const current = this.index.get(id);
+    if (!current) return null;
 
+    this.index.set(id, { ...current, ...patch, id, blocks: current.blocks });
     await this.#writeIndex();
-    return this.index.get(record.id);
+    return this.index.get(id);
+  }
+
+  async openPartial(transferId, descriptor) {
+    const partialRoot = await this.roomDir.getDirectoryHandle(this.partialDirName, { create: true });
+    const dir = await partialRoot.getDirectoryHandle(encodeSegment(transferId), { create: true });
+    const state = (await readJsonFile(dir, 'state.json', this.cipher)) || { descriptor: { ...descriptor, transferId } };
+    await writeJsonFile(dir, 'state.json', state, this.cipher);
+
+    // Blocks are durable once written, so any block in the store counts as received,
+    // including blocks the file shares with an older version or another file.
+    const { blocks } = state.descriptor;
+    return {
+      received: await this.#heldBlocks(blocks),
+      write: (index, bytes) => this.#putBlock(blocks[index][0], bytes),
+      complete: async () => {
+        const missing = (await this.#heldBlocks(blocks)).filter((held) => !held).length;
+        if (missing) {
+          throw new Error(`Partial download is incomplete (${blocks.length - missing}/${blocks.length} blocks).`);
+        }
+        return this.#readBlocks(blocks);
+      },
+      discard: () => this.discardPartial(transferId)
+    };
+  }
+
+  async listPartials() {
+    const partialRoot = await this.roomDir.getDirectoryHandle(this.partialDirName, { create: true });
+    const partials = [];
+    for await (const handle of partialRoot.values()) {
+      if (handle.kind !== 'directory') continue;
+
+      const state = await readJsonFile(handle, 'state.json', this.cipher);
+      // Partials from before block storage have no block list and start over.
+      if (Array.isArray(state?.descriptor?.blocks)) {
+        partials.push(state.descriptor);
+      } else {
+        await partialRoot.removeEntry(handle.name, { recursive: true }).catch(() => null);
+      }
+    }
+
+    return partials;
+  }
+
+  async discardPartial(transferId) {
+    const partialRoot = await this.roomDir.getDirectoryHandle(this.partialDirName, { create: true });
+    await partialRoot.removeEntry(encodeSegment(transferId), { recursive: true }).catch(() => null);
+    await this.#collectBlocks();
   }
 
   async getFile(id) {
     const metadata = this.index.get(id);
     if (!metadata) return null;
 
-    const handle = await this.roomDir.getFileHandle(metadata.fileName);
-    const file = await handle.getFile();
-
-    return new File([file], metadata.name, {
-      type: metadata.type || file.type,
+    const blob = await this.#readBlocks(metadata.blocks);
+    return new File([blob], metadata.name, {
+      type: metadata.type,
       lastModified: metadata.updatedAt
     });
   }
@@ -64,127 +236,525 @@ class OPFSStorage {
     const metadata = this.index.get(id);
     if (!metadata) return false;
 
-    await this.roomDir.removeEntry(metadata.fileName);
     this.index.delete(id);
     await this.#writeIndex();
+    await this.#collectBlocks();
     return true;
   }
 
   async clear() {
-    for (const metadata of this.index.values()) {
-      await this.roomDir.removeEntry(metadata.fileName);
-    }
-
     this.index.clear();
+    this.tombstones.clear();
     await this.#writeIndex();
+    await this.#writeTombstones();
+    await this.#collectBlocks();
+  }
+
+  async putTombstone(tombstone) {
+    this.tombstones.set(tombstone.id, { ...tombstone });
+    await this.#writeTombstones();
+    return this.tombstones.get(tombstone.id);
+  }
+
+  async getTombstone(id) {
+    return this.tombstones.get(id) || null;
+  }
+
+  async listTombstones() {
+    return [...this.tombstones.values()].sort((a, b) => b.deletedAt - a.deletedAt);
+  }
+
+  async deleteTombstone(id) {
+    if (!this.tombstones.delete(id)) return false;
+    await this.#writeTombstones();
+    return true;
+  }
+
+  async pruneTombstones(deletedBefore) {
+    const removed = [];
+    for (const [id, tombstone] of this.tombstones.entries()) {
+      if (tombstone.deletedAt < deletedBefore) {
+        this.tombstones.delete(id);
+        removed.push(id);
+      }
+    }
+
+    if (removed.length) await this.#writeTombstones();
+    return removed;
+  }
+
+  async #openCipher() {
+    const keyInfo = await readJsonFile(this.roomDir, this.keyFileName);
+    const opened = await StorageCipher.fromPassphrase(this.encryption.passphrase, keyInfo);
+    if (!keyInfo) await writeJsonFile(this.roomDir, this.keyFileName, opened.keyInfo);
+    this.cipher = opened.cipher;
+    this.keyInfo = opened.keyInfo;
+  }
+
+  // The first time a room is stored encrypted, its plaintext storage moves in and is removed.
+  async #importPlaintext() {
+    if (this.keyInfo.imported) return;
+
+    const plain = new OPFSStorage(this.namespace, this.room, { blockBytes: this.blockBytes });
+    await plain.init();
+    await importFiles(plain, this);
+    await plain.destroy();
+    this.keyInfo = { ...this.keyInfo, imported: true };
+    await writeJsonFile(this.roomDir, this.keyFileName, this.keyInfo);
+  }
+
+  async #readTombstones() {
+    const parsed = await readJsonFile(this.roomDir, this.tombstoneFileName, this.cipher);
+    if (Array.isArray(parsed)) {
+      this.tombstones = new Map(parsed.map((entry) => [entry.id, entry]));
+    } else {
+      this.tombstones = new Map();
+      await this.#writeTombstones();
+    }
+  }
+
+  async #writeTombstones() {
+    await writeJsonFile(this.roomDir, this.tombstoneFileName, [...this.tombstones.values()], this.cipher);
   }
 
   async #readIndex() {
-    try {
-      const handle = await this.roomDir.getFileHandle(this.indexFileName);
-      const file = await handle.getFile();
-      const content = await file.text();
-      const parsed = JSON.parse(content);
-      this.index = new Map(parsed.map((entry) => [entry.id, entry]));
-    } catch (_err) {
+    const parsed = await readJsonFile(this.roomDir, this.indexFileName, this.cipher);
+    if (Array.isArray(parsed)) {
+      this.index = new Map(
+        parsed.map((entry) => [entry.id, entry.blocks ? metadataOf(entry) : { ...metadataOf(entry), fileName: entry.fileName }])
+      );
+    } else {
       this.index = new Map();
       await this.#writeIndex();
     }
   }
 
   async #writeIndex() {
-    const handle = await this.roomDir.getFileHandle(this.indexFileName, { create: true });
+    await writeJsonFile(this.roomDir, this.indexFileName, [...this.index.values()], this.cipher);
+  }
+
+  // Files stored whole by earlier versions are moved into the block store once.
+  async #migrateWholeFiles() {
+    for (const entry of [...this.index.values()]) {
+      if (entry.blocks) continue;
+
+      const { fileName, ...metadata } = entry;
+      const file = await this.roomDir
+        .getFileHandle(fileName)
+        .then((handle) => handle.getFile())
+        .catch(() => null);
+      if (file) {
+        await this.putFile({ ...metadata, blob: file });
+      } else {
+        this.index.delete(entry.id);
+        await this.#writeIndex();
+      }
+      await this.roomDir.removeEntry(fileName).catch(() => null);
+    }
+  }
+
+  async #putBlock(hash, bytes) {
+    if ((await hashBytes(bytes)) !== hash) throw blockMismatchError(hash);
+    await this.#writeBlock(hash, bytes);
+  }
+
+  async #writeBlock(hash, bytes) {
+    const name = await this.#blockName(hash);
+    if (this.blocks.has(name)) return;
+
+    const handle = await this.blockDir.getFileHandle(name, { create: true });
     const writable = await handle.createWritable();
-    await writable.write(JSON.stringify([...this.index.values()], null, 2));
+    await writable.write(this.cipher ? await this.cipher.seal(bytes) : bytes);
     await writable.close();
+    this.blocks.add(name);
+  }
+
+  async #readBlocks(blocks) {
+    const parts = await Promise.all(
+      blocks.map(async ([hash]) => {
+        const handle = await this.blockDir.getFileHandle(await this.#blockName(hash));
+        return openBlock(await handle.getFile(), this.cipher);
+      })
+    );
+    return new Blob(parts);
+  }
+
+  // Encrypted stores name blocks by a keyed hash, so the names reveal nothing.
+  #blockName(hash) {
+    return this.cipher ? this.cipher.name(hash) : hash;
+  }
+
+  async #hasBlock(hash) {
+    return this.blocks.has(await this.#blockName(hash));
+  }
+
+  async #heldBlocks(blocks) {
+    return Uint8Array.from(await Promise.all(blocks.map(async ([hash]) => ((await this.#hasBlock(hash)) ? 1 : 0))));
+  }
+
+  async #blockNames(hashes) {
+    return new Set(await Promise.all([...hashes].map((hash) => this.#blockName(hash))));
+  }
+
+  // Removes blocks that no stored file, partial download or write in progress refers to.
+  async #collectBlocks() {
+    const partials = await this.listPartials();
+    const referenced = await this.#blockNames(
+      referencedBlocks([
+        ...[...this.index.values()].map((entry) => entry.blocks),
+        ...partials.map((descriptor) => descriptor.blocks)
+      ])
+    );
+    const garbage = [...this.blocks].filter((name) => !referenced.has(name));
+
+    for (const name of garbage) {
+      if ((await this.#blockNames(referencedBlocks(this.pendingRecipes))).has(name)) continue;
+      this.blocks.delete(name);
+      await this.blockDir.removeEntry(name).catch(() => null);
+    }
   }
 }
 
 class IDBStorage {
-  constructor(namespace, room) {
+  constructor(namespace, room, { blockBytes = DEFAULT_BLOCK_BYTES, encryption = null } = {}) {
     this.namespace = namespace;
     this.room = room;
-    this.dbName = `browser-sync-idb-${namespace}-${room}`;
+    this.blockBytes = blockBytes;
+    this.encryption = encryption;
+    this.cipher = null;
+    this.keyInfo = null;
+    this.dbName = encryption ? `browser-sync-idb-encrypted-${namespace}-${room}` : `browser-sync-idb-${namespace}-${room}`;
     this.storeName = 'files';
+    this.tombstoneStoreName = 'tombstones';
+    this.partialStoreName = 'partials';
+    this.blockStoreName = 'blocks';
+    this.keyStoreName = 'keys';
+    this.blocks = new Set();
+    // Block lists of files still being written; their blocks are not garbage yet.
+    this.pendingRecipes = new Set();
   }
 
   async init() {
     this.db = await new Promise((resolve, reject) => {
-      const request = indexedDB.open(this.dbName, 1);
+      const request = indexedDB.open(this.dbName, 5);
       request.onupgradeneeded = () => {
-        request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          db.createObjectStore(this.storeName, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(this.tombstoneStoreName)) {
+          db.createObjectStore(this.tombstoneStoreName, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(this.partialStoreName)) {
+          db.createObjectStore(this.partialStoreName, { keyPath: 'transferId' });
+        }
+        if (!db.objectStoreNames.contains(this.blockStoreName)) {
+          db.createObjectStore(this.blockStoreName, { keyPath: 'hash' });
+        }
+        if (!db.objectStoreNames.contains(this.keyStoreName)) {
+          db.createObjectStore(this.keyStoreName, { keyPath: 'id' });
+        }
+        // Chunks of partial downloads from before block storage; those partials start over.
+        if (db.objectStoreNames.contains('partial-chunks')) {
+          db.deleteObjectStore('partial-chunks');
+        }
       };
       request.onsuccess = () => resolve(request.result);
       request.onerror = () => reject(request.error);
     });
+
+    // Lets another connection upgrade or delete the database instead of waiting on this one.
+    this.db.onversionchange = () => this.db.close();
+
+    const names = await this.#run('readonly', (store) => store.getAllKeys(), this.blockStoreName);
+    this.blocks = new Set(names);
+    if (this.encryption) await this.#openCipher();
+    await this.#migrateWholeFiles();
+    if (this.encryption) await this.#importPlaintext();
+  }
+
+  // Removes the room's storage entirely.
+  async destroy() {
+    this.db.close();
+    await new Promise((resolve, reject) => {
+      const request = indexedDB.deleteDatabase(this.dbName);
+      request.onsuccess = () => resolve();
+      // The database goes once other tabs close it; nothing needs to wait for that.
+      request.onblocked = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
   }
 
   async putFile(record) {
-    const next = {
-      id: record.id,
-      name: record.name,
-      type: record.type,
-      size: record.blob.size,
-      updatedAt: record.updatedAt,
-      checksum: record.checksum,
-      blob: record.blob
+    const recipe = [];
+    this.pendingRecipes.add(recipe);
+    try {
+      await storeBlocks({
+        blob: record.blob,
+        blocks: record.blocks,
+        blockBytes: this.blockBytes,
+        recipe,
+        hasBlock: (hash) => this.#hasBlock(hash),
+        writeBlock: (hash, bytes) => this.#writeBlock(hash, bytes)
+      });
+      const next = metadataOf({ ...record, size: record.blob.size, blocks: recipe });
+      await this.#putRecord(this.storeName, 'id', next);
+      return next;
+    } finally {
+      this.pendingRecipes.delete(recipe);
+    }
+  }
+
+  async updateMetadata(id, patch) {
+    const current = await this.#getRecord(this.storeName, id);
+    if (!current) return null;
+
+    const next = { ...current, ...patch, id, blocks: current.blocks };
+    await this.#putRecord(this.storeName, 'id', next);
+    return metadataOf(next);
+  }
+
+  async openPartial(transferId, descriptor) {
+    let record = await this.#getRecord(this.partialStoreName, transferId);
+    if (!record) {
+      record = { ...descriptor, transferId };
+      await this.#putRecord(this.partialStoreName, 'transferId', record);
+    }
+
+    // Every block is its own record, so it is durable as soon as its transaction commits.
+    const { blocks } = record;
+    return {
+      received: await this.#heldBlocks(blocks),
+      write: (index, bytes) => this.#putBlock(blocks[index][0], bytes),
+      complete: async () => {
+        const missing = (await this.#heldBlocks(blocks)).filter((held) => !held).length;
+        if (missing) {
+          throw new Error(`Partial download is incomplete (${blocks.length - missing}/${blocks.length} blocks).`);
+        }
+        return this.#readBlocks(blocks);
+      },
+      discard: () => this.discardPartial(transferId)
     };
+  }
 
-    await this.#run('readwrite', (store) => store.put(next));
-    return next;
+  async listPartials() {
+    const records = await this.#getAllRecords(this.partialStoreName);
+    const partials = [];
+    for (const record of records) {
+      // Partials from before block storage have no block list and start over.
+      if (Array.isArray(record.blocks)) {
+        partials.push(record);
+      } else {
+        await this.#deleteRecord(this.partialStoreName, record.transferId);
+      }
+    }
+
+    return partials;
+  }
+
+  async discardPartial(transferId) {
+    await this.#deleteRecord(this.partialStoreName, transferId);
+    await this.#collectBlocks();
   }
 
   async getFile(id) {
-    const record = await this.#run('readonly', (store) => store.get(id));
+    const record = await this.#getRecord(this.storeName, id);
     if (!record) return null;
 
-    return new File([record.blob], record.name, {
+    const blob = await this.#readBlocks(record.blocks);
+    return new File([blob], record.name, {
       type: record.type,
       lastModified: record.updatedAt
     });
   }
 
   async listFiles() {
-    const records = await this.#run('readonly', (store) => store.getAll());
-    return records
-      .map((record) => ({
-        id: record.id,
-        name: record.name,
-        type: record.type,
-        size: record.size,
-        updatedAt: record.updatedAt,
-        checksum: record.checksum
-      }))
-      .sort((a, b) => b.updatedAt - a.updatedAt);
+    const records = await this.#getAllRecords(this.storeName);
+    return records.map(metadataOf).sort((a, b) => b.updatedAt - a.updatedAt);
   }
 
   async getMetadata(id) {
-    const record = await this.#run('readonly', (store) => store.get(id));
+    const record = await this.#getRecord(this.storeName, id);
     if (!record) return null;
 
-    return {
-      id: record.id,
-      name: record.name,
-      type: record.type,
-      size: record.size,
-      updatedAt: record.updatedAt,
-      checksum: record.checksum
-    };
+    return metadataOf(record);
   }
 
   async deleteFile(id) {
-    await this.#run('readwrite', (store) => store.delete(id));
+    await this.#deleteRecord(this.storeName, id);
+    await this.#collectBlocks();
     return true;
   }
 
   async clear() {
     await this.#run('readwrite', (store) => store.clear());
+    await this.#run('readwrite', (store) => store.clear(), this.tombstoneStoreName);
+    await this.#collectBlocks();
+  }
+
+  async putTombstone(tombstone) {
+    const next = { ...tombstone };
+    await this.#putRecord(this.tombstoneStoreName, 'id', next);
+    return next;
+  }
+
+  async getTombstone(id) {
+    return this.#getRecord(this.tombstoneStoreName, id);
+  }
+
+  async listTombstones() {
+    const records = await this.#getAllRecords(this.tombstoneStoreName);
+    return records.sort((a, b) => b.deletedAt - a.deletedAt);
+  }
+
+  async deleteTombstone(id) {
+    await this.#deleteRecord(this.tombstoneStoreName, id);
+    return true;
+  }
+
+  async pruneTombstones(deletedBefore) {
+    const records = await this.listTombstones();
+    const removed = records.filter((record) => record.deletedAt < deletedBefore).map((record) => record.id);
+
+    for (const id of removed) {
+      await this.deleteTombstone(id);
+    }
+
+    return removed;
+  }
+
+  async #openCipher() {
+    const keyInfo = await this.#run('readonly', (store) => store.get('storage'), this.keyStoreName);
+    const opened = await StorageCipher.fromPassphrase(this.encryption.passphrase, keyInfo);
+    if (!keyInfo) await this.#saveKeyInfo(opened.keyInfo);
+    this.cipher = opened.cipher;
+    this.keyInfo = opened.keyInfo;
+  }
+
+  async #saveKeyInfo(keyInfo) {
+    await this.#run('readwrite', (store) => store.put({ ...keyInfo, id: 'storage' }), this.keyStoreName);
+  }
+
+  // The first time a room is stored encrypted, its plaintext storage moves in and is removed.
+  async #importPlaintext() {
+    if (this.keyInfo.imported) return;
+
+    const plain = new IDBStorage(this.namespace, this.room, { blockBytes: this.blockBytes });
+    await plain.init();
+    await importFiles(plain, this);
+    await plain.destroy();
+    this.keyInfo = { ...this.keyInfo, imported: true };
+    await this.#saveKeyInfo(this.keyInfo);
+  }
+
+  // Encrypted stores keep each record sealed under a keyed hash of its key.
+  async #recordKey(key) {
+    return this.cipher ? this.cipher.name(key) : key;
+  }
+
+  async #putRecord(storeName, keyPath, record) {
+    const stored = this.cipher
+      ? { [keyPath]: await this.cipher.name(record[keyPath]), sealed: await encodeJson(record, this.cipher) }
+      : record;
+    await this.#run('readwrite', (store) => store.put(stored), storeName);
+  }
+
+  async #getRecord(storeName, key) {
+    const storedKey = await this.#recordKey(key);
+    const stored = await this.#run('readonly', (store) => store.get(storedKey), storeName);
+    if (!stored) return null;
+    return this.cipher ? decodeJson(stored.sealed, this.cipher) : stored;
+  }
+
+  async #getAllRecords(storeName) {
+    const records = await this.#run('readonly', (store) => store.getAll(), storeName);
+    return this.cipher ? Promise.all(records.map((stored) => decodeJson(stored.sealed, this.cipher))) : records;
+  }
+
+  async #deleteRecord(storeName, key) {
+    const storedKey = await this.#recordKey(key);
+    await this.#run('readwrite', (store) => store.delete(storedKey), storeName);
+  }
+
+  // Files stored whole by earlier versions are moved into the block store once.
+  async #migrateWholeFiles() {
+    const records = await this.#getAllRecords(this.storeName);
+    for (const record of records) {
+      if (record.blocks) continue;
+
+      const { blob, ...metadata } = record;
+      await this.putFile({ ...metadata, blob });
+    }
+  }
+
+  async #putBlock(hash, bytes) {
+    if ((await hashBytes(bytes)) !== hash) throw blockMismatchError(hash);
+    await this.#writeBlock(hash, bytes);
+  }
+
+  async #writeBlock(hash, bytes) {
+    const name = await this.#recordKey(hash);
+    if (this.blocks.has(name)) return;
+
+    const block = { hash: name, blob: new Blob([this.cipher ? await this.cipher.seal(bytes) : bytes]) };
+    await this.#run('readwrite', (store) => store.put(block), this.blockStoreName);
+    this.blocks.add(name);
+  }
+
+  async #readBlocks(blocks) {
+    const names = await Promise.all(blocks.map(([hash]) => this.#recordKey(hash)));
+    const parts = await new Promise((resolve, reject) => {
+      const tx = this.db.transaction(this.blockStoreName, 'readonly');
+      const store = tx.objectStore(this.blockStoreName);
+      const requests = names.map((name) => store.get(name));
+
+      tx.oncomplete = () => {
+        const missing = requests.findIndex((request) => !request.result);
+        if (missing >= 0) {
+          reject(new Error(`Block ${blocks[missing][0].slice(0, 12)} is missing from storage.`));
+          return;
+        }
+        resolve(requests.map((request) => request.result.blob));
+      };
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+    return new Blob(await Promise.all(parts.map((part) => openBlock(part, this.cipher))));
+  }
+
+  async #hasBlock(hash) {
+    return this.blocks.has(await this.#recordKey(hash));
+  }
+
+  async #heldBlocks(blocks) {
+    return Uint8Array.from(await Promise.all(blocks.map(async ([hash]) => ((await this.#hasBlock(hash)) ? 1 : 0))));
+  }
+
+  // Removes blocks that no stored file, partial download or write in progress refers to.
+  async #collectBlocks() {
+    const records = await this.#getAllRecords(this.storeName);
+    const partials = await this.listPartials();
+    const hashes = referencedBlocks([
+      ...records.map((record) => record.blocks),
+      ...partials.map((descriptor) => descriptor.blocks),
+      ...this.pendingRecipes
+    ]);
+    const referenced = new Set(await Promise.all([...hashes].map((hash) => this.#recordKey(hash))));
+    const garbage = [...this.blocks].filter((name) => !referenced.has(name));
+    if (!garbage.length) return;
+
+    garbage.forEach((name) => this.blocks.delete(name));
+    await this.#run(
+      'readwrite',
+      (store) => garbage.map((name) => store.delete(name)).pop(),
+      this.blockStoreName
+    );
   }
 
-  #run(mode, operation) {
+  #run(mode, operation, storeName = this.storeName) {
     return new Promise((resolve, reject) => {
-      const tx = this.db.transaction(this.storeName, mode);
-      const store = tx.objectStore(this.storeName);
+      const tx = this.db.transaction(storeName, mode);
+      const store = tx.objectStore(storeName);
       const request = operation(store);
 
       tx.oncomplete = () => resolve(request.result);
@@ -194,20 +764,25 @@ class IDBStorage {
   }
 }
 
-export async function createFileStorage(namespace, room) {
+// `encryption: { passphrase }` keeps the room encrypted at rest, in storage separate from
+// the plaintext engine's. Opening it without a passphrase fails with `storage_locked`, and
+// with the wrong one with `wrong_passphrase`.
+export async function createFileStorage(namespace, room, { blockBytes = DEFAULT_BLOCK_BYTES, encryption = null } = {}) {
   if (navigator.storage?.getDirectory) {
-    const opfsStorage = new OPFSStorage(namespace, room);
+    const opfsStorage = new OPFSStorage(namespace, room, { blockBytes, encryption });
     await opfsStorage.init();
     return {
       engine: 'opfs',
-      api: opfsStorage
+      api: opfsStorage,
+      encrypted: Boolean(encryption)
     };
   }
 
-  const idbStorage = new IDBStorage(namespace, room);
+  const idbStorage = new IDBStorage(namespace, room, { blockBytes, encryption });
   await idbStorage.init();
   return {
     engine: 'indexeddb',
-    api: idbStorage
+    api: idbStorage,
+    encrypted: Boolean(encryption)
   };
 }
@@ -0,0 +1,91 @@
+// At-rest encryption for file storage. Both keys are derived from a passphrase and are not
+// extractable: AES-GCM seals every block and record, and HMAC turns block hashes and file
+// ids into storage names that say nothing about the content. The salt and a sealed check
+// value are stored in the clear, so a wrong passphrase is told apart from corrupt data.
+
+import { fromBase64, toBase64, toHex } from './encoding.js';
+
+const PBKDF2_ITERATIONS = 600_000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const CHECK_TEXT = 'browser-sync storage key';
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+export class StorageCipher {
+  constructor(key, nameKey) {
+    this.key = key;
+    this.nameKey = nameKey;
+  }
+
+  // `keyInfo` is the stored `{ salt, check }`; without it a new salt and check are made.
+  static async fromPassphrase(passphrase, keyInfo = null) {
+    if (!passphrase) {
+      throw Object.assign(new Error('Storage is locked.'), { code: 'storage_locked' });
+    }
+
+    const salt = keyInfo ? fromBase64(keyInfo.salt) : crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', hash: 'SHA-256', salt, iterations: PBKDF2_ITERATIONS },
+      material,
+      256
+    );
+    const base = await crypto.subtle.importKey('raw', bits, 'HKDF', false, ['deriveKey']);
+    const derive = (info, algorithm, usages) =>
+      crypto.subtle.deriveKey(
+        { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: encoder.encode(info) },
+        base,
+        algorithm,
+        false,
+        usages
+      );
+
+    const cipher = new StorageCipher(
+      await derive('browser-sync storage data', { name: 'AES-GCM', length: 256 }, ['encrypt', 'decrypt']),
+      await derive('browser-sync storage names', { name: 'HMAC', hash: 'SHA-256' }, ['sign'])
+    );
+
+    if (!keyInfo) {
+      return { cipher, keyInfo: { salt: toBase64(salt), check: toBase64(await cipher.seal(encoder.encode(CHECK_TEXT))) } };
+    }
+
+    const opened = await cipher.open(fromBase64(keyInfo.check)).catch(() => null);
+    if (!opened || decoder.decode(opened) !== CHECK_TEXT) {
+      throw Object.assign(new Error('Wrong storage passphrase.'), { code: 'wrong_passphrase' });
+    }
+    return { cipher, keyInfo };
+  }
+
+  async name(value) {
+    return toHex(new Uint8Array(await crypto.subtle.sign('HMAC', this.nameKey, encoder.encode(value))));
+  }
+
+  async seal(bytes) {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, this.key, bytes);
+    const sealed = new Uint8Array(IV_BYTES + ciphertext.byteLength);
+    sealed.set(iv);
+    sealed.set(new Uint8Array(ciphertext), IV_BYTES);
+    return sealed;
+  }
+
+  async open(sealed) {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: sealed.subarray(0, IV_BYTES) },
+      this.key,
+      sealed.subarray(IV_BYTES)
+    );
+    return new Uint8Array(plaintext);
+  }
+}
+
+// JSON as stored on disk: plain UTF-8, or sealed when a cipher is given.
+export async function encodeJson(value, cipher) {
+  const bytes = encoder.encode(JSON.stringify(value));
+  return cipher ? cipher.seal(bytes) : bytes;
+}
+
+export async function decodeJson(bytes, cipher) {
+  return JSON.parse(decoder.decode(cipher ? await cipher.open(bytes) : bytes));
+}
@@ -0,0 +1,84 @@
+// Receiver-side scheduling for downloads served by several holders of the same file.
+// Files are content-addressed, so every holder slices identical chunks. Missing chunks
+// are handed out in blocks, a few per holder at a time; a block goes back to the pool
+// when its holder finishes the pass with chunks still missing or leaves the room.
+
+export const SWARM_BLOCK_CHUNKS = 32;
+export const SWARM_BLOCKS_PER_PEER = 2;
+
+export class SwarmScheduler {
+  constructor(received) {
+    this.received = received;
+    this.assigned = new Uint8Array(received.length);
+    this.peers = new Map();
+    this.contributions = new Map();
+  }
+
+  addPeer(peerId) {
+    if (!this.peers.has(peerId)) this.peers.set(peerId, []);
+  }
+
+  removePeer(peerId) {
+    this.release(peerId);
+    this.peers.delete(peerId);
+  }
+
+  onChunk(peerId) {
+    this.contributions.set(peerId, (this.contributions.get(peerId) || 0) + 1);
+  }
+
+  // Frees the peer's blocks that overlap `ranges`, or all of them when no ranges are given.
+  release(peerId, ranges = null) {
+    const blocks = this.peers.get(peerId);
+    if (!blocks) return;
+
+    const overlaps = ([start, end]) => !ranges || ranges.some(([from, to]) => from < end && to > start);
+    const kept = blocks.filter((block) => !overlaps(block));
+    blocks.filter(overlaps).forEach(([start, end]) => this.assigned.fill(0, start, end));
+    this.peers.set(peerId, kept);
+  }
+
+  reset() {
+    this.assigned.fill(0);
+    for (const peerId of this.peers.keys()) this.peers.set(peerId, []);
+  }
+
+  // Returns the `[peerId, [start, end)]` blocks to request now.
+  assign() {
+    const requests = [];
+    let cursor = 0;
+
+    while (true) {
+      const idle = [...this.peers.entries()]
+        .filter(([, blocks]) => blocks.length < SWARM_BLOCKS_PER_PEER)
+        .sort((a, b) => a[1].length - b[1].length);
+      if (!idle.length) break;
+
+      const block = this.#nextFreeBlock(cursor);
+      if (!block) break;
+
+      const [peerId, blocks] = idle[0];
+      blocks.push(block);
+      this.assigned.fill(1, block[0], block[1]);
+      requests.push([peerId, block]);
+      cursor = block[1];
+    }
+
+    return requests;
+  }
+
+  activePeers() {
+    return [...this.peers.entries()].filter(([, blocks]) => blocks.length).map(([peerId]) => peerId);
+  }
+
+  #nextFreeBlock(from) {
+    const isFree = (index) => !this.received[index] && !this.assigned[index];
+    let start = from;
+    while (start < this.received.length && !isFree(start)) start += 1;
+    if (start >= this.received.length) return null;
+
+    let end = start;
+    while (end < this.received.length && end - start < SWARM_BLOCK_CHUNKS && isFree(end)) end += 1;
+    return [start, end];
+  }
+}
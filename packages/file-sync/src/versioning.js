@@ -0,0 +1,81 @@
+// Version vectors for logical files. A file's logical identity is its `path`; every
+// write bumps the writing replica's counter, so two versions of the same path are
+// either ordered (one saw the other) or concurrent (a conflict).
+
+export const CONFLICT_STRATEGIES = ['last-writer-wins', 'keep-both', 'manual'];
+
+export function createReplicaId() {
+  if (crypto?.randomUUID) return crypto.randomUUID();
+  return `replica-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+}
+
+export function loadReplicaId(storageKey = 'browser-sync-replica-id') {
+  try {
+    const existing = globalThis.localStorage?.getItem(storageKey);
+    if (existing) return existing;
+
+    const next = createReplicaId();
+    globalThis.localStorage?.setItem(storageKey, next);
+    return next;
+  } catch (_err) {
+    return createReplicaId();
+  }
+}
+
+export function compareVersions(a = {}, b = {}) {
+  let aAhead = false;
+  let bAhead = false;
+
+  for (const key of new Set([...Object.keys(a || {}), ...Object.keys(b || {})])) {
+    const left = Number(a?.[key] || 0);
+    const right = Number(b?.[key] || 0);
+    if (left > right) aAhead = true;
+    if (right > left) bAhead = true;
+  }
+
+  if (aAhead && bAhead) return 'concurrent';
+  if (aAhead) return 'after';
+  if (bAhead) return 'before';
+  return 'equal';
+}
+
+export function mergeVersions(...versions) {
+  const merged = {};
+  for (const version of versions) {
+    for (const [key, value] of Object.entries(version || {})) {
+      merged[key] = Math.max(merged[key] || 0, Number(value) || 0);
+    }
+  }
+
+  return merged;
+}
+
+export function bumpVersion(version, replicaId) {
+  return {
+    ...(version || {}),
+    [replicaId]: Number(version?.[replicaId] || 0) + 1
+  };
+}
+
+// Deterministic "who wrote last" order, so every peer picks the same winner.
+export function compareWriters(a, b) {
+  const byTime = Number(a.updatedAt || 0) - Number(b.updatedAt || 0);
+  if (byTime !== 0) return byTime;
+
+  const byReplica = String(a.replicaId || '').localeCompare(String(b.replicaId || ''));
+  if (byReplica !== 0) return byReplica;
+
+  return String(a.id).localeCompare(String(b.id));
+}
+
+export function conflictCopyName(name, { replicaId, updatedAt }) {
+  const dot = name.lastIndexOf('.');
+  const base = dot > 0 ? name.slice(0, dot) : name;
+  const ext = dot > 0 ? name.slice(dot) : '';
+  const day = new Date(Number(updatedAt) || 0).toISOString().slice(0, 10);
+  return `${base} (conflict ${String(replicaId || 'unknown').slice(0, 8)} ${day})${ext}`;
+}
+
+export function conflictIdOf(path, idA, idB) {
+  return [path, ...[idA, idB].sort()].join('::');
+}
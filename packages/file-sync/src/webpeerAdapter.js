@@ -1,22 +1,405 @@
+import { decodeChunkFrame, encodeChunkFrame, isBinaryChunkMessage } from './chunkFrame.js';
+
+const DEFAULT_CONNECT_TIMEOUT_MS = 8000;
+const DEFAULT_HEARTBEAT_INTERVAL_MS = 15_000;
+const HEALTH_PROBE_TIMEOUT_MS = 1800;
+const HEARTBEAT_TIMEOUT_CLOSE_CODE = 4000;
+const KICKED_CLOSE_CODE = 4001;
+// Sent by the signaling server itself; only the signaling socket may deliver them.
+const MODERATION_MESSAGE_TYPES = new Set(['kicked', 'room-locked', 'forced-delete', 'moderation-result']);
+const DATA_CHANNEL_LABEL = 'browser-sync';
+const DATA_CHANNEL_HIGH_WATER_BYTES = 1024 * 1024;
+const DATA_CHANNEL_LOW_WATER_BYTES = 256 * 1024;
+// All frames of a transfer share one path per peer, so the ordered channel keeps them in sequence.
+const PEER_TO_PEER_MESSAGE_TYPES = new Set(['file-transfer-start', 'file-chunk', 'file-transfer-complete']);
+
 function randomId() {
   if (crypto?.randomUUID) return crypto.randomUUID();
   return `peer-${Date.now()}-${Math.random().toString(16).slice(2)}`;
 }
 
-function createBroadcastFallback({ namespace, room }) {
+function normalizeSignalUrl(url) {
+  const next = new URL(url, globalThis.location?.origin);
+  if (next.protocol === 'http:') next.protocol = 'ws:';
+  if (next.protocol === 'https:') next.protocol = 'wss:';
+  return next;
+}
+
+function sanitizeUrlForLog(url) {
+  const next = new URL(url.toString());
+  next.search = '';
+  next.hash = '';
+  return next.toString();
+}
+
+function httpUrlFromWs(wsUrl, pathname) {
+  const next = new URL(wsUrl.toString());
+  if (next.protocol === 'ws:') next.protocol = 'http:';
+  if (next.protocol === 'wss:') next.protocol = 'https:';
+  next.pathname = pathname;
+  next.search = '';
+  next.hash = '';
+  return next;
+}
+
+function httpHealthUrlFromWs(wsUrl) {
+  return httpUrlFromWs(wsUrl, '/health');
+}
+
+async function probeSignalingHealth(wsUrl) {
+  const healthUrl = httpHealthUrlFromWs(wsUrl);
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), HEALTH_PROBE_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(healthUrl.toString(), {
+      method: 'GET',
+      cache: 'no-store',
+      signal: controller.signal
+    });
+    return {
+      healthUrl: healthUrl.toString(),
+      reachable: true,
+      status: response.status
+    };
+  } catch (err) {
+    return {
+      healthUrl: healthUrl.toString(),
+      reachable: false,
+      status: null,
+      error: err.message
+    };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+async function postToSignalingServer(signalingUrl, pathname, body, token = null) {
+  const url = httpUrlFromWs(normalizeSignalUrl(signalingUrl), pathname);
+  const response = await fetch(url.toString(), {
+    method: 'POST',
+    cache: 'no-store',
+    headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: JSON.stringify(body)
+  });
+  return { response, body: await response.json().catch(() => ({})) };
+}
+
+// Exchanges an invite code at the signaling server for `{ token, namespace, room, role, expiresAt }`.
+export async function redeemInvite({ signalingUrl, code }) {
+  const { response, body } = await postToSignalingServer(signalingUrl, '/invites/redeem', { code });
+  if (!response.ok) {
+    throw Object.assign(new Error(`Invite code was rejected: ${body.reason || `HTTP ${response.status}`}`), {
+      code: 'invite_rejected',
+      reason: body.reason || null,
+      status: response.status,
+      retryAfterMs: body.retryAfterMs ?? null
+    });
+  }
+  return body;
+}
+
+// Runs a moderation action (`kick`, `ban`, `unban`, `lock`, `unlock`, `delete`); needs an admin token.
+export async function moderateRoom({ signalingUrl, token, action, ...params }) {
+  const { response, body } = await postToSignalingServer(signalingUrl, `/moderation/${action}`, params, token);
+  if (!response.ok) {
+    throw Object.assign(new Error(`Moderation ${action} failed: ${body.error || `HTTP ${response.status}`}`), {
+      code: 'moderation_failed',
+      reason: body.reason || null,
+      status: response.status
+    });
+  }
+  return body;
+}
+
+export function closeCodeHint(code) {
+  if (code === 1008) return 'Policy/auth rejection (possibly invalid or missing token).';
+  if (code === 1006) return 'Abnormal close (server unreachable, handshake rejected, or network blocked).';
+  if (code === 1011) return 'Server-side internal error.';
+  if (code === 1009) return 'Message too big for the server (see its MAX_PAYLOAD_BYTES).';
+  if (code === 1000) return 'Normal close.';
+  if (code === HEARTBEAT_TIMEOUT_CLOSE_CODE) return 'Heartbeat timeout (no heartbeat-ack from server).';
+  if (code === KICKED_CLOSE_CODE) return 'Removed from the room by a moderator.';
+  if (!code) return 'No close code reported.';
+  return `Close code ${code}.`;
+}
+
+function parseFrame(data) {
+  try {
+    return JSON.parse(String(data));
+  } catch (_err) {
+    return null;
+  }
+}
+
+async function createWebSocketTransport({
+  namespace,
+  room,
+  signalingUrl,
+  token,
+  peerId: requestedPeerId,
+  displayName,
+  connectTimeoutMs = DEFAULT_CONNECT_TIMEOUT_MS,
+  heartbeatIntervalMs = DEFAULT_HEARTBEAT_INTERVAL_MS
+}) {
+  if (!signalingUrl) {
+    throw new Error('WebSocket transport requires signalingUrl.');
+  }
+
+  const handlers = new Set();
+  const errorHandlers = new Set();
+  const closeHandlers = new Set();
+  const moderationHandlers = new Set();
+  let peerId = requestedPeerId || randomId();
+  let role = null;
+  let storesBacklog = false;
+  let lastHeartbeatAckAt = Date.now();
+  let heartbeatTimer = null;
+  let closedByClient = false;
+
+  const wsUrl = normalizeSignalUrl(signalingUrl);
+  wsUrl.searchParams.set('namespace', namespace);
+  wsUrl.searchParams.set('room', room);
+  wsUrl.searchParams.set('peerId', peerId);
+  if (token) wsUrl.searchParams.set('token', token);
+  if (displayName) wsUrl.searchParams.set('displayName', displayName);
+
+  const ws = new WebSocket(wsUrl.toString());
+  ws.binaryType = 'arraybuffer';
+
+  // The roster can arrive in the same task as the welcome, before anyone has subscribed.
+  let earlyMessages = [];
+  let onWelcome = null;
+  const deliver = (message) => {
+    if (earlyMessages) earlyMessages.push(message);
+    else handlers.forEach((handler) => handler(message));
+  };
+
+  ws.addEventListener('message', (event) => {
+    if (event.data instanceof ArrayBuffer) {
+      const chunk = decodeChunkFrame(event.data);
+      if (chunk) deliver({ ...chunk, namespace, room });
+      return;
+    }
+
+    const parsed = parseFrame(event.data);
+    if (!parsed) return;
+
+    if (parsed.type === 'welcome') {
+      if (parsed.peerId) peerId = parsed.peerId;
+      role = parsed.role || null;
+      storesBacklog = parsed.backlog === true;
+      onWelcome?.();
+      return;
+    }
+
+    if (parsed.type === 'heartbeat-ack') {
+      lastHeartbeatAckAt = Date.now();
+      return;
+    }
+
+    if (parsed.type === 'error') {
+      // A rate-limited heartbeat gets no ack, but the answer shows the server is still there.
+      if (parsed.code === 'rate_limited') lastHeartbeatAckAt = Date.now();
+      const err = new Error(`Signaling error: ${parsed.code || 'unknown'}`);
+      err.code = parsed.code || 'unknown';
+      err.details = parsed;
+      errorHandlers.forEach((handler) => handler(err));
+      return;
+    }
+
+    if (MODERATION_MESSAGE_TYPES.has(parsed.type)) {
+      moderationHandlers.forEach((handler) => handler(parsed));
+      return;
+    }
+
+    deliver(parsed);
+  });
+
+  await new Promise((resolve, reject) => {
+    let settled = false;
+    let sawError = false;
+
+    const cleanup = () => {
+      clearTimeout(timeoutId);
+      ws.removeEventListener('error', onError);
+      ws.removeEventListener('close', onClose);
+    };
+
+    const failWithDiagnostics = async ({ stage, closeEvent = null }) => {
+      if (settled) return;
+      settled = true;
+      cleanup();
+
+      const healthProbe = await probeSignalingHealth(wsUrl);
+      const mixedContentBlocked = globalThis.location?.protocol === 'https:' && wsUrl.protocol === 'ws:';
+      const details = {
+        stage,
+        signalingUrl: sanitizeUrlForLog(wsUrl),
+        closeCode: closeEvent?.code || null,
+        closeReason: closeEvent?.reason || null,
+        sawError,
+        tokenProvided: Boolean(token),
+        mixedContentBlocked,
+        healthProbe,
+        closeCodeHint: closeCodeHint(closeEvent?.code)
+      };
+
+      let message = `Unable to connect signaling (${details.closeCodeHint})`;
+      if (mixedContentBlocked) {
+        message += ' HTTPS page cannot use ws://. Use wss://.';
+      } else if (!healthProbe.reachable) {
+        message += ' Signaling server appears unreachable.';
+      } else if (!token) {
+        message += ' If server requires auth, provide a token.';
+      }
+
+      if (ws.readyState === WebSocket.CONNECTING || ws.readyState === WebSocket.OPEN) {
+        ws.close();
+      }
+
+      const err = new Error(message);
+      err.details = details;
+      reject(err);
+    };
+
+    // The server's welcome carries this peer's role, so the socket is ready once it arrives.
+    onWelcome = () => {
+      if (settled) return;
+      settled = true;
+      cleanup();
+      resolve();
+    };
+
+    const onError = () => {
+      sawError = true;
+      if (ws.readyState === WebSocket.CLOSED || ws.readyState === WebSocket.CLOSING) {
+        void failWithDiagnostics({ stage: 'error' });
+      }
+    };
+
+    const onClose = (event) => {
+      if (settled) return;
+      void failWithDiagnostics({ stage: 'close', closeEvent: event });
+    };
+
+    const timeoutId = setTimeout(() => {
+      void failWithDiagnostics({ stage: 'timeout' });
+    }, connectTimeoutMs);
+
+    ws.addEventListener('error', onError);
+    ws.addEventListener('close', onClose, { once: true });
+  });
+
+  ws.addEventListener('close', (event) => {
+    clearInterval(heartbeatTimer);
+    if (closedByClient) return;
+
+    const details = {
+      stage: 'closed',
+      signalingUrl: sanitizeUrlForLog(wsUrl),
+      closeCode: event.code || null,
+      closeReason: event.reason || null,
+      closeCodeHint: closeCodeHint(event.code)
+    };
+    closeHandlers.forEach((handler) => handler(details));
+  });
+
+  heartbeatTimer = setInterval(() => {
+    if (ws.readyState !== WebSocket.OPEN) return;
+
+    if (Date.now() - lastHeartbeatAckAt > heartbeatIntervalMs * 3) {
+      ws.close(HEARTBEAT_TIMEOUT_CLOSE_CODE, 'heartbeat timeout');
+      return;
+    }
+
+    ws.send(JSON.stringify({ type: 'heartbeat' }));
+  }, heartbeatIntervalMs);
+
+  return {
+    type: 'websocket',
+    binary: true,
+    get peerId() {
+      return peerId;
+    },
+    // `read`, `write` or `admin`, as granted by the server's access token check.
+    get role() {
+      return role;
+    },
+    // Whether the server keeps room broadcasts for peers that join later.
+    get storesBacklog() {
+      return storesBacklog;
+    },
+    get lastHeartbeatAckAt() {
+      return lastHeartbeatAckAt;
+    },
+    get bufferedAmount() {
+      return ws.bufferedAmount;
+    },
+    async send(data) {
+      if (ws.readyState !== WebSocket.OPEN) {
+        throw new Error('Signaling socket is not open.');
+      }
+
+      ws.send(isBinaryChunkMessage(data) ? encodeChunkFrame(data) : JSON.stringify(data));
+    },
+    onMessage(handler) {
+      handlers.add(handler);
+      if (earlyMessages) {
+        const queued = earlyMessages;
+        earlyMessages = null;
+        queued.forEach((message) => handler(message));
+      }
+      return () => handlers.delete(handler);
+    },
+    onError(handler) {
+      errorHandlers.add(handler);
+      return () => errorHandlers.delete(handler);
+    },
+    onModeration(handler) {
+      moderationHandlers.add(handler);
+      return () => moderationHandlers.delete(handler);
+    },
+    onClose(handler) {
+      closeHandlers.add(handler);
+      return () => closeHandlers.delete(handler);
+    },
+    async disconnect() {
+      closedByClient = true;
+      clearInterval(heartbeatTimer);
+      if (ws.readyState === WebSocket.CLOSED || ws.readyState === WebSocket.CLOSING) {
+        return;
+      }
+
+      await new Promise((resolve) => {
+        ws.addEventListener('close', resolve, { once: true });
+        ws.close();
+      });
+    }
+  };
+}
+
+function createBroadcastFallback({ namespace, room, peerId: requestedPeerId }) {
+  const peerId = requestedPeerId || randomId();
   const channel = new BroadcastChannel(`browser-sync-${namespace}-${room}`);
   const handlers = new Set();
-  const peerId = randomId();
 
   channel.addEventListener('message', (event) => {
+    if (event.data instanceof ArrayBuffer) {
+      const chunk = decodeChunkFrame(event.data);
+      if (chunk) handlers.forEach((handler) => handler({ ...chunk, namespace, room }));
+      return;
+    }
+
     handlers.forEach((handler) => handler(event.data));
   });
 
   return {
     type: 'broadcast-fallback',
+    binary: true,
     peerId,
     async send(data) {
-      channel.postMessage(data);
+      channel.postMessage(isBinaryChunkMessage(data) ? encodeChunkFrame(data) : data);
     },
     onMessage(handler) {
       handlers.add(handler);
@@ -28,6 +411,330 @@ function createBroadcastFallback({ namespace, room }) {
   };
 }
 
+async function isRelayedConnection(pc) {
+  try {
+    const stats = await pc.getStats();
+    let selectedPair = null;
+
+    stats.forEach((report) => {
+      if (report.type === 'transport' && report.selectedCandidatePairId) {
+        selectedPair = stats.get(report.selectedCandidatePairId);
+      }
+    });
+
+    if (!selectedPair) {
+      stats.forEach((report) => {
+        if (report.type === 'candidate-pair' && report.nominated && report.state === 'succeeded') {
+          selectedPair = report;
+        }
+      });
+    }
+
+    const localCandidate = selectedPair ? stats.get(selectedPair.localCandidateId) : null;
+    return localCandidate?.candidateType === 'relay';
+  } catch (_err) {
+    return false;
+  }
+}
+
+function waitForBufferedAmountLow(channel) {
+  if (channel.bufferedAmount <= DATA_CHANNEL_HIGH_WATER_BYTES) return Promise.resolve();
+
+  return new Promise((resolve) => {
+    const done = () => {
+      channel.removeEventListener('bufferedamountlow', done);
+      channel.removeEventListener('close', done);
+      resolve();
+    };
+
+    channel.addEventListener('bufferedamountlow', done);
+    channel.addEventListener('close', done);
+  });
+}
+
+// Builds a full RTCDataChannel mesh between peers of one room. Offers, answers and ICE
+// candidates travel over the signaling socket as messages targeted at one peer; the peer
+// with the lower peerId makes the offer so two peers never offer to each other at once.
+async function createWebRtcMeshTransport({
+  namespace,
+  room,
+  signalingUrl,
+  token,
+  peerId,
+  displayName,
+  heartbeatIntervalMs,
+  iceServers,
+  rtcPeerConnection = globalThis.RTCPeerConnection
+}) {
+  if (typeof rtcPeerConnection !== 'function') {
+    throw new Error('WebRTC transport requires RTCPeerConnection (pass rtcPeerConnection outside browsers).');
+  }
+
+  const signaling = await createWebSocketTransport({
+    namespace,
+    room,
+    signalingUrl,
+    token,
+    peerId,
+    displayName,
+    heartbeatIntervalMs
+  });
+
+  const handlers = new Set();
+  const links = new Map();
+  const meshPeers = new Set();
+  // Everyone else in the room, mesh or not, from the roster and join/leave notices.
+  const roomPeers = new Set();
+
+  const emitMessage = (message) => {
+    handlers.forEach((handler) => handler(message));
+  };
+
+  const sendSignal = (targetPeerId, type, body = {}) =>
+    signaling.send({ type, targetPeerId, ...body }).catch(() => null);
+
+  const reportIceState = async (pc, iceState) => {
+    const relayUsed = iceState === 'connected' ? await isRelayedConnection(pc) : false;
+    await signaling
+      .send({
+        type: 'telemetry',
+        iceState,
+        relayUsed,
+        failureReason: iceState === 'failed' ? 'candidate-pair-failed' : undefined
+      })
+      .catch(() => null);
+  };
+
+  const closeLink = (remotePeerId) => {
+    const link = links.get(remotePeerId);
+    if (!link) return;
+
+    links.delete(remotePeerId);
+    link.channel?.close();
+    link.pc.close();
+  };
+
+  const attachChannel = (link, channel) => {
+    link.channel = channel;
+    channel.binaryType = 'arraybuffer';
+    channel.bufferedAmountLowThreshold = DATA_CHANNEL_LOW_WATER_BYTES;
+    channel.addEventListener('message', (event) => {
+      if (event.data instanceof ArrayBuffer) {
+        const chunk = decodeChunkFrame(event.data);
+        if (chunk) emitMessage({ ...chunk, namespace, room });
+        return;
+      }
+
+      const parsed = parseFrame(event.data);
+      if (parsed) emitMessage(parsed);
+    });
+    channel.addEventListener('close', () => {
+      if (link.channel === channel) link.channel = null;
+    });
+  };
+
+  const openLink = (remotePeerId) => {
+    closeLink(remotePeerId);
+
+    const pc = new rtcPeerConnection({ iceServers });
+    const link = { pc, channel: null, pendingCandidates: [] };
+    links.set(remotePeerId, link);
+
+    pc.addEventListener('icecandidate', (event) => {
+      if (!event.candidate) return;
+      const candidate = typeof event.candidate.toJSON === 'function' ? event.candidate.toJSON() : event.candidate;
+      sendSignal(remotePeerId, 'rtc-ice', { candidate });
+    });
+
+    pc.addEventListener('connectionstatechange', () => {
+      const state = pc.connectionState;
+      if (state === 'connected' || state === 'failed') {
+        void reportIceState(pc, state);
+      }
+
+      if ((state === 'failed' || state === 'closed') && links.get(remotePeerId) === link) {
+        closeLink(remotePeerId);
+      }
+    });
+
+    pc.addEventListener('datachannel', (event) => {
+      if (event.channel.label === DATA_CHANNEL_LABEL) attachChannel(link, event.channel);
+    });
+
+    return link;
+  };
+
+  const flushCandidates = async (link) => {
+    const queued = link.pendingCandidates;
+    link.pendingCandidates = [];
+    for (const candidate of queued) {
+      await link.pc.addIceCandidate(candidate).catch(() => null);
+    }
+  };
+
+  const offerTo = async (remotePeerId) => {
+    const link = openLink(remotePeerId);
+    attachChannel(link, link.pc.createDataChannel(DATA_CHANNEL_LABEL, { ordered: true }));
+
+    await link.pc.setLocalDescription(await link.pc.createOffer());
+    await sendSignal(remotePeerId, 'rtc-offer', { sdp: link.pc.localDescription });
+  };
+
+  const handleSignal = async (message) => {
+    const remotePeerId = message.sourcePeerId;
+    if (!remotePeerId || remotePeerId === signaling.peerId) return;
+
+    if (message.type === 'rtc-hello') {
+      meshPeers.add(remotePeerId);
+      // A fresh hello means the remote side (re)joined, so any old link is stale.
+      if (!message.reply) {
+        closeLink(remotePeerId);
+        await sendSignal(remotePeerId, 'rtc-hello', { reply: true });
+      }
+
+      if (signaling.peerId < remotePeerId && !links.has(remotePeerId)) {
+        await offerTo(remotePeerId);
+      }
+      return;
+    }
+
+    if (message.type === 'rtc-bye') {
+      meshPeers.delete(remotePeerId);
+      closeLink(remotePeerId);
+      return;
+    }
+
+    if (message.type === 'rtc-offer') {
+      meshPeers.add(remotePeerId);
+      const link = openLink(remotePeerId);
+      await link.pc.setRemoteDescription(message.sdp);
+      await flushCandidates(link);
+      await link.pc.setLocalDescription(await link.pc.createAnswer());
+      await sendSignal(remotePeerId, 'rtc-answer', { sdp: link.pc.localDescription });
+      return;
+    }
+
+    const link = links.get(remotePeerId);
+    if (!link) return;
+
+    if (message.type === 'rtc-answer') {
+      await link.pc.setRemoteDescription(message.sdp);
+      await flushCandidates(link);
+      return;
+    }
+
+    if (message.type === 'rtc-ice') {
+      if (link.pc.remoteDescription) {
+        await link.pc.addIceCandidate(message.candidate).catch(() => null);
+      } else {
+        link.pendingCandidates.push(message.candidate);
+      }
+    }
+  };
+
+  signaling.onError((err) => {
+    if (err.code !== 'unknown_peer' || !err.details?.targetPeerId) return;
+    meshPeers.delete(err.details.targetPeerId);
+    closeLink(err.details.targetPeerId);
+  });
+
+  signaling.onMessage((message) => {
+    if (message.targetPeerId && message.targetPeerId !== signaling.peerId) return;
+
+    if (typeof message.type === 'string' && message.type.startsWith('rtc-')) {
+      handleSignal(message).catch(() => null);
+      return;
+    }
+
+    if (message.type === 'roster') {
+      (message.peers || []).forEach((peer) => roomPeers.add(peer.peerId));
+    } else if (message.type === 'peer-joined' && message.peer?.peerId) {
+      roomPeers.add(message.peer.peerId);
+    } else if (message.type === 'peer-left') {
+      roomPeers.delete(message.peerId);
+      meshPeers.delete(message.peerId);
+      closeLink(message.peerId);
+    }
+
+    emitMessage(message);
+  });
+
+  await sendSignal(null, 'rtc-hello');
+
+  return {
+    type: 'webrtc-mesh',
+    binary: true,
+    get peerId() {
+      return signaling.peerId;
+    },
+    get role() {
+      return signaling.role;
+    },
+    get meshPeers() {
+      return [...meshPeers].map((remotePeerId) => ({
+        peerId: remotePeerId,
+        channelState: links.get(remotePeerId)?.channel?.readyState || 'none'
+      }));
+    },
+    async send(data) {
+      // Control messages stay on the signaling socket; only transfer traffic goes peer-to-peer.
+      if (!PEER_TO_PEER_MESSAGE_TYPES.has(data?.type)) {
+        await signaling.send(data);
+        return;
+      }
+
+      const openChannel = (remotePeerId) => {
+        const channel = links.get(remotePeerId)?.channel;
+        return channel?.readyState === 'open' ? channel : null;
+      };
+      // A broadcast goes through the server once, to everyone, when the server keeps a
+      // backlog or some member has no open channel; otherwise it goes over the channels.
+      const recipients = data.targetPeerId ? [data.targetPeerId] : [...roomPeers];
+      if (!recipients.length || (!data.targetPeerId && signaling.storesBacklog) || !recipients.every(openChannel)) {
+        await signaling.send(data);
+        return;
+      }
+
+      const channels = recipients.map(openChannel);
+      await Promise.all(channels.map(waitForBufferedAmountLow));
+      // Nothing is sent until every channel has room, so a channel that closed meanwhile
+      // sends the message through the server with nobody having it twice.
+      if (channels.some((channel) => channel.readyState !== 'open')) {
+        await signaling.send(data);
+        return;
+      }
+
+      const serialized = isBinaryChunkMessage(data) ? encodeChunkFrame(data) : JSON.stringify(data);
+      channels.forEach((channel) => channel.send(serialized));
+    },
+    onMessage(handler) {
+      handlers.add(handler);
+      return () => handlers.delete(handler);
+    },
+    onError(handler) {
+      // Signals aimed at a peer that already left are expected; the mesh drops that peer itself.
+      return signaling.onError((err) => {
+        if (err.code === 'unknown_peer' && String(err.details?.messageType || '').startsWith('rtc-')) return;
+        handler(err);
+      });
+    },
+    onModeration(handler) {
+      return signaling.onModeration(handler);
+    },
+    onClose(handler) {
+      return signaling.onClose(handler);
+    },
+    async disconnect() {
+      await sendSignal(null, 'rtc-bye');
+      for (const remotePeerId of [...links.keys()]) {
+        closeLink(remotePeerId);
+      }
+      meshPeers.clear();
+      await signaling.disconnect();
+    }
+  };
+}
+
 async function tryWebPeerClient({ WebPeer, namespace, room, signalingUrl, bootstrapUrl, token, iceServers }) {
   if (!WebPeer) return null;
 
@@ -84,8 +791,13 @@ export async function createPeerTransport({
   signalingUrl,
   bootstrapUrl,
   token,
+  peerId,
+  displayName,
   createPeer,
   webPeerClient,
+  transport = 'auto',
+  heartbeatIntervalMs,
+  rtcPeerConnection,
   iceServers = [
     { urls: 'stun:stun.l.google.com:19302' }
   ]
@@ -97,10 +809,46 @@ export async function createPeerTransport({
       signalingUrl,
       bootstrapUrl,
       token,
+      peerId,
+      displayName,
       iceServers
     });
   }
 
+  if (transport === 'websocket') {
+    return createWebSocketTransport({
+      namespace,
+      room,
+      signalingUrl,
+      token,
+      peerId,
+      displayName,
+      heartbeatIntervalMs
+    });
+  }
+
+  if (transport === 'webrtc') {
+    return createWebRtcMeshTransport({
+      namespace,
+      room,
+      signalingUrl,
+      token,
+      peerId,
+      displayName,
+      heartbeatIntervalMs,
+      iceServers,
+      rtcPeerConnection
+    });
+  }
+
+  if (transport === 'broadcast') {
+    return createBroadcastFallback({ namespace, room, peerId });
+  }
+
+  if (transport !== 'auto') {
+    throw new Error(`Unknown transport: ${transport}`);
+  }
+
   const resolvedClient = webPeerClient || globalThis.WebPeer || globalThis.Webpeer || globalThis.webpeer;
   const webPeerTransport = await tryWebPeerClient({
     WebPeer: resolvedClient,
@@ -113,5 +861,5 @@ export async function createPeerTransport({
   });
 
   if (webPeerTransport) return webPeerTransport;
-  return createBroadcastFallback({ namespace, room });
+  return createBroadcastFallback({ namespace, room, peerId });
 }
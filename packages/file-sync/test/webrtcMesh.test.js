@@ -0,0 +1,335 @@
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { createServer } from 'node:net';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import WebSocket from 'ws';
+import { createPeerTransport } from '../src/webpeerAdapter.js';
+
+globalThis.WebSocket ??= WebSocket;
+
+const SERVER_PATH = fileURLToPath(new URL('../../../server/bootstrap-signaling/src/server.js', import.meta.url));
+
+function event(type, fields = {}) {
+  return Object.assign(new Event(type), fields);
+}
+
+function later(action) {
+  setTimeout(action, 0);
+}
+
+// Stand-in for RTCDataChannel: `send` hands the data to the paired channel the way a
+// browser does with `binaryType = 'arraybuffer'`.
+class FakeDataChannel extends EventTarget {
+  constructor(label) {
+    super();
+    this.label = label;
+    this.readyState = 'connecting';
+    this.bufferedAmount = 0;
+    this.binaryType = 'blob';
+    this.remote = null;
+    this.sent = [];
+  }
+
+  open(remote) {
+    this.remote = remote;
+    this.readyState = 'open';
+    this.dispatchEvent(event('open'));
+  }
+
+  send(data) {
+    if (this.readyState !== 'open') throw new Error('Data channel is not open.');
+    this.sent.push(data);
+    const copy =
+      typeof data === 'string' || data instanceof ArrayBuffer
+        ? data.slice(0)
+        : data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+    later(() => this.remote.dispatchEvent(event('message', { data: copy })));
+  }
+
+  close() {
+    if (this.readyState === 'closed') return;
+    this.readyState = 'closed';
+    this.dispatchEvent(event('close'));
+    this.remote?.close();
+  }
+}
+
+// Stand-in for RTCPeerConnection. The "SDP" names the connection, so an answer applied
+// to the offering side pairs the two and opens their channels.
+class FakeRTCPeerConnection extends EventTarget {
+  static connections = new Map();
+  static nextId = 1;
+
+  constructor(config) {
+    super();
+    this.config = config;
+    this.id = `pc-${FakeRTCPeerConnection.nextId++}`;
+    this.localDescription = null;
+    this.remoteDescription = null;
+    this.connectionState = 'new';
+    this.channels = [];
+    this.candidates = [];
+    FakeRTCPeerConnection.connections.set(this.id, this);
+  }
+
+  createDataChannel(label) {
+    const channel = new FakeDataChannel(label);
+    this.channels.push(channel);
+    return channel;
+  }
+
+  async createOffer() {
+    return { type: 'offer', sdp: this.id };
+  }
+
+  async createAnswer() {
+    return { type: 'answer', sdp: this.id };
+  }
+
+  async setLocalDescription(description) {
+    this.localDescription = { ...description, toJSON: () => description };
+    later(() => {
+      const candidate = { candidate: `candidate:1 1 udp 1 127.0.0.1 9 typ host ${this.id}`, sdpMid: '0' };
+      this.dispatchEvent(event('icecandidate', { candidate: { ...candidate, toJSON: () => candidate } }));
+      this.dispatchEvent(event('icecandidate', { candidate: null }));
+    });
+  }
+
+  async setRemoteDescription(description) {
+    this.remoteDescription = description;
+    if (description.type !== 'answer') return;
+
+    const remote = FakeRTCPeerConnection.connections.get(description.sdp);
+    for (const channel of this.channels) {
+      const remoteChannel = new FakeDataChannel(channel.label);
+      remote.dispatchEvent(event('datachannel', { channel: remoteChannel }));
+      channel.open(remoteChannel);
+      remoteChannel.open(channel);
+    }
+    for (const pc of [this, remote]) {
+      pc.connectionState = 'connected';
+      pc.dispatchEvent(event('connectionstatechange'));
+    }
+  }
+
+  async addIceCandidate(candidate) {
+    this.candidates.push(candidate);
+  }
+
+  async getStats() {
+    return new Map();
+  }
+
+  close() {
+    this.connectionState = 'closed';
+    this.channels.forEach((channel) => channel.close());
+  }
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitFor(check, ms = 5000) {
+  const start = Date.now();
+  while (!(await check())) {
+    if (Date.now() - start > ms) throw new Error('Timed out waiting.');
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+async function metric(name, serverPort = port) {
+  const text = await (await fetch(`http://127.0.0.1:${serverPort}/metrics`)).text();
+  const line = text.split('\n').find((entry) => entry.startsWith(`${name} `));
+  return Number(line?.split(' ')[1] ?? 0);
+}
+
+async function startServer(env = {}) {
+  const serverPort = await freePort();
+  const child = spawn(process.execPath, [SERVER_PATH], {
+    env: { ...process.env, PORT: String(serverPort), ...env },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  await new Promise((resolve) => child.stdout.once('data', resolve));
+  child.stdout.resume();
+  return { port: serverPort, child };
+}
+
+let server;
+let port;
+
+before(async () => {
+  ({ port, child: server } = await startServer());
+});
+
+after(() => {
+  server.kill();
+});
+
+function meshTransport(peerId, { room = 'mesh', serverPort = port, transport = 'webrtc' } = {}) {
+  return createPeerTransport({
+    namespace: 'team',
+    room,
+    signalingUrl: `ws://127.0.0.1:${serverPort}/signal`,
+    peerId,
+    transport,
+    rtcPeerConnection: FakeRTCPeerConnection,
+    iceServers: []
+  });
+}
+
+function fileChunk(sourcePeerId, room, transferId) {
+  return {
+    type: 'file-chunk',
+    sourcePeerId,
+    namespace: 'team',
+    room,
+    payload: { transferId, id: 'file-1', chunkIndex: 0, totalChunks: 1, flags: 1, data: new Uint8Array([1, 2, 3]) }
+  };
+}
+
+function channelSends() {
+  return [...FakeRTCPeerConnection.connections.values()]
+    .flatMap((pc) => pc.channels)
+    .reduce((total, channel) => total + channel.sent.length, 0);
+}
+
+function chunksOf(messages, transferId) {
+  return messages.filter((message) => message.type === 'file-chunk' && message.payload.transferId === transferId);
+}
+
+test('two mesh transports connect over signaling and move chunks over the data channel', async () => {
+  const a = await meshTransport('peer-a');
+  const b = await meshTransport('peer-b');
+  const receivedByB = [];
+  const receivedByA = [];
+  b.onMessage((message) => receivedByB.push(message));
+  a.onMessage((message) => receivedByA.push(message));
+
+  try {
+    await waitFor(() =>
+      [a, b].every((transport) => transport.meshPeers.length === 1 && transport.meshPeers[0].channelState === 'open')
+    );
+    assert.deepEqual(a.meshPeers, [{ peerId: 'peer-b', channelState: 'open' }]);
+    assert.deepEqual(b.meshPeers, [{ peerId: 'peer-a', channelState: 'open' }]);
+
+    // peer-a has the lower id, so it offered and peer-b answered; both got the other's candidates.
+    const [offering, answering] = [...FakeRTCPeerConnection.connections.values()];
+    assert.equal(offering.localDescription.type, 'offer');
+    assert.equal(offering.remoteDescription.type, 'answer');
+    assert.equal(answering.remoteDescription.type, 'offer');
+    assert.equal(answering.localDescription.type, 'answer');
+    await waitFor(() => offering.candidates.length > 0 && answering.candidates.length > 0);
+    assert.match(offering.candidates[0].candidate, new RegExp(answering.id));
+    assert.match(answering.candidates[0].candidate, new RegExp(offering.id));
+
+    const binaryFramesBefore = await metric('bs_ws_binary_frames_total');
+    const signaledBefore = await metric('bs_ws_messages_total');
+    const data = Uint8Array.from({ length: 4096 }, (_, index) => index % 251);
+    await a.send({
+      type: 'file-chunk',
+      sourcePeerId: 'peer-a',
+      namespace: 'team',
+      room: 'mesh',
+      payload: { transferId: 'transfer-1', id: 'file-1', chunkIndex: 0, totalChunks: 1, flags: 1, data }
+    });
+    await waitFor(() => receivedByB.some((message) => message.type === 'file-chunk'));
+
+    const chunk = receivedByB.find((message) => message.type === 'file-chunk');
+    assert.equal(chunk.sourcePeerId, 'peer-a');
+    assert.equal(chunk.payload.transferId, 'transfer-1');
+    assert.deepEqual(new Uint8Array(chunk.payload.data), data);
+    assert.equal(offering.channels[0].sent.length, 1);
+    assert.equal(await metric('bs_ws_binary_frames_total'), binaryFramesBefore);
+    assert.equal(await metric('bs_ws_messages_total'), signaledBefore);
+
+    // Control messages stay on the signaling socket.
+    await b.send({ type: 'file-have', sourcePeerId: 'peer-b', namespace: 'team', room: 'mesh', payload: { fileId: 'file-1' } });
+    await waitFor(() => receivedByA.some((message) => message.type === 'file-have'));
+    assert.equal(await metric('bs_ws_messages_total'), signaledBefore + 1);
+  } finally {
+    await a.disconnect();
+    await b.disconnect();
+  }
+});
+
+test('a broadcast goes through the server once when a member is not on the mesh', async () => {
+  const a = await meshTransport('peer-a', { room: 'mixed' });
+  const b = await meshTransport('peer-b', { room: 'mixed' });
+  const received = { b: [], c: [] };
+  b.onMessage((message) => received.b.push(message));
+
+  try {
+    await waitFor(() => a.meshPeers[0]?.channelState === 'open');
+    const c = await meshTransport('peer-c', { room: 'mixed', transport: 'websocket' });
+    c.onMessage((message) => received.c.push(message));
+    try {
+      await waitFor(() => received.b.some((message) => message.type === 'peer-joined'));
+      const relayedBefore = await metric('bs_ws_binary_frames_total');
+      const channelSendsBefore = channelSends();
+
+      await a.send(fileChunk('peer-a', 'mixed', 'transfer-2'));
+      await waitFor(() => chunksOf(received.b, 'transfer-2').length && chunksOf(received.c, 'transfer-2').length);
+      await new Promise((resolve) => setTimeout(resolve, 100));
+
+      assert.equal(chunksOf(received.b, 'transfer-2').length, 1);
+      assert.equal(chunksOf(received.c, 'transfer-2').length, 1);
+      assert.equal(await metric('bs_ws_binary_frames_total'), relayedBefore + 1);
+      assert.equal(channelSends(), channelSendsBefore);
+    } finally {
+      await c.disconnect();
+    }
+
+    // Once everyone left is on the mesh, broadcasts go back to the data channels.
+    await waitFor(() => received.b.some((message) => message.type === 'peer-left' && message.peerId === 'peer-c'));
+    const relayedBefore = await metric('bs_ws_binary_frames_total');
+    const channelSendsBefore = channelSends();
+    await a.send(fileChunk('peer-a', 'mixed', 'transfer-3'));
+    await waitFor(() => chunksOf(received.b, 'transfer-3').length);
+    assert.equal(await metric('bs_ws_binary_frames_total'), relayedBefore);
+    assert.equal(channelSends(), channelSendsBefore + 1);
+  } finally {
+    await a.disconnect();
+    await b.disconnect();
+  }
+});
+
+test('a broadcast from a lone mesh peer is kept for later joiners when the server has a backlog', async (t) => {
+  const dir = await mkdtemp(join(tmpdir(), 'mesh-backlog-'));
+  const backlogServer = await startServer({ BACKLOG_DIR: dir });
+  t.after(async () => {
+    backlogServer.child.kill();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  const a = await meshTransport('peer-a', { room: 'backlog', serverPort: backlogServer.port });
+  try {
+    await a.send(fileChunk('peer-a', 'backlog', 'transfer-4'));
+    await waitFor(async () => (await metric('bs_backlog_stored_messages_total', backlogServer.port)) === 1);
+
+    const received = [];
+    const b = await meshTransport('peer-b', { room: 'backlog', serverPort: backlogServer.port });
+    b.onMessage((message) => received.push(message));
+    try {
+      await waitFor(() => chunksOf(received, 'transfer-4').length);
+      const [chunk] = chunksOf(received, 'transfer-4');
+      assert.equal(chunk.sourcePeerId, 'peer-a');
+      assert.deepEqual([...new Uint8Array(chunk.payload.data)], [1, 2, 3]);
+    } finally {
+      await b.disconnect();
+    }
+  } finally {
+    await a.disconnect();
+  }
+});
@@ -0,0 +1,199 @@
+// Store-and-forward backlog. Room messages are written to disk as relayed (sealed
+// payloads stay sealed), one file per message under `<dir>/<room hash>/`, and replayed to
+// peers that join later. Rooms are capped in bytes, the whole store too, and messages
+// expire after a TTL; the oldest go first.
+import { createHash } from 'node:crypto';
+import { mkdir, readdir, readFile, rm, stat, unlink, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+
+const ROOM_FILE = 'room.json';
+const MESSAGE_FILE = /^(\d{12})-(\d+)\.(json|bin)$/;
+
+function roomKey(namespace, room) {
+  return `${namespace}::${room}`;
+}
+
+function roomDirName(key) {
+  return createHash('sha256').update(key).digest('hex').slice(0, 32);
+}
+
+export class BacklogStore {
+  constructor({ dir, ttlMs, roomQuotaBytes, totalQuotaBytes, log = () => {} }) {
+    this.dir = dir;
+    this.ttlMs = ttlMs;
+    this.roomQuotaBytes = roomQuotaBytes;
+    this.totalQuotaBytes = totalQuotaBytes;
+    this.log = log;
+    // roomKey -> { dir, namespace, room, entries: [{ seq, storedAt, size, file }], bytes, writing }
+    this.rooms = new Map();
+    // Rooms whose directory is being removed; a new message for one waits for that.
+    this.removals = new Map();
+    // One sequence for the whole store, so a cursor stays valid when a room empties out.
+    this.nextSeq = 1;
+    this.totalBytes = 0;
+    this.evicted = { ttl: 0, quota: 0 };
+  }
+
+  // Picks up what an earlier run left on disk.
+  async open() {
+    await mkdir(this.dir, { recursive: true });
+    for (const name of await readdir(this.dir)) {
+      try {
+        await this.#loadRoom(join(this.dir, name));
+      } catch (err) {
+        this.log('warn', 'backlog.room_unreadable', { dir: name, error: err.message });
+      }
+    }
+    await this.pruneExpired();
+  }
+
+  async #loadRoom(dir) {
+    const { namespace, room } = JSON.parse(await readFile(join(dir, ROOM_FILE), 'utf8'));
+    const state = this.#room(namespace, room);
+    for (const file of (await readdir(dir)).sort()) {
+      const match = MESSAGE_FILE.exec(file);
+      if (!match) continue;
+
+      const { size } = await stat(join(dir, file));
+      const entry = { seq: Number(match[1]), storedAt: Number(match[2]), size, file };
+      state.entries.push(entry);
+      state.bytes += size;
+      this.totalBytes += size;
+      this.nextSeq = Math.max(this.nextSeq, entry.seq + 1);
+    }
+  }
+
+  #room(namespace, room) {
+    const key = roomKey(namespace, room);
+    let state = this.rooms.get(key);
+    if (!state) {
+      state = {
+        dir: join(this.dir, roomDirName(key)),
+        namespace,
+        room,
+        entries: [],
+        bytes: 0,
+        created: false,
+        writing: this.removals.get(key) || Promise.resolve()
+      };
+      this.rooms.set(key, state);
+    }
+    return state;
+  }
+
+  // Seq of the newest message handed to `append`, written or not.
+  lastSeq() {
+    return this.nextSeq - 1;
+  }
+
+  // Stores a relayed frame: a Buffer (binary chunk frame) or a JSON string. Writes of a
+  // room land in order.
+  append(namespace, room, frame) {
+    const size = Buffer.byteLength(frame);
+    if (size > this.roomQuotaBytes) return Promise.resolve(null);
+
+    const state = this.#room(namespace, room);
+    const entry = {
+      seq: this.nextSeq,
+      storedAt: Date.now(),
+      size,
+      file: null
+    };
+    this.nextSeq += 1;
+    entry.file = `${String(entry.seq).padStart(12, '0')}-${entry.storedAt}.${Buffer.isBuffer(frame) ? 'bin' : 'json'}`;
+
+    state.writing = state.writing
+      .then(async () => {
+        if (!state.created) {
+          await mkdir(state.dir, { recursive: true });
+          await writeFile(join(state.dir, ROOM_FILE), JSON.stringify({ namespace, room }));
+          state.created = true;
+        }
+        await writeFile(join(state.dir, entry.file), frame);
+        state.entries.push(entry);
+        state.bytes += size;
+        this.totalBytes += size;
+        await this.#enforceQuotas(state);
+        return entry;
+      })
+      .catch((err) => {
+        this.log('warn', 'backlog.write_failed', { namespace, room, error: err.message });
+        return null;
+      });
+    return state.writing;
+  }
+
+  // Messages of the room with `after < seq <= upTo`, once pending writes are on disk.
+  async entries(namespace, room, { after = 0, upTo = Infinity } = {}) {
+    const state = this.rooms.get(roomKey(namespace, room));
+    if (!state) return [];
+    await state.writing;
+    return state.entries.filter((entry) => entry.seq > after && entry.seq <= upTo);
+  }
+
+  // The stored frame, or null when it was evicted in the meantime.
+  async read(namespace, room, entry) {
+    const state = this.rooms.get(roomKey(namespace, room));
+    if (!state) return null;
+    try {
+      const data = await readFile(join(state.dir, entry.file));
+      return entry.file.endsWith('.bin') ? data : data.toString('utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async #enforceQuotas(state) {
+    while (state.bytes > this.roomQuotaBytes && state.entries.length) {
+      await this.#evictOldest(state, 'quota');
+    }
+
+    while (this.totalBytes > this.totalQuotaBytes) {
+      let oldest = null;
+      for (const candidate of this.rooms.values()) {
+        if (candidate.entries.length && (!oldest || candidate.entries[0].storedAt < oldest.entries[0].storedAt)) {
+          oldest = candidate;
+        }
+      }
+      if (!oldest) break;
+      await this.#evictOldest(oldest, 'quota');
+    }
+  }
+
+  async #evictOldest(state, reason) {
+    const entry = state.entries.shift();
+    state.bytes -= entry.size;
+    this.totalBytes -= entry.size;
+    this.evicted[reason] += 1;
+    await unlink(join(state.dir, entry.file)).catch(() => null);
+  }
+
+  async pruneExpired(now = Date.now()) {
+    for (const [key, state] of [...this.rooms.entries()]) {
+      const writing = state.writing;
+      await writing;
+      while (state.entries.length && state.entries[0].storedAt + this.ttlMs <= now) {
+        await this.#evictOldest(state, 'ttl');
+      }
+
+      // Nothing left to replay and nothing new queued: drop the room.
+      if (state.entries.length === 0 && state.writing === writing && this.rooms.get(key) === state) {
+        this.rooms.delete(key);
+        const removal = rm(state.dir, { recursive: true, force: true })
+          .catch((err) => this.log('warn', 'backlog.remove_failed', { namespace: state.namespace, room: state.room, error: err.message }))
+          .finally(() => {
+            if (this.removals.get(key) === removal) this.removals.delete(key);
+          });
+        this.removals.set(key, removal);
+        await removal;
+      }
+    }
+  }
+
+  stats() {
+    let messages = 0;
+    for (const state of this.rooms.values()) messages += state.entries.length;
+    return { rooms: this.rooms.size, messages, bytes: this.totalBytes, evicted: { ...this.evicted } };
+  }
+}
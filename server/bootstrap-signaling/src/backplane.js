@@ -0,0 +1,335 @@
+// Shared state for running several signaling replicas. A backplane carries room traffic
+// between instances (publish/subscribe), holds hashes whose fields expire, which back
+// the room rosters, the rendezvous registry, invites, bans and room locks, and keeps
+// counters for invite uses. `memory://` keeps everything in the
+// process; `redis://[:password@]host:port[/db]` speaks the Redis protocol to a server
+// shared by all replicas.
+import net from 'node:net';
+
+function wrapField(value, ttlMs, now) {
+  return JSON.stringify({ value, expiresAt: now + ttlMs });
+}
+
+// Field values that have not expired yet, plus the names of those that have.
+function unwrapFields(entries, now) {
+  const live = new Map();
+  const expired = [];
+  for (const [field, raw] of entries) {
+    try {
+      const { value, expiresAt } = JSON.parse(raw);
+      if (expiresAt > now) {
+        live.set(field, value);
+        continue;
+      }
+    } catch (_err) {
+      // Written by something else; treat it as expired.
+    }
+    expired.push(field);
+  }
+  return { live, expired };
+}
+
+export class MemoryBackplane {
+  constructor() {
+    this.channels = new Map();
+    this.hashes = new Map();
+    this.counters = new Map();
+  }
+
+  async publish(channel, message) {
+    const handlers = this.channels.get(channel);
+    if (!handlers) return;
+    // Delivered on a later tick, like a message coming back from Redis.
+    queueMicrotask(() => handlers.forEach((handler) => handler(message)));
+  }
+
+  async subscribe(channel, handler) {
+    if (!this.channels.has(channel)) this.channels.set(channel, new Set());
+    this.channels.get(channel).add(handler);
+  }
+
+  async unsubscribe(channel, handler) {
+    const handlers = this.channels.get(channel);
+    if (!handlers) return;
+    handlers.delete(handler);
+    if (handlers.size === 0) this.channels.delete(channel);
+  }
+
+  async setField(key, field, value, ttlMs, now = Date.now()) {
+    if (!this.hashes.has(key)) this.hashes.set(key, new Map());
+    this.hashes.get(key).set(field, wrapField(value, ttlMs, now));
+  }
+
+  async deleteField(key, field) {
+    const hash = this.hashes.get(key);
+    if (!hash) return false;
+    const removed = hash.delete(field);
+    if (hash.size === 0) this.hashes.delete(key);
+    return removed;
+  }
+
+  async getFields(key, now = Date.now()) {
+    const hash = this.hashes.get(key);
+    if (!hash) return new Map();
+
+    const { live, expired } = unwrapFields(hash.entries(), now);
+    expired.forEach((field) => hash.delete(field));
+    if (hash.size === 0) this.hashes.delete(key);
+    return live;
+  }
+
+  // Adds one to the counter and returns the new count. The counter expires `ttlMs` after
+  // it was first incremented.
+  async increment(key, ttlMs, now = Date.now()) {
+    let counter = this.counters.get(key);
+    if (!counter || counter.expiresAt <= now) {
+      counter = { count: 0, expiresAt: now + ttlMs };
+      this.counters.set(key, counter);
+    }
+    counter.count += 1;
+    return counter.count;
+  }
+
+  // Drops expired fields of hashes nobody reads any more, and expired counters.
+  async sweep(now = Date.now()) {
+    for (const key of [...this.hashes.keys()]) {
+      await this.getFields(key, now);
+    }
+    for (const [key, counter] of this.counters.entries()) {
+      if (counter.expiresAt <= now) this.counters.delete(key);
+    }
+  }
+
+  async close() {
+    this.channels.clear();
+  }
+}
+
+// One RESP2 connection. Replies are matched to commands in order; on a subscriber
+// connection, `message` pushes go to `onPush` instead.
+class RespConnection {
+  constructor({ host, port, password, db, onPush = null, onReady = null, log = () => {} }) {
+    this.options = { host, port, password, db };
+    this.onPush = onPush;
+    this.onReady = onReady;
+    this.log = log;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+    this.socket = null;
+    this.closed = false;
+    this.ready = this.#connect();
+    // Commands wait on `ready` and report the failure themselves.
+    this.ready.catch(() => null);
+  }
+
+  #connect() {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.options.host, port: this.options.port });
+      this.socket = socket;
+      socket.setNoDelay(true);
+
+      socket.on('connect', async () => {
+        try {
+          if (this.options.password) await this.#send(['AUTH', this.options.password]);
+          if (this.options.db) await this.#send(['SELECT', String(this.options.db)]);
+          await this.onReady?.((...args) => this.#send(args));
+          resolve();
+        } catch (err) {
+          reject(err);
+        }
+      });
+      socket.on('data', (chunk) => this.#onData(chunk));
+      socket.on('error', (err) => {
+        this.log('warn', 'backplane.redis_error', { error: err.message });
+        reject(err);
+      });
+      socket.on('close', () => {
+        const pending = this.pending;
+        this.pending = [];
+        pending.forEach(({ reject: rejectCommand }) => rejectCommand(new Error('Redis connection closed.')));
+        if (this.closed) return;
+
+        this.buffer = Buffer.alloc(0);
+        setTimeout(() => {
+          if (this.closed) return;
+          this.ready = this.#connect();
+          this.ready.catch(() => null);
+        }, 1000).unref();
+      });
+    });
+  }
+
+  #send(args) {
+    return new Promise((resolve, reject) => {
+      if (this.socket.destroyed) {
+        reject(new Error('Redis connection closed.'));
+        return;
+      }
+
+      const parts = [`*${args.length}\r\n`];
+      for (const arg of args) {
+        const value = Buffer.isBuffer(arg) ? arg : Buffer.from(String(arg));
+        parts.push(`$${value.length}\r\n`, value, '\r\n');
+      }
+      this.pending.push({ resolve, reject });
+      this.socket.write(Buffer.concat(parts.map((part) => (Buffer.isBuffer(part) ? part : Buffer.from(part)))));
+    });
+  }
+
+  async command(...args) {
+    await this.ready;
+    return this.#send(args);
+  }
+
+  #onData(chunk) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+    for (;;) {
+      const parsed = parseReply(this.buffer, 0);
+      if (!parsed) return;
+      this.buffer = this.buffer.subarray(parsed.end);
+
+      const reply = parsed.value;
+      if (this.onPush && Array.isArray(reply) && reply[0] === 'message') {
+        this.onPush(reply[1], reply[2]);
+        continue;
+      }
+
+      const waiter = this.pending.shift();
+      if (!waiter) continue;
+      if (reply instanceof Error) waiter.reject(reply);
+      else waiter.resolve(reply);
+    }
+  }
+
+  close() {
+    this.closed = true;
+    this.socket?.end();
+  }
+}
+
+// Returns `{ value, end }`, or null while the reply is still incomplete.
+function parseReply(buffer, start) {
+  const lineEnd = buffer.indexOf('\r\n', start);
+  if (lineEnd < 0) return null;
+
+  const kind = String.fromCharCode(buffer[start]);
+  const line = buffer.toString('utf8', start + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  if (kind === '+') return { value: line, end: next };
+  if (kind === '-') return { value: new Error(line), end: next };
+  if (kind === ':') return { value: Number(line), end: next };
+
+  if (kind === '$') {
+    const length = Number(line);
+    if (length < 0) return { value: null, end: next };
+    if (buffer.length < next + length + 2) return null;
+    return { value: buffer.toString('utf8', next, next + length), end: next + length + 2 };
+  }
+
+  if (kind === '*') {
+    const count = Number(line);
+    if (count < 0) return { value: null, end: next };
+    const items = [];
+    let offset = next;
+    for (let i = 0; i < count; i += 1) {
+      const item = parseReply(buffer, offset);
+      if (!item) return null;
+      items.push(item.value);
+      offset = item.end;
+    }
+    return { value: items, end: offset };
+  }
+
+  throw new Error(`Unexpected Redis reply type: ${kind}`);
+}
+
+export class RedisBackplane {
+  constructor(url, { log = () => {} } = {}) {
+    const parsed = new URL(url);
+    const options = {
+      host: parsed.hostname || '127.0.0.1',
+      port: Number(parsed.port || 6379),
+      password: decodeURIComponent(parsed.password || ''),
+      db: Number(parsed.pathname.slice(1) || 0),
+      log
+    };
+    this.channels = new Map();
+    this.commands = new RespConnection(options);
+    // A subscribed connection can't run other commands, so pub/sub gets its own.
+    this.subscriber = new RespConnection({
+      ...options,
+      onPush: (channel, message) => this.channels.get(channel)?.forEach((handler) => handler(message)),
+      // Subscriptions are restored after a reconnect.
+      onReady: (send) => Promise.all([...this.channels.keys()].map((channel) => send('SUBSCRIBE', channel)))
+    });
+    this.ready = Promise.all([this.commands.ready, this.subscriber.ready]);
+    this.ready.catch(() => null);
+  }
+
+  async publish(channel, message) {
+    await this.commands.command('PUBLISH', channel, message);
+  }
+
+  async subscribe(channel, handler) {
+    if (!this.channels.has(channel)) {
+      this.channels.set(channel, new Set());
+      await this.subscriber.command('SUBSCRIBE', channel);
+    }
+    this.channels.get(channel).add(handler);
+  }
+
+  async unsubscribe(channel, handler) {
+    const handlers = this.channels.get(channel);
+    if (!handlers) return;
+    handlers.delete(handler);
+    if (handlers.size > 0) return;
+
+    this.channels.delete(channel);
+    await this.subscriber.command('UNSUBSCRIBE', channel);
+  }
+
+  async setField(key, field, value, ttlMs, now = Date.now()) {
+    await this.commands.command('HSET', key, field, wrapField(value, ttlMs, now));
+    // The whole hash goes once its longest-lived field would have expired. PTTL is -1
+    // for a hash without an expiry yet.
+    if ((await this.commands.command('PTTL', key)) < ttlMs) {
+      await this.commands.command('PEXPIRE', key, String(ttlMs));
+    }
+  }
+
+  async deleteField(key, field) {
+    return (await this.commands.command('HDEL', key, field)) > 0;
+  }
+
+  async getFields(key, now = Date.now()) {
+    const flat = (await this.commands.command('HGETALL', key)) || [];
+    const entries = [];
+    for (let i = 0; i < flat.length; i += 2) entries.push([flat[i], flat[i + 1]]);
+
+    const { live, expired } = unwrapFields(entries, now);
+    if (expired.length) await this.commands.command('HDEL', key, ...expired);
+    return live;
+  }
+
+  async increment(key, ttlMs) {
+    const count = await this.commands.command('INCR', key);
+    if (count === 1) await this.commands.command('PEXPIRE', key, String(ttlMs));
+    return count;
+  }
+
+  // Redis expires whole hashes itself.
+  async sweep() {}
+
+  async close() {
+    this.commands.close();
+    this.subscriber.close();
+  }
+}
+
+export function createBackplane(url = 'memory://', options = {}) {
+  const protocol = new URL(url).protocol;
+  if (protocol === 'memory:') return new MemoryBackplane();
+  if (protocol === 'redis:') return new RedisBackplane(url, options);
+  throw new Error(`Unsupported backplane: ${url}`);
+}
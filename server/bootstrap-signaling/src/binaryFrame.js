@@ -0,0 +1,30 @@
+// Routing header of the binary `file-chunk` frame sent by @browser-sync/file-sync
+// (packages/file-sync/src/chunkFrame.js). The relay only needs the target and must
+// stamp the real source, so the rest of the frame is passed through untouched.
+
+const FRAME_VERSION = 1;
+const HEADER_BYTES = 10;
+
+export function readFrameRoute(buffer) {
+  if (buffer.length < HEADER_BYTES || buffer.readUInt8(0) !== FRAME_VERSION) return null;
+
+  const targetLength = buffer.readUInt8(6);
+  const sourceLength = buffer.readUInt8(7);
+  const transferIdLength = buffer.readUInt16BE(8);
+  if (buffer.length < HEADER_BYTES + targetLength + sourceLength + transferIdLength) return null;
+
+  return {
+    targetPeerId: buffer.toString('utf8', HEADER_BYTES, HEADER_BYTES + targetLength) || null,
+    sourceStart: HEADER_BYTES + targetLength,
+    sourceLength
+  };
+}
+
+export function withFrameSource(buffer, route, sourcePeerId) {
+  const source = Buffer.from(sourcePeerId, 'utf8');
+  if (source.length > 0xff) return null;
+
+  const header = Buffer.from(buffer.subarray(0, route.sourceStart));
+  header.writeUInt8(source.length, 7);
+  return Buffer.concat([header, source, buffer.subarray(route.sourceStart + route.sourceLength)]);
+}
@@ -0,0 +1,71 @@
+import { randomInt } from 'node:crypto';
+
+// Crockford-style alphabet: no I, L, O or U, so codes survive being read aloud or retyped.
+const CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const CODE_LENGTH = 8;
+const EXPIRED_INVITE_KEPT_MS = 60 * 60 * 1000;
+
+function generateCode() {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i += 1) {
+    code += CODE_ALPHABET[randomInt(CODE_ALPHABET.length)];
+  }
+  return `${code.slice(0, 4)}-${code.slice(4)}`;
+}
+
+// Accepts codes typed in lower case, with spaces or without the dash.
+export function normalizeInviteCode(input) {
+  const compact = String(input || '').toUpperCase().replace(/[^0-9A-Z]/g, '');
+  return compact.length === CODE_LENGTH ? `${compact.slice(0, 4)}-${compact.slice(4)}` : null;
+}
+
+// Invites live in the backplane, so a code minted through one replica can be redeemed
+// through any other.
+export class InviteRegistry {
+  constructor(backplane) {
+    this.backplane = backplane;
+  }
+
+  #inviteKey(code) {
+    return `bs:invite:${code}`;
+  }
+
+  async issue({ namespace, room, role, ttlMs, maxUses, tokenTtlMs, issuedBy = null }) {
+    let code = generateCode();
+    while ((await this.backplane.getFields(this.#inviteKey(code))).size > 0) code = generateCode();
+
+    const now = Date.now();
+    const invite = {
+      code,
+      namespace,
+      room,
+      role,
+      maxUses,
+      tokenTtlMs,
+      issuedBy,
+      createdAt: now,
+      expiresAt: now + ttlMs
+    };
+    // Kept a while past expiry, so a late redeemer hears `expired` rather than `unknown`.
+    await this.backplane.setField(this.#inviteKey(code), 'invite', invite, ttlMs + EXPIRED_INVITE_KEPT_MS, now);
+    return invite;
+  }
+
+  // Uses the invite up once. Returns `{ invite, uses }`, or `{ reason }` with reason
+  // `unknown`, `expired` or `used_up`.
+  async redeem(input, now = Date.now()) {
+    const code = normalizeInviteCode(input);
+    const invite = code && (await this.backplane.getFields(this.#inviteKey(code), now)).get('invite');
+    if (!invite) return { reason: 'unknown' };
+    if (invite.expiresAt <= now) return { reason: 'expired' };
+
+    // The count is a backplane counter, so replicas redeeming at once can't go past maxUses.
+    const uses = await this.backplane.increment(
+      `${this.#inviteKey(code)}:uses`,
+      invite.expiresAt - now + EXPIRED_INVITE_KEPT_MS,
+      now
+    );
+    if (uses > invite.maxUses) return { reason: 'used_up' };
+    return { invite, uses };
+  }
+}
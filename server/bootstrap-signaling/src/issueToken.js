@@ -0,0 +1,31 @@
+// Prints a room token signed with SIGNAL_TOKEN_SECRET:
+//   npm run token -- --namespace team-alpha --room design --role write --ttl 86400
+import { parseArgs } from 'node:util';
+import { signRoomToken } from './roomTokens.js';
+
+const { values } = parseArgs({
+  options: {
+    namespace: { type: 'string' },
+    room: { type: 'string' },
+    role: { type: 'string', default: 'write' },
+    ttl: { type: 'string', default: '3600' },
+    subject: { type: 'string' }
+  }
+});
+
+const ttlSeconds = Number(values.ttl);
+if (!Number.isFinite(ttlSeconds) || ttlSeconds < 1) {
+  console.error(`--ttl must be a number of seconds, got ${values.ttl}`);
+  process.exit(1);
+}
+
+console.log(
+  signRoomToken({
+    secret: process.env.SIGNAL_TOKEN_SECRET,
+    namespace: values.namespace,
+    room: values.room,
+    role: values.role,
+    ttlSeconds,
+    subject: values.subject || null
+  })
+);
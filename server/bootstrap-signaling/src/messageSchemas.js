@@ -0,0 +1,310 @@
+// Schemas for the JSON messages peers may send, one per type; anything else is rejected.
+// They are written in a JSON Schema subset (type, enum, minimum/maximum, minLength/
+// maxLength, maxItems, items, prefixItems, properties, required, additionalProperties:
+// false, anyOf) that `validate` below understands. Room messages may carry a sealed
+// payload (`{ sealed }`) when the room is end-to-end encrypted, plus `publicKey` and
+// `signature` from the sender's identity key.
+
+const ID = { type: 'string', minLength: 1, maxLength: 256 };
+const OPTIONAL_ID = { type: ['string', 'null'], maxLength: 256 };
+const NAME = { type: 'string', maxLength: 4096 };
+const COUNT = { type: 'integer', minimum: 0 };
+const TIME = { type: 'number', minimum: 0 };
+const SHORT_TEXT = { type: 'string', maxLength: 256 };
+const BLOCKS = {
+  type: 'array',
+  maxItems: 1_000_000,
+  items: { type: 'array', prefixItems: [{ type: 'string', maxLength: 128 }, COUNT] }
+};
+const RANGES = { type: 'array', maxItems: 10_000, items: { type: 'array', prefixItems: [COUNT, COUNT] } };
+const SEALED_PAYLOAD = {
+  type: 'object',
+  required: ['sealed'],
+  properties: { sealed: { type: 'string' } },
+  additionalProperties: false
+};
+const ICE_STATES = ['new', 'checking', 'connected', 'completed', 'failed', 'disconnected', 'closed', 'unknown'];
+const MODERATION_ACTIONS = ['kick', 'ban', 'unban', 'lock', 'unlock', 'delete'];
+
+// Envelope of a message relayed to the room; the server fills in sourcePeerId, namespace
+// and room itself.
+function roomMessage(payload, { sealable = true } = {}) {
+  return {
+    type: 'object',
+    required: ['type', 'payload'],
+    properties: {
+      type: { type: 'string' },
+      sourcePeerId: OPTIONAL_ID,
+      namespace: { type: 'string' },
+      room: { type: 'string' },
+      targetPeerId: OPTIONAL_ID,
+      to: OPTIONAL_ID,
+      publicKey: { type: 'string', maxLength: 256 },
+      signature: { type: 'string', maxLength: 256 },
+      payload: sealable ? { anyOf: [payload, SEALED_PAYLOAD] } : payload
+    },
+    additionalProperties: false
+  };
+}
+
+function payloadOf(required, properties) {
+  return { type: 'object', required, properties };
+}
+
+function rtcSignal(properties = {}, required = []) {
+  return {
+    type: 'object',
+    required: ['type', ...required],
+    properties: { type: { type: 'string' }, targetPeerId: OPTIONAL_ID, ...properties },
+    additionalProperties: false
+  };
+}
+
+export const MESSAGE_SCHEMAS = new Map([
+  ['heartbeat', { type: 'object', required: ['type'], properties: { type: { type: 'string' } }, additionalProperties: false }],
+  [
+    'telemetry',
+    {
+      type: 'object',
+      required: ['type'],
+      properties: {
+        type: { type: 'string' },
+        iceState: { enum: ICE_STATES },
+        relayUsed: { type: 'boolean' },
+        failureReason: { type: 'string', maxLength: 64 },
+        region: { type: 'string', maxLength: 64 },
+        carrier: { type: 'string', maxLength: 64 }
+      },
+      additionalProperties: false
+    }
+  ],
+  [
+    'moderation',
+    {
+      type: 'object',
+      required: ['type', 'action'],
+      properties: {
+        type: { type: 'string' },
+        action: { enum: MODERATION_ACTIONS },
+        requestId: { type: ['string', 'number', 'null'], maxLength: 256 },
+        namespace: { type: 'string' },
+        room: { type: 'string' },
+        peerId: ID,
+        scope: { enum: ['identity', 'ip'] },
+        identity: SHORT_TEXT,
+        ip: SHORT_TEXT,
+        durationSeconds: { type: 'number', minimum: 0 },
+        reason: { type: ['string', 'null'], maxLength: 1000 },
+        fileId: ID
+      },
+      additionalProperties: false
+    }
+  ],
+  ['rtc-hello', rtcSignal({ reply: { type: 'boolean' } })],
+  ['rtc-bye', rtcSignal()],
+  [
+    'rtc-offer',
+    rtcSignal({ sdp: { type: 'object', properties: { type: SHORT_TEXT, sdp: { type: 'string', maxLength: 65_536 } } } }, ['sdp'])
+  ],
+  [
+    'rtc-answer',
+    rtcSignal({ sdp: { type: 'object', properties: { type: SHORT_TEXT, sdp: { type: 'string', maxLength: 65_536 } } } }, ['sdp'])
+  ],
+  ['rtc-ice', rtcSignal({ candidate: { type: ['object', 'null'] } })],
+  [
+    'sync-manifest',
+    roomMessage(
+      payloadOf(['files'], {
+        files: { type: 'array', maxItems: 100_000, items: payloadOf(['id'], { id: ID }) },
+        tombstones: { type: 'array', maxItems: 100_000, items: payloadOf(['id'], { id: ID }) },
+        reply: { type: 'boolean' }
+      })
+    )
+  ],
+  ['file-have', roomMessage(payloadOf(['fileId'], { fileId: ID }))],
+  ['file-blocks-request', roomMessage(payloadOf(['fileId'], { fileId: ID }))],
+  ['file-blocks', roomMessage(payloadOf(['fileId', 'blocks'], { fileId: ID, blocks: BLOCKS }))],
+  ['file-chunk-request', roomMessage(payloadOf(['transferId', 'ranges'], { fileId: ID, transferId: ID, ranges: RANGES }))],
+  [
+    'file-chunk-ack',
+    roomMessage(
+      payloadOf(['transferId'], {
+        fileId: ID,
+        transferId: ID,
+        totalChunks: COUNT,
+        receivedChunks: COUNT,
+        bitmap: { type: 'string' },
+        credit: COUNT,
+        complete: { type: 'boolean' },
+        declined: { type: 'boolean' }
+      })
+    )
+  ],
+  [
+    'file-transfer-retry-request',
+    roomMessage(payloadOf(['fileId'], { fileId: ID, failedTransferId: OPTIONAL_ID, targetPeerId: OPTIONAL_ID }))
+  ],
+  [
+    'file-transfer-start',
+    roomMessage(
+      payloadOf(['transferId', 'id', 'blocks'], {
+        transferId: ID,
+        id: ID,
+        name: NAME,
+        path: NAME,
+        mime: SHORT_TEXT,
+        size: COUNT,
+        updatedAt: TIME,
+        checksum: SHORT_TEXT,
+        version: { type: 'object' },
+        replicaId: OPTIONAL_ID,
+        totalChunks: COUNT,
+        blocks: BLOCKS,
+        retryOfTransferId: OPTIONAL_ID
+      })
+    )
+  ],
+  [
+    // Chunks stay readable enough to route when sealed; only `data` is encrypted.
+    'file-chunk',
+    roomMessage(
+      payloadOf(['transferId', 'chunkIndex', 'data'], {
+        transferId: ID,
+        id: ID,
+        chunkIndex: COUNT,
+        totalChunks: COUNT,
+        flags: COUNT,
+        data: { type: 'string' }
+      }),
+      { sealable: false }
+    )
+  ],
+  [
+    'file-transfer-complete',
+    roomMessage(
+      payloadOf(['transferId'], {
+        transferId: ID,
+        id: ID,
+        checksum: SHORT_TEXT,
+        updatedAt: TIME,
+        resumed: { type: 'boolean' },
+        ranges: { ...RANGES, type: ['array', 'null'] }
+      })
+    )
+  ],
+  [
+    'file-delete',
+    roomMessage(
+      payloadOf(['id'], {
+        id: ID,
+        name: { type: ['string', 'null'], maxLength: 4096 },
+        checksum: { type: ['string', 'null'], maxLength: 256 },
+        deletedAt: TIME,
+        deletedBy: OPTIONAL_ID
+      })
+    )
+  ],
+  // Still understood by panels for older peers.
+  [
+    'file-upsert',
+    roomMessage(
+      payloadOf(['id', 'data'], { id: ID, name: NAME, mime: SHORT_TEXT, data: { type: 'string' }, updatedAt: TIME, checksum: SHORT_TEXT })
+    )
+  ]
+]);
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function typeMatches(expected, actual) {
+  return expected === actual || (expected === 'number' && actual === 'integer');
+}
+
+// Returns `{ path, detail }` for the first violation, or null.
+function validate(schema, value, path) {
+  if (schema.anyOf) {
+    let first = null;
+    for (const option of schema.anyOf) {
+      const error = validate(option, value, path);
+      if (!error) return null;
+      first ||= error;
+    }
+    return first;
+  }
+
+  const actual = typeOf(value);
+  if (schema.type) {
+    const expected = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!expected.some((type) => typeMatches(type, actual))) {
+      return { path, detail: `must be ${expected.join(' or ')}` };
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return { path, detail: `must be one of ${schema.enum.join(', ')}` };
+  }
+
+  if (actual === 'integer' || actual === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) return { path, detail: `must be >= ${schema.minimum}` };
+    if (schema.maximum !== undefined && value > schema.maximum) return { path, detail: `must be <= ${schema.maximum}` };
+  }
+
+  if (actual === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return { path, detail: `must be at least ${schema.minLength} characters` };
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return { path, detail: `must be at most ${schema.maxLength} characters` };
+    }
+  }
+
+  if (actual === 'array') {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return { path, detail: `must have at most ${schema.maxItems} items` };
+    }
+    for (let index = 0; index < value.length; index += 1) {
+      const itemSchema = schema.prefixItems ? schema.prefixItems[index] : schema.items;
+      if (schema.prefixItems && !itemSchema) return { path, detail: `must have at most ${schema.prefixItems.length} items` };
+      const error = itemSchema && validate(itemSchema, value[index], `${path}[${index}]`);
+      if (error) return error;
+    }
+    if (schema.prefixItems && value.length < schema.prefixItems.length) {
+      return { path, detail: `must have ${schema.prefixItems.length} items` };
+    }
+  }
+
+  if (actual === 'object') {
+    for (const field of schema.required || []) {
+      if (value[field] === undefined) return { path: `${path}.${field}`, detail: 'is required' };
+    }
+    for (const [field, fieldValue] of Object.entries(value)) {
+      const fieldSchema = schema.properties?.[field];
+      if (!fieldSchema) {
+        if (schema.additionalProperties === false) return { path: `${path}.${field}`, detail: 'is not allowed' };
+        continue;
+      }
+      const error = validate(fieldSchema, fieldValue, `${path}.${field}`);
+      if (error) return error;
+    }
+  }
+
+  return null;
+}
+
+// Returns `{ ok: true }`, or `{ ok: false, reason, path, detail }` with reason
+// `invalid_message` (not an object with a string `type`), `unknown_type` or
+// `schema_violation`.
+export function validateMessage(message) {
+  if (typeOf(message) !== 'object' || typeof message.type !== 'string') {
+    return { ok: false, reason: 'invalid_message', path: '$', detail: 'must be an object with a string type' };
+  }
+
+  const schema = MESSAGE_SCHEMAS.get(message.type);
+  if (!schema) return { ok: false, reason: 'unknown_type', path: '$.type', detail: `unknown message type ${message.type.slice(0, 64)}` };
+
+  const error = validate(schema, message, '$');
+  return error ? { ok: false, reason: 'schema_violation', ...error } : { ok: true };
+}
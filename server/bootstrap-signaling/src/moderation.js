@@ -0,0 +1,66 @@
+// Per-room bans and join locks, kept in backplane hashes so every replica enforces them.
+// A ban matches a peerId, a peer identity key (the `publicKey` its signed messages carry)
+// or an IP, and lasts until it expires.
+
+const BAN_KINDS = ['peerId', 'identity', 'ip'];
+// A lock holds until the room is unlocked, but backplane fields need an expiry.
+const LOCK_TTL_MS = 365 * 24 * 60 * 60 * 1000;
+
+function roomKey(namespace, room) {
+  return `${namespace}::${room}`;
+}
+
+// The first ban in `bans` matching any of `{ peerId, identity, ip }`, or null.
+export function matchBan(bans, subject) {
+  return bans.find(({ kind, value }) => subject[kind] && subject[kind] === value) || null;
+}
+
+export class ModerationRegistry {
+  constructor(backplane) {
+    this.backplane = backplane;
+  }
+
+  #bansKey(namespace, room) {
+    return `bs:bans:${roomKey(namespace, room)}`;
+  }
+
+  #lockKey(namespace, room) {
+    return `bs:lock:${roomKey(namespace, room)}`;
+  }
+
+  async ban({ namespace, room, kind, value, durationMs, reason = null, by = null }) {
+    if (!BAN_KINDS.includes(kind) || !value) throw new Error(`A ban needs one of ${BAN_KINDS.join(', ')}.`);
+
+    const now = Date.now();
+    const ban = { kind, value, reason, by, createdAt: now, expiresAt: now + durationMs };
+    await this.backplane.setField(this.#bansKey(namespace, room), `${kind}:${value}`, ban, durationMs, now);
+    return ban;
+  }
+
+  unban({ namespace, room, kind, value }) {
+    return this.backplane.deleteField(this.#bansKey(namespace, room), `${kind}:${value}`);
+  }
+
+  // The first live ban matching any of `{ peerId, identity, ip }`, or null.
+  async findBan({ namespace, room, ...subject }, now = Date.now()) {
+    return matchBan(await this.listBans({ namespace, room }, now), subject);
+  }
+
+  async listBans({ namespace, room }, now = Date.now()) {
+    return [...(await this.backplane.getFields(this.#bansKey(namespace, room), now)).values()];
+  }
+
+  async lock({ namespace, room, reason = null, by = null }) {
+    const lock = { reason, by, lockedAt: Date.now() };
+    await this.backplane.setField(this.#lockKey(namespace, room), 'lock', lock, LOCK_TTL_MS);
+    return lock;
+  }
+
+  unlock({ namespace, room }) {
+    return this.backplane.deleteField(this.#lockKey(namespace, room), 'lock');
+  }
+
+  async lockOf({ namespace, room }) {
+    return (await this.backplane.getFields(this.#lockKey(namespace, room))).get('lock') || null;
+  }
+}
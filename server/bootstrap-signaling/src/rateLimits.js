@@ -0,0 +1,65 @@
+// Token buckets for rate limiting. Each key (a peer, an IP, a room) gets its own bucket
+// that refills continuously up to `burst`; a rate of 0 turns the limit off.
+
+export class TokenBuckets {
+  constructor({ ratePerSecond, burst }) {
+    this.ratePerSecond = ratePerSecond;
+    this.burst = Math.max(1, burst);
+    this.buckets = new Map();
+  }
+
+  get enabled() {
+    return this.ratePerSecond > 0;
+  }
+
+  #refill(key, now) {
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: this.burst, at: now };
+      this.buckets.set(key, bucket);
+      return bucket;
+    }
+
+    bucket.tokens = Math.min(this.burst, bucket.tokens + ((now - bucket.at) / 1000) * this.ratePerSecond);
+    bucket.at = now;
+    return bucket;
+  }
+
+  // Milliseconds until `cost` can be taken, 0 when it can be now. A cost above the burst
+  // only needs a full bucket and leaves it in debt, so one large frame still gets through.
+  waitMs(key, cost, now = Date.now()) {
+    if (!this.enabled) return 0;
+    const needed = Math.min(cost, this.burst);
+    const { tokens } = this.#refill(key, now);
+    return tokens >= needed ? 0 : Math.ceil(((needed - tokens) / this.ratePerSecond) * 1000);
+  }
+
+  take(key, cost, now = Date.now()) {
+    if (!this.enabled) return;
+    this.#refill(key, now).tokens -= cost;
+  }
+
+  // Full buckets hold nothing worth keeping.
+  prune(now = Date.now()) {
+    for (const key of [...this.buckets.keys()]) {
+      if (this.#refill(key, now).tokens >= this.burst) this.buckets.delete(key);
+    }
+  }
+}
+
+// Charges `{ buckets, key, cost, scope, budget }` entries all or nothing. Returns
+// `{ ok: true }`, or `{ ok: false, retryAfterMs, scope, budget }` for the bucket that
+// needs the longest wait.
+export function takeTokens(charges, now = Date.now()) {
+  let blocked = null;
+  for (const { buckets, key, cost, scope, budget } of charges) {
+    const retryAfterMs = buckets.waitMs(key, cost, now);
+    if (retryAfterMs > 0 && (!blocked || retryAfterMs > blocked.retryAfterMs)) {
+      blocked = { ok: false, retryAfterMs, scope, budget };
+    }
+  }
+  if (blocked) return blocked;
+
+  charges.forEach(({ buckets, key, cost }) => buckets.take(key, cost, now));
+  return { ok: true };
+}
@@ -1,71 +1,56 @@
-function roomKey(namespace, room) {
-  return `${namespace}::${room}`;
+// Minimal take on libp2p rendezvous: peers register under namespace/room with a TTL and
+// discover each other there. Records are kept by a store from `rendezvousStore.js`.
+
+// Every filter field has to match. A metadata array (e.g. `capabilities`) matches when it
+// holds each wanted value; anything else is compared as a string.
+export function matchesMetadata(metadata = {}, filter = {}) {
+  return Object.entries(filter).every(([field, wanted]) => {
+    const actual = metadata?.[field];
+    const wantedValues = Array.isArray(wanted) ? wanted : [wanted];
+    if (Array.isArray(actual)) {
+      const values = actual.map(String);
+      return wantedValues.every((value) => values.includes(String(value)));
+    }
+    return actual !== undefined && actual !== null && wantedValues.every((value) => String(actual) === String(value));
+  });
 }
 
 export class RendezvousRegistry {
-  constructor() {
-    this.rooms = new Map();
+  constructor(store) {
+    this.store = store;
   }
 
-  register({ namespace, room, peerId, addresses = [], ttlMs = 60_000, metadata = {} }) {
-    const key = roomKey(namespace, room);
-    const now = Date.now();
-    const expiresAt = now + ttlMs;
-
-    let roomMap = this.rooms.get(key);
-    if (!roomMap) {
-      roomMap = new Map();
-      this.rooms.set(key, roomMap);
-    }
+  async register({ namespace, room, peerId, addresses = [], ttlMs = 60_000, metadata = {} }) {
+    if (!peerId) throw new Error('peerId is required.');
 
-    roomMap.set(peerId, {
+    const now = Date.now();
+    const record = {
       peerId,
       namespace,
       room,
       addresses,
       metadata,
       seenAt: now,
-      expiresAt
-    });
+      expiresAt: now + ttlMs
+    };
 
-    return roomMap.get(peerId);
+    await this.store.put(record);
+    return record;
   }
 
-  discover({ namespace, room, limit = 32 }) {
-    this.pruneExpired();
-    const key = roomKey(namespace, room);
-    const roomMap = this.rooms.get(key);
-    if (!roomMap) return [];
-
-    return [...roomMap.values()]
+  async discover({ namespace, room, limit = 32, filter = {} }) {
+    const records = await this.store.list({ namespace, room });
+    return records
+      .filter((record) => matchesMetadata(record.metadata, filter))
       .sort((a, b) => b.seenAt - a.seenAt)
       .slice(0, limit);
   }
 
   removePeer({ namespace, room, peerId }) {
-    const key = roomKey(namespace, room);
-    const roomMap = this.rooms.get(key);
-    if (!roomMap) return false;
-
-    const removed = roomMap.delete(peerId);
-    if (roomMap.size === 0) {
-      this.rooms.delete(key);
-    }
-
-    return removed;
+    return this.store.delete({ namespace, room, peerId });
   }
 
   pruneExpired(now = Date.now()) {
-    for (const [key, roomMap] of this.rooms.entries()) {
-      for (const [peerId, record] of roomMap.entries()) {
-        if (record.expiresAt <= now) {
-          roomMap.delete(peerId);
-        }
-      }
-
-      if (roomMap.size === 0) {
-        this.rooms.delete(key);
-      }
-    }
+    return this.store.pruneExpired(now);
   }
 }
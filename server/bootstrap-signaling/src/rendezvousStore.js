@@ -0,0 +1,248 @@
+// Storage for rendezvous registrations, set with `RENDEZVOUS_STORE`:
+// - `memory://` keeps them in the process,
+// - `file:///path/registrations.json` does the same and snapshots them to disk, so they
+//   survive a restart,
+// - `backplane:` keeps them in backplane hashes, shared by every replica.
+// A store holds one record per `namespace/room/peerId` and hands back only live ones.
+import { mkdirSync, readFileSync } from 'node:fs';
+import { rename, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const SAVE_DELAY_MS = 1000;
+
+function roomKey(namespace, room) {
+  return `${namespace}::${room}`;
+}
+
+// Min-heap of `{ expiresAt, namespace, room, peerId }`. A refreshed record leaves its old
+// entry behind; pruning skips entries whose record has moved on.
+class ExpiryIndex {
+  constructor() {
+    this.heap = [];
+  }
+
+  get size() {
+    return this.heap.length;
+  }
+
+  push(entry) {
+    const heap = this.heap;
+    heap.push(entry);
+    let index = heap.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (heap[parent].expiresAt <= entry.expiresAt) break;
+      heap[index] = heap[parent];
+      index = parent;
+    }
+    heap[index] = entry;
+  }
+
+  peek() {
+    return this.heap[0] || null;
+  }
+
+  pop() {
+    const heap = this.heap;
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length === 0) return top;
+
+    let index = 0;
+    for (;;) {
+      const left = index * 2 + 1;
+      if (left >= heap.length) break;
+      const right = left + 1;
+      const child = right < heap.length && heap[right].expiresAt < heap[left].expiresAt ? right : left;
+      if (heap[child].expiresAt >= last.expiresAt) break;
+      heap[index] = heap[child];
+      index = child;
+    }
+    heap[index] = last;
+    return top;
+  }
+
+  clear() {
+    this.heap = [];
+  }
+}
+
+export class MemoryRendezvousStore {
+  constructor() {
+    this.rooms = new Map();
+    this.expiry = new ExpiryIndex();
+  }
+
+  async put(record) {
+    this.putSync(record);
+  }
+
+  putSync(record) {
+    const key = roomKey(record.namespace, record.room);
+    if (!this.rooms.has(key)) this.rooms.set(key, new Map());
+    this.rooms.get(key).set(record.peerId, record);
+    this.expiry.push({ expiresAt: record.expiresAt, namespace: record.namespace, room: record.room, peerId: record.peerId });
+    // Stale entries pile up when peers refresh often; rebuild once they dominate.
+    if (this.expiry.size > 64 && this.expiry.size > this.count() * 4) this.#reindex();
+  }
+
+  async delete({ namespace, room, peerId }) {
+    const key = roomKey(namespace, room);
+    const records = this.rooms.get(key);
+    if (!records) return false;
+    const removed = records.delete(peerId);
+    if (records.size === 0) this.rooms.delete(key);
+    return removed;
+  }
+
+  async list({ namespace, room }, now = Date.now()) {
+    const records = this.rooms.get(roomKey(namespace, room));
+    if (!records) return [];
+    return [...records.values()].filter((record) => record.expiresAt > now);
+  }
+
+  // Pops only the entries that are due, instead of walking every record.
+  async pruneExpired(now = Date.now()) {
+    let removed = 0;
+    while (this.expiry.size && this.expiry.peek().expiresAt <= now) {
+      const { expiresAt, namespace, room, peerId } = this.expiry.pop();
+      const records = this.rooms.get(roomKey(namespace, room));
+      if (records?.get(peerId)?.expiresAt !== expiresAt) continue;
+
+      records.delete(peerId);
+      if (records.size === 0) this.rooms.delete(roomKey(namespace, room));
+      removed += 1;
+    }
+    return removed;
+  }
+
+  count() {
+    let total = 0;
+    for (const records of this.rooms.values()) total += records.size;
+    return total;
+  }
+
+  records() {
+    return [...this.rooms.values()].flatMap((records) => [...records.values()]);
+  }
+
+  #reindex() {
+    this.expiry.clear();
+    for (const record of this.records()) {
+      this.expiry.push({ expiresAt: record.expiresAt, namespace: record.namespace, room: record.room, peerId: record.peerId });
+    }
+  }
+
+  async close() {}
+}
+
+// Memory store that writes a JSON snapshot after changes, at most once a second. The
+// snapshot replaces the file through a rename, so a crash leaves the previous one intact.
+export class FileRendezvousStore extends MemoryRendezvousStore {
+  constructor(path, { log = () => {} } = {}) {
+    super();
+    this.path = path;
+    this.log = log;
+    this.saveTimer = null;
+    this.saving = Promise.resolve();
+    this.#load();
+  }
+
+  #load() {
+    let snapshot;
+    try {
+      snapshot = JSON.parse(readFileSync(this.path, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') this.log('warn', 'rendezvous.store_unreadable', { path: this.path, error: err.message });
+      mkdirSync(dirname(this.path), { recursive: true });
+      return;
+    }
+
+    const now = Date.now();
+    for (const record of snapshot.records || []) {
+      if (record?.peerId && record.expiresAt > now) this.putSync(record);
+    }
+  }
+
+  async put(record) {
+    await super.put(record);
+    this.#scheduleSave();
+  }
+
+  async delete(registration) {
+    const removed = await super.delete(registration);
+    if (removed) this.#scheduleSave();
+    return removed;
+  }
+
+  async pruneExpired(now = Date.now()) {
+    const removed = await super.pruneExpired(now);
+    if (removed) this.#scheduleSave();
+    return removed;
+  }
+
+  #scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.flush();
+    }, SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  flush() {
+    const snapshot = JSON.stringify({ savedAt: Date.now(), records: this.records() });
+    const tempPath = `${this.path}.tmp`;
+    this.saving = this.saving
+      .then(() => writeFile(tempPath, snapshot))
+      .then(() => rename(tempPath, this.path))
+      .catch((err) => this.log('warn', 'rendezvous.store_save_failed', { path: this.path, error: err.message }));
+    return this.saving;
+  }
+
+  async close() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    await this.flush();
+  }
+}
+
+// Registrations in backplane hashes (`bs:rendezvous:<namespace>::<room>`), where each
+// field expires after its own TTL.
+export class BackplaneRendezvousStore {
+  constructor(backplane) {
+    this.backplane = backplane;
+  }
+
+  #hashKey(namespace, room) {
+    return `bs:rendezvous:${roomKey(namespace, room)}`;
+  }
+
+  async put(record) {
+    await this.backplane.setField(this.#hashKey(record.namespace, record.room), record.peerId, record, record.expiresAt - record.seenAt, record.seenAt);
+  }
+
+  delete({ namespace, room, peerId }) {
+    return this.backplane.deleteField(this.#hashKey(namespace, room), peerId);
+  }
+
+  async list({ namespace, room }, now = Date.now()) {
+    return [...(await this.backplane.getFields(this.#hashKey(namespace, room), now)).values()];
+  }
+
+  async pruneExpired(now = Date.now()) {
+    await this.backplane.sweep(now);
+    return 0;
+  }
+
+  async close() {}
+}
+
+export function createRendezvousStore(url = 'memory://', { backplane = null, log } = {}) {
+  const parsed = new URL(url);
+  if (parsed.protocol === 'memory:') return new MemoryRendezvousStore();
+  if (parsed.protocol === 'file:') return new FileRendezvousStore(fileURLToPath(parsed), { log });
+  if (parsed.protocol === 'backplane:' && backplane) return new BackplaneRendezvousStore(backplane);
+  throw new Error(`Unsupported rendezvous store: ${url}`);
+}
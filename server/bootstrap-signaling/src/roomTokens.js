@@ -0,0 +1,92 @@
+// Room-scoped access tokens: HS256 JWTs whose claims name the namespace, the room ('*' for
+// every room of the namespace), the role and the expiry. Anyone holding the signing secret
+// can mint them, so keep `SIGNAL_TOKEN_SECRET` on the server and on whatever issues tokens.
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+export const ROLES = ['read', 'write', 'admin'];
+
+// Lowest role allowed to send each message type. Reading peers may ask for files and
+// acknowledge chunks, but only writers offer, send or delete them. Unknown types need `write`.
+const MESSAGE_ROLES = new Map([
+  ['moderation', 'admin'],
+  ['sync-manifest', 'read'],
+  ['file-blocks-request', 'read'],
+  ['file-chunk-request', 'read'],
+  ['file-chunk-ack', 'read'],
+  ['file-transfer-retry-request', 'read'],
+  ['rtc-hello', 'read'],
+  ['rtc-offer', 'read'],
+  ['rtc-answer', 'read'],
+  ['rtc-ice', 'read'],
+  ['rtc-bye', 'read']
+]);
+
+function base64UrlJson(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function signature(secret, signingInput) {
+  return createHmac('sha256', secret).update(signingInput).digest('base64url');
+}
+
+export function hasRole(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+export function requiredRole(messageType) {
+  return MESSAGE_ROLES.get(messageType) || 'write';
+}
+
+export function looksLikeRoomToken(token) {
+  return typeof token === 'string' && token.split('.').length === 3;
+}
+
+export function signRoomToken({ secret, namespace, room, role, ttlSeconds = 3600, subject = null, now = Date.now() }) {
+  if (!secret) throw new Error('A signing secret is required.');
+  if (!namespace || !room) throw new Error('Tokens are scoped to a namespace and a room.');
+  if (!ROLES.includes(role)) throw new Error(`Unknown role: ${role}`);
+  if (!Number.isFinite(ttlSeconds)) throw new Error('ttlSeconds must be a number.');
+
+  const issuedAt = Math.floor(now / 1000);
+  const claims = {
+    namespace,
+    room,
+    role,
+    iat: issuedAt,
+    exp: issuedAt + Math.max(1, Math.floor(ttlSeconds)),
+    ...(subject ? { sub: subject } : {})
+  };
+  const signingInput = `${base64UrlJson({ alg: 'HS256', typ: 'JWT' })}.${base64UrlJson(claims)}`;
+  return `${signingInput}.${signature(secret, signingInput)}`;
+}
+
+// Returns `{ ok: true, claims }`, or `{ ok: false, reason }` with reason `malformed`,
+// `bad_signature`, `expired`, `wrong_room` or `bad_role`.
+export function verifyRoomToken(token, { secret, namespace, room, now = Date.now() }) {
+  if (!secret || !looksLikeRoomToken(token)) return { ok: false, reason: 'malformed' };
+
+  const [header, payload, sig] = token.split('.');
+  const expected = Buffer.from(signature(secret, `${header}.${payload}`));
+  const actual = Buffer.from(sig);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return { ok: false, reason: 'bad_signature' };
+  }
+
+  let claims;
+  try {
+    if (JSON.parse(Buffer.from(header, 'base64url').toString('utf8')).alg !== 'HS256') {
+      return { ok: false, reason: 'malformed' };
+    }
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (_err) {
+    return { ok: false, reason: 'malformed' };
+  }
+
+  if (typeof claims.exp !== 'number' || claims.exp * 1000 <= now) return { ok: false, reason: 'expired' };
+  if (!ROLES.includes(claims.role)) return { ok: false, reason: 'bad_role' };
+  if (claims.namespace !== namespace || (claims.room !== '*' && claims.room !== room)) {
+    return { ok: false, reason: 'wrong_room' };
+  }
+
+  return { ok: true, claims };
+}
@@ -1,30 +1,141 @@
 import http from 'node:http';
-import { createHash, timingSafeEqual } from 'node:crypto';
+import { createHash, randomUUID, timingSafeEqual } from 'node:crypto';
 import { WebSocketServer } from 'ws';
+import { createBackplane } from './backplane.js';
+import { BacklogStore } from './backlogStore.js';
+import { readFrameRoute, withFrameSource } from './binaryFrame.js';
+import { InviteRegistry } from './invites.js';
+import { validateMessage } from './messageSchemas.js';
+import { ModerationRegistry, matchBan } from './moderation.js';
+import { TokenBuckets, takeTokens } from './rateLimits.js';
 import { RendezvousRegistry } from './rendezvous.js';
+import { createRendezvousStore } from './rendezvousStore.js';
+import { ROLES, hasRole, looksLikeRoomToken, requiredRole, signRoomToken, verifyRoomToken } from './roomTokens.js';
+import { verifyMessageSignature } from './signatures.js';
 
 const PORT = Number(process.env.PORT || 8787);
 const SHARED_TOKEN_HASH = process.env.SIGNAL_TOKEN_SHA256 || '';
-const MAX_MESSAGES_PER_MINUTE = Number(process.env.RATE_LIMIT_MESSAGES_PER_MINUTE || 300);
+const TOKEN_SECRET = process.env.SIGNAL_TOKEN_SECRET || '';
+// `memory://` for a single replica, `redis://host:6379` to share rooms across replicas.
+const BACKPLANE_URL = process.env.BACKPLANE_URL || 'memory://';
+// `memory://`, `file:///path.json` to survive restarts, or `backplane:` to share across
+// replicas (the default once the backplane is shared).
+const RENDEZVOUS_STORE =
+  process.env.RENDEZVOUS_STORE || (new URL(BACKPLANE_URL).protocol === 'memory:' ? 'memory://' : 'backplane:');
+const INSTANCE_ID = randomUUID();
+// Roster entries outlive a few missed refreshes, then vanish with a crashed replica.
+const ROSTER_TTL_MS = 90_000;
+// Role of connections without a token once auth is configured; unset rejects them.
+const ANONYMOUS_ROLE = process.env.ANONYMOUS_ROLE || '';
 const MAX_CONNECTIONS_PER_IP = Number(process.env.RATE_LIMIT_CONNECTIONS_PER_IP || 12);
+// Token buckets per peer: control messages are counted, data (file bytes) is weighed.
+// `RATE_LIMIT_MESSAGES_PER_MINUTE` is the older name of the control budget.
+const CONTROL_PER_SECOND = Number(
+  process.env.RATE_LIMIT_CONTROL_PER_SECOND || Number(process.env.RATE_LIMIT_MESSAGES_PER_MINUTE || 600) / 60
+);
+const CONTROL_BURST = Number(process.env.RATE_LIMIT_CONTROL_BURST || CONTROL_PER_SECOND * 30);
+const DATA_BYTES_PER_SECOND = Number(process.env.RATE_LIMIT_DATA_BYTES_PER_SECOND || 8 * 1024 * 1024);
+const DATA_BURST_BYTES = Number(process.env.RATE_LIMIT_DATA_BURST_BYTES || DATA_BYTES_PER_SECOND * 2);
+// An IP gets this many peers' worth of both budgets, so an office behind one NAT isn't
+// squeezed into a single peer's share.
+const IP_BUDGET_FACTOR = Number(process.env.RATE_LIMIT_IP_FACTOR || 4);
+// Everything relayed into a room, control and data, counts against the room.
+const ROOM_BYTES_PER_SECOND = Number(process.env.RATE_LIMIT_ROOM_BYTES_PER_SECOND || 32 * 1024 * 1024);
+const ROOM_BURST_BYTES = Number(process.env.RATE_LIMIT_ROOM_BURST_BYTES || ROOM_BYTES_PER_SECOND * 2);
+// Largest websocket frame accepted; bigger ones close the socket with 1009. Chunk frames
+// need up to 4x the panels' `chunkBytes` (a third more as base64 JSON).
+const MAX_PAYLOAD_BYTES = Number(process.env.MAX_PAYLOAD_BYTES || 4 * 1024 * 1024);
+// A directory turns on store-and-forward: room file traffic is kept for peers that join later.
+const BACKLOG_DIR = process.env.BACKLOG_DIR || '';
+const BACKLOG_TTL_SECONDS = Number(process.env.BACKLOG_TTL_SECONDS || 7 * 24 * 60 * 60);
+const BACKLOG_ROOM_QUOTA_BYTES = Number(process.env.BACKLOG_ROOM_QUOTA_BYTES || 256 * 1024 * 1024);
+const BACKLOG_TOTAL_QUOTA_BYTES = Number(process.env.BACKLOG_TOTAL_QUOTA_BYTES || 2 * 1024 * 1024 * 1024);
+
+if (ANONYMOUS_ROLE && !ROLES.includes(ANONYMOUS_ROLE)) {
+  throw new Error(`ANONYMOUS_ROLE must be one of ${ROLES.join(', ')}.`);
+}
+
+const INVITE_DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+const INVITE_MAX_TTL_SECONDS = 7 * 24 * 60 * 60;
+const INVITE_MAX_USES = 1000;
+const INVITE_TOKEN_MAX_TTL_SECONDS = 30 * 24 * 60 * 60;
+const BAN_DEFAULT_SECONDS = 60 * 60;
+const BAN_MAX_SECONDS = 365 * 24 * 60 * 60;
+// Close code for a socket removed by a moderator; clients don't reconnect after it.
+const KICKED_CLOSE_CODE = 4001;
+const MODERATION_ACTIONS = ['kick', 'ban', 'unban', 'lock', 'unlock', 'delete'];
+// Messages that carry file bytes and spend the data budget; the rest are control.
+const DATA_MESSAGE_TYPES = new Set(['file-chunk', 'file-upsert']);
+// Broadcasts a later joiner needs to rebuild the room's files. Targeted messages and
+// presence are not kept.
+const BACKLOG_MESSAGE_TYPES = new Set([
+  'file-transfer-start',
+  'file-chunk',
+  'file-transfer-complete',
+  'file-upsert',
+  'file-delete',
+  'forced-delete'
+]);
+// Replay pauses while this much is still queued on the socket.
+const BACKLOG_SEND_BUFFER_BYTES = 4 * 1024 * 1024;
+
+// setTimeout fires at once past this, so longer-lived tokens are only checked at upgrade.
+const MAX_TIMER_MS = 2 ** 31 - 1;
 
 const rooms = new Map();
 const peers = new Map();
-const rendezvous = new RendezvousRegistry();
+const backplane = createBackplane(BACKPLANE_URL, { log });
+const rendezvous = new RendezvousRegistry(createRendezvousStore(RENDEZVOUS_STORE, { backplane, log }));
+const invites = new InviteRegistry(backplane);
+const moderation = new ModerationRegistry(backplane);
+const backlog = BACKLOG_DIR
+  ? new BacklogStore({
+      dir: BACKLOG_DIR,
+      ttlMs: BACKLOG_TTL_SECONDS * 1000,
+      roomQuotaBytes: BACKLOG_ROOM_QUOTA_BYTES,
+      totalQuotaBytes: BACKLOG_TOTAL_QUOTA_BYTES,
+      log
+    })
+  : null;
+// `<namespace>::<room>::<peerId>` -> { seq, at }: how far a departed peer got, so its
+// reconnect only replays what it missed.
+const backlogCursors = new Map();
 
 const metrics = {
   wsConnectionsTotal: 0,
   wsActiveConnections: 0,
   wsMessagesTotal: 0,
   wsAuthFailuresTotal: 0,
+  wsForbiddenTotal: 0,
   wsRateLimitedTotal: 0,
+  wsTargetedMessagesTotal: 0,
+  wsUnknownPeerTotal: 0,
+  wsBinaryFramesTotal: 0,
+  backplaneErrorsTotal: 0,
+  backlogStoredTotal: 0,
+  backlogDeliveredTotal: 0,
   relayUsageTotal: 0,
+  invitesIssuedTotal: 0,
+  invitesRedeemedTotal: 0,
+  inviteRedeemFailuresTotal: 0,
+  moderationActions: new Map(),
+  joinsRejected: new Map(),
+  rateLimited: new Map(),
+  messagesRejected: new Map(),
   iceState: new Map(),
   failureReason: new Map(),
   byRegionCarrier: new Map()
 };
 
-const rateLimitByIp = new Map();
+// Peers are keyed by peerId: identity keys are only claimed by the client, so keying on
+// one would let anyone spend another peer's budget.
+const limits = {
+  peerControl: new TokenBuckets({ ratePerSecond: CONTROL_PER_SECOND, burst: CONTROL_BURST }),
+  ipControl: new TokenBuckets({ ratePerSecond: CONTROL_PER_SECOND * IP_BUDGET_FACTOR, burst: CONTROL_BURST * IP_BUDGET_FACTOR }),
+  peerData: new TokenBuckets({ ratePerSecond: DATA_BYTES_PER_SECOND, burst: DATA_BURST_BYTES }),
+  ipData: new TokenBuckets({ ratePerSecond: DATA_BYTES_PER_SECOND * IP_BUDGET_FACTOR, burst: DATA_BURST_BYTES * IP_BUDGET_FACTOR }),
+  roomBytes: new TokenBuckets({ ratePerSecond: ROOM_BYTES_PER_SECOND, burst: ROOM_BURST_BYTES })
+};
 const connectionsByIp = new Map();
 
 function setCorsHeaders(res) {
@@ -69,6 +180,23 @@ function validateToken(rawToken) {
   return timingSafeEqual(a, b);
 }
 
+// Returns `{ role, expiresAt }` for an accepted token, or `{ reason }`. Room tokens carry
+// their own role; the shared token and servers without auth get `write`.
+function authorize(rawToken, namespace, room) {
+  if (!SHARED_TOKEN_HASH && !TOKEN_SECRET) return { role: 'write', expiresAt: null };
+  if (!rawToken) {
+    return ANONYMOUS_ROLE ? { role: ANONYMOUS_ROLE, expiresAt: null } : { reason: 'missing_token' };
+  }
+
+  if (TOKEN_SECRET && looksLikeRoomToken(rawToken)) {
+    const result = verifyRoomToken(rawToken, { secret: TOKEN_SECRET, namespace, room });
+    return result.ok ? { role: result.claims.role, expiresAt: result.claims.exp * 1000 } : { reason: result.reason };
+  }
+
+  if (SHARED_TOKEN_HASH && validateToken(rawToken)) return { role: 'write', expiresAt: null };
+  return { reason: 'invalid_token' };
+}
+
 function parseAuthToken(request) {
   const auth = request.headers.authorization || '';
   if (auth.startsWith('Bearer ')) {
@@ -88,21 +216,35 @@ function ipOf(request) {
   return request.socket.remoteAddress || 'unknown';
 }
 
-function allowMessage(ip) {
-  const now = Date.now();
-  let bucket = rateLimitByIp.get(ip);
-  if (!bucket || now >= bucket.windowStart + 60_000) {
-    bucket = { windowStart: now, count: 0 };
-    rateLimitByIp.set(ip, bucket);
-  }
+function countRateLimited(result) {
+  if (result.ok) return result;
+  metrics.wsRateLimitedTotal += 1;
+  metricMapInc(metrics.rateLimited, `${result.scope}::${result.budget}`, 1);
+  return result;
+}
 
-  if (bucket.count >= MAX_MESSAGES_PER_MINUTE) {
-    metrics.wsRateLimitedTotal += 1;
-    return false;
-  }
+// One HTTP request against the IP's control budget.
+function limitRequest(ip) {
+  return countRateLimited(takeTokens([{ buckets: limits.ipControl, key: ip, cost: 1, scope: 'ip', budget: 'control' }]));
+}
 
-  bucket.count += 1;
-  return true;
+// Charges a websocket frame to its peer, IP and room.
+function limitFrame(ws, { bytes, data }) {
+  const charges = data
+    ? [
+        { buckets: limits.peerData, key: ws.peerId, cost: bytes, scope: 'peer', budget: 'data' },
+        { buckets: limits.ipData, key: ws.clientIp, cost: bytes, scope: 'ip', budget: 'data' }
+      ]
+    : [
+        { buckets: limits.peerControl, key: ws.peerId, cost: 1, scope: 'peer', budget: 'control' },
+        { buckets: limits.ipControl, key: ws.clientIp, cost: 1, scope: 'ip', budget: 'control' }
+      ];
+  charges.push({ buckets: limits.roomBytes, key: roomKey(ws.namespace, ws.room), cost: bytes, scope: 'room', budget: 'bytes' });
+  return countRateLimited(takeTokens(charges));
+}
+
+function frameBytes(raw) {
+  return Array.isArray(raw) ? raw.reduce((total, part) => total + part.byteLength, 0) : raw.byteLength;
 }
 
 function allowConnection(ip) {
@@ -130,23 +272,354 @@ function roomKey(namespace, room) {
   return `${namespace}::${room}`;
 }
 
+function peerSummary(ws) {
+  return {
+    peerId: ws.peerId,
+    role: ws.role,
+    metadata: ws.metadata,
+    joinedAt: ws.joinedAt
+  };
+}
+
+// Answers a message the server won't relay with a typed error.
+function rejectMessage(ws, code, details = {}) {
+  metricMapInc(metrics.messagesRejected, code, 1);
+  ws.send(JSON.stringify({ type: 'error', code, ...details }));
+}
+
+function rejectForbidden(ws, messageType) {
+  metrics.wsForbiddenTotal += 1;
+  ws.send(JSON.stringify({ type: 'error', code: 'forbidden', messageType, role: ws.role }));
+}
+
+function broadcastToRoom(namespace, room, payload) {
+  const message = { ...payload, namespace, room };
+  storeForBacklog(namespace, room, message, message.type);
+  relayToRoom({ namespace, room, senderId: null, payload: message }).catch(reportBackplaneError);
+}
+
+function kickSocket(ws, { reason = null, bannedUntil = null } = {}) {
+  ws.send(JSON.stringify({ type: 'kicked', namespace: ws.namespace, room: ws.room, reason, bannedUntil }));
+  ws.close(KICKED_CLOSE_CODE, bannedUntil ? 'banned' : 'kicked');
+}
+
+function roomSockets(namespace, room) {
+  return [...(rooms.get(roomKey(namespace, room)) || [])];
+}
+
+// A peer of the room wherever it is connected: `{ ws, identityKey, clientIp }` for a
+// socket on this replica, its roster entry when another replica holds it, or null.
+async function findRoomPeer(namespace, room, peerId) {
+  const ws = peers.get(peerId);
+  if (ws && ws.namespace === namespace && ws.room === room) {
+    return { ws, identityKey: ws.identityKey, clientIp: ws.clientIp };
+  }
+  return (await backplane.getFields(rosterKey(namespace, room))).get(peerId) || null;
+}
+
+// Kicks this replica's sockets of the room that match one of `bans`.
+function kickBanned(namespace, room, bans, reason) {
+  const kicked = [];
+  for (const ws of roomSockets(namespace, room)) {
+    const ban = matchBan(bans, { peerId: ws.peerId, identity: ws.identityKey, ip: ws.clientIp });
+    if (!ban) continue;
+    kickSocket(ws, { reason, bannedUntil: ban.expiresAt });
+    kicked.push(ws.peerId);
+  }
+  return kicked;
+}
+
+// Kicks and ban-kicks go out on the room channel too, so the replica holding the socket
+// closes it.
+function publishModeration(namespace, room, action) {
+  return backplane.publish(roomChannel(namespace, room), JSON.stringify({ origin: INSTANCE_ID, namespace, room, moderation: action }));
+}
+
+// Runs an admin's moderation action and returns `{ status, body }` for the HTTP answer or
+// the `moderation-result` frame. `params` is the request body; `by` names the admin.
+async function moderate(action, { namespace, room, ...params }, by) {
+  if (!MODERATION_ACTIONS.includes(action)) {
+    return { status: 400, body: { error: `Unknown moderation action: ${action}` } };
+  }
+  metricMapInc(metrics.moderationActions, action, 1);
+  log('info', 'moderation.action', { action, namespace, room, by, peerId: params.peerId || null });
+  const reason = typeof params.reason === 'string' ? params.reason.slice(0, 200) : null;
+
+  if (action === 'kick') {
+    const target = params.peerId ? await findRoomPeer(namespace, room, params.peerId) : null;
+    if (!target) {
+      return { status: 404, body: { error: 'Peer is not in the room.', peerId: params.peerId || null } };
+    }
+    if (target.ws) kickSocket(target.ws, { reason });
+    else await publishModeration(namespace, room, { kick: params.peerId, reason });
+    return { status: 200, body: { kicked: [params.peerId] } };
+  }
+
+  if (action === 'ban' || action === 'unban') {
+    let subjects;
+    if (params.peerId) {
+      const target = await findRoomPeer(namespace, room, params.peerId);
+      subjects =
+        params.scope === 'ip'
+          ? target?.clientIp ? [['ip', target.clientIp]] : []
+          : [['peerId', params.peerId], ...(target?.identityKey ? [['identity', target.identityKey]] : [])];
+    } else {
+      subjects = ['identity', 'ip'].filter((kind) => params[kind]).map((kind) => [kind, String(params[kind])]);
+    }
+    if (!subjects.length) {
+      return { status: 400, body: { error: 'Name a connected peerId, an identity or an ip.' } };
+    }
+
+    if (action === 'unban') {
+      await Promise.all(subjects.map(([kind, value]) => moderation.unban({ namespace, room, kind, value })));
+      return { status: 200, body: { unbanned: subjects.map(([kind]) => kind) } };
+    }
+
+    const seconds = boundedInteger(params.durationSeconds, BAN_DEFAULT_SECONDS, BAN_MAX_SECONDS);
+    if (!seconds) return { status: 400, body: { error: 'durationSeconds must be a positive integer.' } };
+    const bans = await Promise.all(
+      subjects.map(([kind, value]) => moderation.ban({ namespace, room, kind, value, durationMs: seconds * 1000, reason, by }))
+    );
+
+    const kicked = kickBanned(namespace, room, bans, reason);
+    // Peers the roster places on other replicas are kicked there.
+    for (const entry of (await backplane.getFields(rosterKey(namespace, room))).values()) {
+      if (entry.instanceId === INSTANCE_ID) continue;
+      if (matchBan(bans, { peerId: entry.peerId, identity: entry.identityKey, ip: entry.clientIp })) kicked.push(entry.peerId);
+    }
+    await publishModeration(namespace, room, { bans, reason });
+    return { status: 200, body: { banned: bans.map(({ kind, expiresAt }) => ({ kind, expiresAt })), kicked } };
+  }
+
+  if (action === 'lock' || action === 'unlock') {
+    const locked = action === 'lock';
+    if (locked) await moderation.lock({ namespace, room, reason, by });
+    else await moderation.unlock({ namespace, room });
+    broadcastToRoom(namespace, room, { type: 'room-locked', locked, reason });
+    return { status: 200, body: { locked } };
+  }
+
+  if (typeof params.fileId !== 'string' || !params.fileId) {
+    return { status: 400, body: { error: 'fileId is required.' } };
+  }
+  const deletedAt = Date.now();
+  broadcastToRoom(namespace, room, { type: 'forced-delete', fileId: params.fileId, deletedAt, reason });
+  return { status: 200, body: { fileId: params.fileId, deletedAt } };
+}
+
+function reportBackplaneError(err) {
+  metrics.backplaneErrorsTotal += 1;
+  log('warn', 'backplane.failed', { error: err.message });
+}
+
+function roomChannel(namespace, room) {
+  return `bs:room:${roomKey(namespace, room)}`;
+}
+
+function rosterKey(namespace, room) {
+  return `bs:roster:${roomKey(namespace, room)}`;
+}
+
+// Rosters live in the backplane, so they list the room's peers on every replica. Entries
+// also carry what moderation needs to ban a peer held by another replica.
+async function roomRoster(namespace, room) {
+  const entries = await backplane.getFields(rosterKey(namespace, room));
+  return [...entries.values()].map(({ instanceId: _instanceId, identityKey: _identityKey, clientIp: _clientIp, ...peer }) => peer);
+}
+
+function registerPresence(ws, clientIp) {
+  // A reconnecting peer can briefly hold two sockets; only the current one is listed.
+  if (peers.get(ws.peerId) !== ws) return;
+
+  backplane
+    .setField(
+      rosterKey(ws.namespace, ws.room),
+      ws.peerId,
+      { ...peerSummary(ws), instanceId: INSTANCE_ID, identityKey: ws.identityKey, clientIp },
+      ROSTER_TTL_MS
+    )
+    .catch(reportBackplaneError);
+  rendezvous
+    .register({
+      namespace: ws.namespace,
+      room: ws.room,
+      peerId: ws.peerId,
+      addresses: [clientIp],
+      ttlMs: 60_000,
+      metadata: ws.metadata
+    })
+    .catch(reportBackplaneError);
+}
+
+// Leaves the entry alone when the peer has already reconnected through another replica.
+async function removePresence(namespace, room, peerId) {
+  const entry = (await backplane.getFields(rosterKey(namespace, room))).get(peerId);
+  if (entry?.instanceId === INSTANCE_ID) {
+    await backplane.deleteField(rosterKey(namespace, room), peerId);
+    await rendezvous.removePeer({ namespace, room, peerId });
+  }
+}
+
 function ensureRoom(namespace, room) {
   const key = roomKey(namespace, room);
   if (!rooms.has(key)) {
     rooms.set(key, new Set());
+    backplane.subscribe(roomChannel(namespace, room), handleBackplaneMessage).catch(reportBackplaneError);
   }
 
   return rooms.get(key);
 }
 
-function relayToRoom({ namespace, room, senderId, payload }) {
-  const members = rooms.get(roomKey(namespace, room));
-  if (!members) return;
+function deliverLocally({ namespace, room, senderId, frame, targetPeerId }) {
+  if (targetPeerId) {
+    const ws = peers.get(targetPeerId);
+    if (!ws || ws.readyState !== ws.OPEN || ws.namespace !== namespace || ws.room !== room) {
+      return false;
+    }
 
-  for (const ws of members.values()) {
+    ws.send(frame);
+    return true;
+  }
+
+  for (const ws of rooms.get(roomKey(namespace, room)) || []) {
     if (ws.readyState !== ws.OPEN || ws.peerId === senderId) continue;
-    ws.send(JSON.stringify(payload));
+    ws.send(frame);
+  }
+
+  return true;
+}
+
+// Room traffic relayed by another replica, or a kick or ban it published.
+function handleBackplaneMessage(raw) {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (_err) {
+    return;
+  }
+  if (message.origin === INSTANCE_ID) return;
+
+  if (message.moderation) {
+    const { namespace, room, moderation: { kick, bans, reason } } = message;
+    const ws = kick && peers.get(kick);
+    if (ws && ws.namespace === namespace && ws.room === room) kickSocket(ws, { reason });
+    if (Array.isArray(bans)) kickBanned(namespace, room, bans, reason);
+    return;
+  }
+
+  const frame = typeof message.binary === 'string' ? Buffer.from(message.binary, 'base64') : message.text;
+  deliverLocally({ ...message, frame });
+}
+
+function targetPeerIdOf(message) {
+  const target = message.to ?? message.targetPeerId;
+  return typeof target === 'string' && target.length > 0 ? target : null;
+}
+
+// Delivers to this replica's sockets, then publishes to the other replicas. A targeted
+// message only crosses over when the roster places its peer on another replica.
+async function relayToRoom({ namespace, room, senderId, payload, targetPeerId = null }) {
+  // Binary frames are relayed as-is; everything else is a JSON envelope.
+  const frame = Buffer.isBuffer(payload) ? payload : JSON.stringify(payload);
+  const delivered = deliverLocally({ namespace, room, senderId, frame, targetPeerId });
+
+  if (targetPeerId) {
+    if (!delivered) {
+      const entry = (await backplane.getFields(rosterKey(namespace, room))).get(targetPeerId);
+      if (!entry || entry.instanceId === INSTANCE_ID) return false;
+    }
+    metrics.wsTargetedMessagesTotal += 1;
+    if (delivered) return true;
+  }
+
+  await backplane.publish(
+    roomChannel(namespace, room),
+    JSON.stringify({
+      origin: INSTANCE_ID,
+      namespace,
+      room,
+      senderId,
+      targetPeerId,
+      ...(Buffer.isBuffer(frame) ? { binary: frame.toString('base64') } : { text: frame })
+    })
+  );
+  return true;
+}
+
+function relayBinaryFrame(ws, raw) {
+  if (!hasRole(ws.role, requiredRole('file-chunk'))) {
+    rejectForbidden(ws, 'file-chunk');
+    return;
+  }
+
+  const buffer = Array.isArray(raw) ? Buffer.concat(raw) : Buffer.from(raw);
+  const route = readFrameRoute(buffer);
+  const frame = route && withFrameSource(buffer, route, ws.peerId);
+  if (!frame) {
+    rejectMessage(ws, 'invalid_frame');
+    return;
+  }
+
+  metrics.wsBinaryFramesTotal += 1;
+  relayFromPeer(ws, { payload: frame, targetPeerId: route.targetPeerId, messageType: 'file-chunk' });
+}
+
+function storeForBacklog(namespace, room, payload, messageType) {
+  if (!backlog || !BACKLOG_MESSAGE_TYPES.has(messageType)) return;
+
+  backlog.append(namespace, room, Buffer.isBuffer(payload) ? payload : JSON.stringify(payload)).then((entry) => {
+    if (entry) metrics.backlogStoredTotal += 1;
+  });
+}
+
+function backlogCursorKey(namespace, room, peerId) {
+  return `${roomKey(namespace, room)}::${peerId}`;
+}
+
+// Seq up to which the socket has seen the room's backlog, live or replayed.
+function backlogSeenBy(ws) {
+  return ws.backlogReplayed ? backlog.lastSeq() : ws.backlogSeq;
+}
+
+// Replays what was stored for the room since the peer last saw it. Messages stored from
+// now on reach it live.
+async function replayBacklog(ws, after) {
+  const upTo = backlog.lastSeq();
+  ws.backlogSeq = after;
+  for (const entry of await backlog.entries(ws.namespace, ws.room, { after, upTo })) {
+    while (ws.readyState === ws.OPEN && ws.bufferedAmount > BACKLOG_SEND_BUFFER_BYTES) {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+    if (ws.readyState !== ws.OPEN) return;
+
+    const frame = await backlog.read(ws.namespace, ws.room, entry);
+    if (frame !== null) {
+      // JSON messages say they are replayed; signatures don't cover the envelope.
+      ws.send(Buffer.isBuffer(frame) ? frame : JSON.stringify({ ...JSON.parse(frame), replayed: true }));
+      metrics.backlogDeliveredTotal += 1;
+    }
+    ws.backlogSeq = entry.seq;
   }
+  ws.backlogReplayed = true;
+}
+
+// Answers `unknown_peer` when a targeted message's peer is on no replica.
+function relayFromPeer(ws, { payload, targetPeerId, messageType }) {
+  if (!targetPeerId) storeForBacklog(ws.namespace, ws.room, payload, messageType);
+  relayToRoom({ namespace: ws.namespace, room: ws.room, senderId: ws.peerId, payload, targetPeerId })
+    .then((delivered) => {
+      if (delivered) return;
+      metrics.wsUnknownPeerTotal += 1;
+      ws.send(
+        JSON.stringify({
+          type: 'error',
+          code: 'unknown_peer',
+          targetPeerId,
+          messageType
+        })
+      );
+    })
+    .catch(reportBackplaneError);
 }
 
 function formatPromMetric(name, value, labels = null) {
@@ -172,14 +645,77 @@ function renderMetrics() {
     '# HELP bs_ws_auth_failures_total Rejected websocket auth attempts',
     '# TYPE bs_ws_auth_failures_total counter',
     formatPromMetric('bs_ws_auth_failures_total', metrics.wsAuthFailuresTotal),
+    '# HELP bs_ws_forbidden_total Messages rejected because the peer\'s role may not send them',
+    '# TYPE bs_ws_forbidden_total counter',
+    formatPromMetric('bs_ws_forbidden_total', metrics.wsForbiddenTotal),
     '# HELP bs_ws_rate_limited_total Rejected messages/connections by rate limiting',
     '# TYPE bs_ws_rate_limited_total counter',
     formatPromMetric('bs_ws_rate_limited_total', metrics.wsRateLimitedTotal),
+    '# HELP bs_ws_targeted_messages_total Messages routed to a single peer',
+    '# TYPE bs_ws_targeted_messages_total counter',
+    formatPromMetric('bs_ws_targeted_messages_total', metrics.wsTargetedMessagesTotal),
+    '# HELP bs_ws_unknown_peer_total Targeted messages whose peer was not in the room',
+    '# TYPE bs_ws_unknown_peer_total counter',
+    formatPromMetric('bs_ws_unknown_peer_total', metrics.wsUnknownPeerTotal),
+    '# HELP bs_ws_binary_frames_total Binary chunk frames relayed',
+    '# TYPE bs_ws_binary_frames_total counter',
+    formatPromMetric('bs_ws_binary_frames_total', metrics.wsBinaryFramesTotal),
+    '# HELP bs_backplane_errors_total Failed backplane operations',
+    '# TYPE bs_backplane_errors_total counter',
+    formatPromMetric('bs_backplane_errors_total', metrics.backplaneErrorsTotal),
     '# HELP bs_relay_usage_total Total sessions that reported TURN relay usage',
     '# TYPE bs_relay_usage_total counter',
-    formatPromMetric('bs_relay_usage_total', metrics.relayUsageTotal)
+    formatPromMetric('bs_relay_usage_total', metrics.relayUsageTotal),
+    '# HELP bs_invites_issued_total Invite codes minted',
+    '# TYPE bs_invites_issued_total counter',
+    formatPromMetric('bs_invites_issued_total', metrics.invitesIssuedTotal),
+    '# HELP bs_invites_redeemed_total Invite codes exchanged for a room token',
+    '# TYPE bs_invites_redeemed_total counter',
+    formatPromMetric('bs_invites_redeemed_total', metrics.invitesRedeemedTotal),
+    '# HELP bs_invite_redeem_failures_total Unknown, expired or used-up invite codes presented',
+    '# TYPE bs_invite_redeem_failures_total counter',
+    formatPromMetric('bs_invite_redeem_failures_total', metrics.inviteRedeemFailuresTotal)
   ];
 
+  if (backlog) {
+    const stats = backlog.stats();
+    lines.push(
+      '# HELP bs_backlog_stored_messages_total Room messages written to the store-and-forward backlog',
+      '# TYPE bs_backlog_stored_messages_total counter',
+      formatPromMetric('bs_backlog_stored_messages_total', metrics.backlogStoredTotal),
+      '# HELP bs_backlog_delivered_messages_total Backlog messages replayed to joining peers',
+      '# TYPE bs_backlog_delivered_messages_total counter',
+      formatPromMetric('bs_backlog_delivered_messages_total', metrics.backlogDeliveredTotal),
+      '# HELP bs_backlog_messages Messages currently kept in the backlog',
+      '# TYPE bs_backlog_messages gauge',
+      formatPromMetric('bs_backlog_messages', stats.messages),
+      '# HELP bs_backlog_bytes Bytes currently kept in the backlog',
+      '# TYPE bs_backlog_bytes gauge',
+      formatPromMetric('bs_backlog_bytes', stats.bytes),
+      '# HELP bs_backlog_evicted_messages_total Backlog messages dropped by TTL or quota',
+      '# TYPE bs_backlog_evicted_messages_total counter',
+      formatPromMetric('bs_backlog_evicted_messages_total', stats.evicted.ttl, { reason: 'ttl' }),
+      formatPromMetric('bs_backlog_evicted_messages_total', stats.evicted.quota, { reason: 'quota' })
+    );
+  }
+
+  for (const [action, value] of metrics.moderationActions.entries()) {
+    lines.push(formatPromMetric('bs_moderation_actions_total', value, { action }));
+  }
+
+  for (const [key, value] of metrics.rateLimited.entries()) {
+    const [scope, budget] = key.split('::');
+    lines.push(formatPromMetric('bs_ws_rate_limited_by_total', value, { scope, budget }));
+  }
+
+  for (const [reason, value] of metrics.messagesRejected.entries()) {
+    lines.push(formatPromMetric('bs_ws_messages_rejected_total', value, { reason }));
+  }
+
+  for (const [reason, value] of metrics.joinsRejected.entries()) {
+    lines.push(formatPromMetric('bs_ws_joins_rejected_total', value, { reason }));
+  }
+
   for (const [iceState, value] of metrics.iceState.entries()) {
     lines.push(formatPromMetric('bs_ice_state_total', value, { ice_state: iceState }));
   }
@@ -217,6 +753,97 @@ function parseJsonBody(req) {
   });
 }
 
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+function boundedInteger(value, fallback, max) {
+  const number = value === undefined || value === null ? fallback : Number(value);
+  if (!Number.isInteger(number) || number < 1) return null;
+  return Math.min(number, max);
+}
+
+async function issueInvite(req, res) {
+  if (!TOKEN_SECRET) {
+    sendJson(res, 503, { error: 'Invites need SIGNAL_TOKEN_SECRET to sign room tokens.' });
+    return;
+  }
+
+  const body = await parseJsonBody(req);
+  const namespace = body.namespace || 'global';
+  const room = body.room || 'public';
+  const access = authorize(parseAuthToken(req), namespace, room);
+  if (access.role !== 'admin') {
+    metrics.wsAuthFailuresTotal += 1;
+    sendJson(res, access.reason && access.reason !== 'wrong_room' ? 401 : 403, {
+      error: 'An admin token for the room is required.',
+      reason: access.reason || 'not_admin'
+    });
+    return;
+  }
+
+  const role = body.role || 'write';
+  const ttlSeconds = boundedInteger(body.ttlSeconds, INVITE_DEFAULT_TTL_SECONDS, INVITE_MAX_TTL_SECONDS);
+  const maxUses = boundedInteger(body.maxUses, 1, INVITE_MAX_USES);
+  const tokenTtlSeconds = boundedInteger(body.tokenTtlSeconds, 3600, INVITE_TOKEN_MAX_TTL_SECONDS);
+  if (!ROLES.includes(role) || room === '*' || !ttlSeconds || !maxUses || !tokenTtlSeconds) {
+    sendJson(res, 400, { error: 'Invalid invite: check role, room, ttlSeconds, maxUses and tokenTtlSeconds.' });
+    return;
+  }
+
+  const invite = await invites.issue({
+    namespace,
+    room,
+    role,
+    maxUses,
+    ttlMs: ttlSeconds * 1000,
+    tokenTtlMs: tokenTtlSeconds * 1000,
+    issuedBy: ipOf(req)
+  });
+  metrics.invitesIssuedTotal += 1;
+  log('info', 'invite.issued', { namespace, room, role, maxUses, expiresAt: invite.expiresAt });
+  sendJson(res, 201, {
+    code: invite.code,
+    namespace,
+    room,
+    role,
+    maxUses,
+    expiresAt: invite.expiresAt
+  });
+}
+
+async function redeemInvite(req, res) {
+  const ip = ipOf(req);
+  const limit = limitRequest(ip);
+  if (!limit.ok) {
+    res.setHeader('Retry-After', String(Math.ceil(limit.retryAfterMs / 1000)));
+    sendJson(res, 429, { error: 'Too many requests.', retryAfterMs: limit.retryAfterMs });
+    return;
+  }
+
+  const body = await parseJsonBody(req);
+  const result = await invites.redeem(body.code);
+  if (!result.invite) {
+    metrics.inviteRedeemFailuresTotal += 1;
+    log('warn', 'invite.redeem_failed', { ip, reason: result.reason });
+    sendJson(res, result.reason === 'unknown' ? 404 : 410, { error: 'Invite code is not valid.', reason: result.reason });
+    return;
+  }
+
+  const { namespace, room, role, tokenTtlMs } = result.invite;
+  const expiresAt = Date.now() + tokenTtlMs;
+  metrics.invitesRedeemedTotal += 1;
+  log('info', 'invite.redeemed', { namespace, room, role, ip });
+  sendJson(res, 200, {
+    token: signRoomToken({ secret: TOKEN_SECRET, namespace, room, role, ttlSeconds: tokenTtlMs / 1000 }),
+    namespace,
+    room,
+    role,
+    expiresAt
+  });
+}
+
 const server = http.createServer(async (req, res) => {
   setCorsHeaders(res);
   const url = new URL(req.url, `http://${req.headers.host}`);
@@ -244,7 +871,13 @@ const server = http.createServer(async (req, res) => {
     const room = url.searchParams.get('room') || 'public';
     const key = roomKey(namespace, room);
 
-    const peersInRoom = (rooms.get(key) || new Set()).size;
+    const peersInRoom = await roomRoster(namespace, room).then(
+      (roster) => roster.length,
+      (err) => {
+        reportBackplaneError(err);
+        return (rooms.get(key) || new Set()).size;
+      }
+    );
 
     res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
     res.end(
@@ -259,19 +892,20 @@ const server = http.createServer(async (req, res) => {
   }
 
   if (url.pathname === '/rendezvous/register' && req.method === 'POST') {
-    const token = parseAuthToken(req);
-    if (!validateToken(token)) {
-      metrics.wsAuthFailuresTotal += 1;
-      res.writeHead(401);
-      res.end('Unauthorized');
-      return;
-    }
-
     try {
       const body = await parseJsonBody(req);
-      const record = rendezvous.register({
-        namespace: body.namespace || 'global',
-        room: body.room || 'public',
+      const namespace = body.namespace || 'global';
+      const room = body.room || 'public';
+      if (!authorize(parseAuthToken(req), namespace, room).role) {
+        metrics.wsAuthFailuresTotal += 1;
+        res.writeHead(401);
+        res.end('Unauthorized');
+        return;
+      }
+
+      const record = await rendezvous.register({
+        namespace,
+        room,
         peerId: body.peerId,
         addresses: body.addresses || [],
         ttlMs: Number(body.ttlMs || 60_000),
@@ -288,15 +922,60 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
+  if ((url.pathname === '/invites' || url.pathname === '/invites/redeem') && req.method === 'POST') {
+    try {
+      await (url.pathname === '/invites' ? issueInvite(req, res) : redeemInvite(req, res));
+    } catch (err) {
+      sendJson(res, 400, { error: err.message });
+    }
+
+    return;
+  }
+
+  if (url.pathname.startsWith('/moderation/') && req.method === 'POST') {
+    try {
+      const body = await parseJsonBody(req);
+      const namespace = body.namespace || 'global';
+      const room = body.room || 'public';
+      const access = authorize(parseAuthToken(req), namespace, room);
+      if (access.role !== 'admin') {
+        metrics.wsAuthFailuresTotal += 1;
+        sendJson(res, access.reason && access.reason !== 'wrong_room' ? 401 : 403, {
+          error: 'An admin token for the room is required.',
+          reason: access.reason || 'not_admin'
+        });
+        return;
+      }
+
+      const { status, body: result } = await moderate(url.pathname.slice('/moderation/'.length), { ...body, namespace, room }, `http:${ipOf(req)}`);
+      sendJson(res, status, result);
+    } catch (err) {
+      sendJson(res, 400, { error: err.message });
+    }
+
+    return;
+  }
+
   if (url.pathname === '/rendezvous/discover' && req.method === 'GET') {
     const namespace = url.searchParams.get('namespace') || 'global';
     const room = url.searchParams.get('room') || 'public';
     const limit = Number(url.searchParams.get('limit') || 32);
+    // `?metadata.region=eu&metadata.capabilities=relay`; repeat a field to require several values.
+    const filter = {};
+    for (const field of new Set(url.searchParams.keys())) {
+      if (field.startsWith('metadata.') && field.length > 'metadata.'.length) {
+        filter[field.slice('metadata.'.length)] = url.searchParams.getAll(field);
+      }
+    }
 
-    const records = rendezvous.discover({ namespace, room, limit });
-
-    res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
-    res.end(JSON.stringify({ namespace, room, peers: records }));
+    try {
+      const records = await rendezvous.discover({ namespace, room, limit, filter });
+      res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify({ namespace, room, peers: records }));
+    } catch (err) {
+      reportBackplaneError(err);
+      sendJson(res, 503, { error: 'Discovery is unavailable.' });
+    }
     return;
   }
 
@@ -304,14 +983,39 @@ const server = http.createServer(async (req, res) => {
   res.end('Not Found');
 });
 
-const wss = new WebSocketServer({ noServer: true });
+const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_PAYLOAD_BYTES });
 
 wss.on('connection', (ws, request, context) => {
-  const { namespace, room, clientIp, peerId } = context;
+  const { namespace, room, clientIp, peerId, displayName, role, expiresAt } = context;
 
   ws.peerId = peerId;
   ws.namespace = namespace;
   ws.room = room;
+  ws.role = role;
+  ws.clientIp = clientIp;
+  // Learned from the first signed message, for identity bans.
+  ws.identityKey = null;
+  // How far this socket has got through the room's backlog.
+  ws.backlogSeq = 0;
+  ws.backlogReplayed = false;
+  ws.joinedAt = nowIso();
+  ws.metadata = {
+    transport: 'websocket',
+    ...(displayName ? { displayName } : {})
+  };
+
+  // A reconnect picks up where the peer's previous socket got to in the backlog.
+  let backlogAfter = 0;
+  if (backlog) {
+    const previous = peers.get(peerId);
+    const cursorKey = backlogCursorKey(namespace, room, peerId);
+    if (previous && previous.namespace === namespace && previous.room === room) {
+      backlogAfter = backlogSeenBy(previous);
+    } else {
+      backlogAfter = backlogCursors.get(cursorKey)?.seq || 0;
+    }
+    backlogCursors.delete(cursorKey);
+  }
 
   ensureRoom(namespace, room).add(ws);
   peers.set(peerId, ws);
@@ -319,51 +1023,119 @@ wss.on('connection', (ws, request, context) => {
   metrics.wsConnectionsTotal += 1;
   metrics.wsActiveConnections += 1;
 
-  rendezvous.register({
-    namespace,
-    room,
-    peerId,
-    addresses: [clientIp],
-    ttlMs: 60_000,
-    metadata: {
-      transport: 'websocket'
-    }
-  });
+  registerPresence(ws, clientIp);
 
   log('info', 'peer.connected', {
     peerId,
     namespace,
     room,
+    role,
     clientIp
   });
 
+  const expiryTimer =
+    expiresAt && expiresAt - Date.now() < MAX_TIMER_MS
+      ? setTimeout(() => ws.close(1008, 'token expired'), Math.max(0, expiresAt - Date.now()))
+      : null;
+
   ws.send(
     JSON.stringify({
       type: 'welcome',
       peerId,
       namespace,
       room,
+      role,
+      // Whether room broadcasts are kept for later joiners.
+      backlog: Boolean(backlog),
       now: nowIso()
     })
   );
 
-  ws.on('message', (raw) => {
-    if (!allowMessage(clientIp)) {
-      ws.send(JSON.stringify({ type: 'error', code: 'rate_limited' }));
+  roomRoster(namespace, room)
+    .then((roster) => {
+      ws.send(
+        JSON.stringify({
+          type: 'roster',
+          namespace,
+          room,
+          peers: roster.filter((peer) => peer.peerId !== peerId)
+        })
+      );
+    })
+    .catch(reportBackplaneError);
+
+  if (backlog) {
+    replayBacklog(ws, backlogAfter).catch((err) => log('warn', 'backlog.replay_failed', { peerId, namespace, room, error: err.message }));
+  }
+
+  relayToRoom({
+    namespace,
+    room,
+    senderId: peerId,
+    payload: {
+      type: 'peer-joined',
+      namespace,
+      room,
+      peer: peerSummary(ws)
+    }
+  }).catch(reportBackplaneError);
+
+  // Frames wait here while a new identity key is checked against the room's bans, so
+  // nothing from a banned key is relayed and the rest keep their order.
+  let heldFrames = null;
+
+  const handleFrame = (raw, isBinary) => {
+    // The type decides which budget a text frame spends, so it is parsed first.
+    let message;
+    let parseFailed = false;
+    if (!isBinary) {
+      try {
+        message = JSON.parse(String(raw));
+      } catch (_err) {
+        parseFailed = true;
+      }
+    }
+
+    const messageType = isBinary ? 'file-chunk' : typeof message?.type === 'string' ? message.type.slice(0, 64) : null;
+    const limit = limitFrame(ws, { bytes: frameBytes(raw), data: DATA_MESSAGE_TYPES.has(messageType) });
+    if (!limit.ok) {
+      ws.send(
+        JSON.stringify({
+          type: 'error',
+          code: 'rate_limited',
+          retryAfterMs: limit.retryAfterMs,
+          scope: limit.scope,
+          budget: limit.budget,
+          messageType
+        })
+      );
       return;
     }
 
     metrics.wsMessagesTotal += 1;
 
-    let message;
-    try {
-      message = JSON.parse(String(raw));
-    } catch (_err) {
-      ws.send(JSON.stringify({ type: 'error', code: 'invalid_json' }));
+    if (isBinary) {
+      relayBinaryFrame(ws, raw);
+      return;
+    }
+
+    if (parseFailed) {
+      rejectMessage(ws, 'invalid_json');
+      return;
+    }
+
+    const validation = validateMessage(message);
+    if (!validation.ok) {
+      rejectMessage(ws, validation.reason, {
+        messageType,
+        path: validation.path,
+        detail: validation.detail
+      });
       return;
     }
 
     if (message.type === 'heartbeat') {
+      registerPresence(ws, clientIp);
       ws.send(JSON.stringify({ type: 'heartbeat-ack', now: nowIso() }));
       return;
     }
@@ -387,6 +1159,57 @@ wss.on('connection', (ws, request, context) => {
       return;
     }
 
+    // A key counts as the peer's identity only with a valid signature; otherwise anyone
+    // could claim another peer's key and have bans aimed at themselves land on it.
+    if (!ws.identityKey && typeof message.publicKey === 'string') {
+      if (!verifyMessageSignature(message)) {
+        rejectMessage(ws, 'bad_signature', { messageType });
+        return;
+      }
+      ws.identityKey = message.publicKey;
+      registerPresence(ws, clientIp);
+      heldFrames = [];
+      moderation
+        .findBan({ namespace, room, identity: ws.identityKey })
+        .catch((err) => {
+          reportBackplaneError(err);
+          return null;
+        })
+        .then((ban) => {
+          const held = heldFrames;
+          heldFrames = null;
+          if (ban) {
+            kickSocket(ws, { reason: ban.reason, bannedUntil: ban.expiresAt });
+            return;
+          }
+          handleMessage(message);
+          held.forEach(([heldRaw, heldIsBinary]) => handleFrame(heldRaw, heldIsBinary));
+        });
+      return;
+    }
+
+    handleMessage(message);
+  };
+
+  // A parsed, valid message from a peer whose identity, if any, is not banned.
+  const handleMessage = (message) => {
+    if (!hasRole(ws.role, requiredRole(message.type))) {
+      rejectForbidden(ws, message.type || null);
+      return;
+    }
+
+    if (message.type === 'moderation') {
+      moderate(message.action, { ...message, namespace, room }, peerId)
+        .catch((err) => {
+          reportBackplaneError(err);
+          return { status: 503, body: { error: 'Moderation is unavailable.' } };
+        })
+        .then(({ status, body }) => {
+          ws.send(JSON.stringify({ type: 'moderation-result', requestId: message.requestId ?? null, action: message.action, status, ...body }));
+        });
+      return;
+    }
+
     const relayPayload = {
       ...message,
       sourcePeerId: peerId,
@@ -395,25 +1218,48 @@ wss.on('connection', (ws, request, context) => {
       receivedAt: nowIso()
     };
 
-    relayToRoom({
-      namespace,
-      room,
-      senderId: peerId,
-      payload: relayPayload
-    });
+    relayFromPeer(ws, { payload: relayPayload, targetPeerId: targetPeerIdOf(message), messageType: message.type || null });
+  };
+
+  ws.on('message', (raw, isBinary) => {
+    if (heldFrames) heldFrames.push([raw, isBinary]);
+    else handleFrame(raw, isBinary);
+  });
+
+  // Protocol errors, such as a frame over `maxPayload`; `ws` closes the socket after them.
+  ws.on('error', (err) => {
+    metricMapInc(metrics.messagesRejected, err.code === 'WS_ERR_UNSUPPORTED_MESSAGE_LENGTH' ? 'payload_too_large' : 'protocol_error', 1);
+    log('warn', 'peer.socket_error', { peerId, namespace, room, code: err.code || null, error: err.message });
   });
 
   ws.on('close', () => {
+    clearTimeout(expiryTimer);
     const members = rooms.get(roomKey(namespace, room));
     if (members) {
       members.delete(ws);
       if (members.size === 0) {
         rooms.delete(roomKey(namespace, room));
+        backplane.unsubscribe(roomChannel(namespace, room), handleBackplaneMessage).catch(reportBackplaneError);
       }
     }
 
-    peers.delete(peerId);
-    rendezvous.removePeer({ namespace, room, peerId });
+    // A reconnecting client may reuse its peerId before this socket closes.
+    if (peers.get(peerId) === ws) {
+      peers.delete(peerId);
+      if (backlog) backlogCursors.set(backlogCursorKey(namespace, room, peerId), { seq: backlogSeenBy(ws), at: Date.now() });
+      removePresence(namespace, room, peerId).catch(reportBackplaneError);
+      relayToRoom({
+        namespace,
+        room,
+        senderId: peerId,
+        payload: {
+          type: 'peer-left',
+          namespace,
+          room,
+          peerId
+        }
+      }).catch(reportBackplaneError);
+    }
 
     decrementConnection(clientIp);
     metrics.wsActiveConnections = Math.max(0, metrics.wsActiveConnections - 1);
@@ -427,7 +1273,7 @@ wss.on('connection', (ws, request, context) => {
   });
 });
 
-server.on('upgrade', (request, socket, head) => {
+server.on('upgrade', async (request, socket, head) => {
   const url = new URL(request.url, `http://${request.headers.host}`);
 
   if (url.pathname !== '/signal') {
@@ -444,38 +1290,85 @@ server.on('upgrade', (request, socket, head) => {
     return;
   }
 
-  const token = parseAuthToken(request);
-  if (!validateToken(token)) {
+  const namespace = url.searchParams.get('namespace') || 'global';
+  const room = url.searchParams.get('room') || 'public';
+  const { role, expiresAt, reason } = authorize(parseAuthToken(request), namespace, room);
+  if (!role) {
     metrics.wsAuthFailuresTotal += 1;
-    socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
-    log('warn', 'peer.auth_failed', { clientIp });
+    // A valid token for another room is forbidden rather than unauthenticated.
+    const status = reason === 'wrong_room' ? '403 Forbidden' : '401 Unauthorized';
+    socket.write(`HTTP/1.1 ${status}\r\nConnection: close\r\n\r\n`);
+    log('warn', 'peer.auth_failed', { clientIp, namespace, room, reason });
     socket.destroy();
     return;
   }
 
-  const namespace = url.searchParams.get('namespace') || 'global';
-  const room = url.searchParams.get('room') || 'public';
   const peerId = url.searchParams.get('peerId') || `peer-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+  let ban;
+  let lock;
+  try {
+    [ban, lock] = await Promise.all([
+      moderation.findBan({ namespace, room, peerId, ip: clientIp }),
+      role === 'admin' ? null : moderation.lockOf({ namespace, room })
+    ]);
+  } catch (err) {
+    // Without the backplane, bans and locks can't be checked, so nobody new gets in.
+    reportBackplaneError(err);
+    socket.write('HTTP/1.1 503 Service Unavailable\r\nConnection: close\r\n\r\n');
+    socket.destroy();
+    return;
+  }
+  if (socket.destroyed) return;
+  if (ban || lock) {
+    metricMapInc(metrics.joinsRejected, ban ? 'banned' : 'locked', 1);
+    socket.write(`HTTP/1.1 ${ban ? '403 Forbidden' : '423 Locked'}\r\nConnection: close\r\n\r\n`);
+    log('warn', 'peer.join_rejected', { clientIp, namespace, room, peerId, reason: ban ? 'banned' : 'locked' });
+    socket.destroy();
+    return;
+  }
+
+  const displayName = (url.searchParams.get('displayName') || '').trim().slice(0, 64);
 
   wss.handleUpgrade(request, socket, head, (ws) => {
     wss.emit('connection', ws, request, {
       namespace,
       room,
       clientIp,
-      peerId
+      peerId,
+      displayName,
+      role,
+      expiresAt
     });
   });
 });
 
 setInterval(() => {
-  rendezvous.pruneExpired();
+  // Roster entries expire unless refreshed, so a crashed replica's peers drop out.
+  for (const ws of peers.values()) registerPresence(ws, ws.clientIp);
+  rendezvous.pruneExpired().catch(reportBackplaneError);
+  // Invites, bans and locks expire in the backplane.
+  backplane.sweep().catch(reportBackplaneError);
+  Object.values(limits).forEach((buckets) => buckets.prune());
+  if (backlog) {
+    const cutoff = Date.now() - BACKLOG_TTL_SECONDS * 1000;
+    for (const [key, cursor] of backlogCursors.entries()) {
+      if (cursor.at <= cutoff) backlogCursors.delete(key);
+    }
+    backlog.pruneExpired().catch((err) => log('warn', 'backlog.prune_failed', { error: err.message }));
+  }
 }, 30_000).unref();
 
+if (backlog) await backlog.open();
+
 server.listen(PORT, () => {
   log('info', 'bootstrap-signaling.started', {
     port: PORT,
     signalingPath: '/signal',
     bootstrapPath: '/bootstrap',
-    rendezvousDiscoverPath: '/rendezvous/discover'
+    rendezvousDiscoverPath: '/rendezvous/discover',
+    backplane: new URL(BACKPLANE_URL).protocol.replace(':', ''),
+    rendezvousStore: new URL(RENDEZVOUS_STORE).protocol.replace(':', ''),
+    instanceId: INSTANCE_ID,
+    backlog: backlog ? BACKLOG_DIR : null
   });
 });
@@ -0,0 +1,38 @@
+// Checks the identity-key signature that @browser-sync/file-sync puts on room messages
+// (packages/file-sync/src/peerIdentity.js), so the server only records a key as a peer's
+// identity once the peer has shown it holds the private key. Keep `signedContent` in sync
+// with the client.
+import { createPublicKey, verify } from 'node:crypto';
+
+const RAW_P256_KEY_BYTES = 65;
+
+function signedContent(message) {
+  const { type, namespace, room, sourcePeerId, targetPeerId, payload = {} } = message;
+  const fields = [type, `${namespace}/${room}`, sourcePeerId || '', targetPeerId || ''];
+
+  if (type !== 'file-chunk') {
+    return Buffer.from([...fields, JSON.stringify(payload)].join('\n'));
+  }
+
+  const head = Buffer.from(`${[...fields, payload.transferId, payload.chunkIndex, Number(payload.flags) || 0].join('\n')}\n`);
+  return Buffer.concat([head, Buffer.from(String(payload.data || ''), 'base64')]);
+}
+
+// `publicKey` is the raw uncompressed P-256 point and `signature` the IEEE P1363 `r || s`
+// WebCrypto produces, both base64.
+export function verifyMessageSignature(message) {
+  if (typeof message.publicKey !== 'string' || typeof message.signature !== 'string') return false;
+
+  const raw = Buffer.from(message.publicKey, 'base64');
+  if (raw.length !== RAW_P256_KEY_BYTES || raw[0] !== 0x04) return false;
+
+  try {
+    const key = createPublicKey({
+      key: { kty: 'EC', crv: 'P-256', x: raw.subarray(1, 33).toString('base64url'), y: raw.subarray(33).toString('base64url') },
+      format: 'jwk'
+    });
+    return verify('sha256', signedContent(message), { key, dsaEncoding: 'ieee-p1363' }, Buffer.from(message.signature, 'base64'));
+  } catch (_err) {
+    return false;
+  }
+}
@@ -0,0 +1,171 @@
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { mkdtemp, readdir, rm } from 'node:fs/promises';
+import { createServer } from 'node:net';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import WebSocket from 'ws';
+import { BacklogStore } from '../src/backlogStore.js';
+
+const SERVER_PATH = fileURLToPath(new URL('../src/server.js', import.meta.url));
+
+async function tempDir(t) {
+  const dir = await mkdtemp(join(tmpdir(), 'backlog-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function createStore(dir, options = {}) {
+  return new BacklogStore({ dir, ttlMs: 60_000, roomQuotaBytes: 1024, totalQuotaBytes: 4096, ...options });
+}
+
+async function frames(store, namespace, room, range) {
+  const entries = await store.entries(namespace, room, range);
+  return Promise.all(entries.map((entry) => store.read(namespace, room, entry)));
+}
+
+test('stored frames come back in order, binary ones as buffers', async (t) => {
+  const store = createStore(await tempDir(t));
+  await store.open();
+
+  const appended = await Promise.all([
+    store.append('team', 'design', '{"n":1}'),
+    store.append('team', 'design', Buffer.from([1, 2, 3])),
+    store.append('team', 'other', '{"n":"other"}'),
+    store.append('team', 'design', '{"n":3}')
+  ]);
+  assert.deepEqual(appended.map((entry) => entry.seq), [1, 2, 3, 4]);
+  assert.equal(store.lastSeq(), 4);
+
+  assert.deepEqual(await frames(store, 'team', 'design'), ['{"n":1}', Buffer.from([1, 2, 3]), '{"n":3}']);
+  // A cursor skips what was already seen, and `upTo` what arrived after the replay began.
+  assert.deepEqual(await frames(store, 'team', 'design', { after: 1, upTo: 2 }), [Buffer.from([1, 2, 3])]);
+  assert.deepEqual(await frames(store, 'team', 'empty'), []);
+});
+
+test('a restarted store picks up the backlog and keeps counting from it', async (t) => {
+  const dir = await tempDir(t);
+  const first = createStore(dir);
+  await first.open();
+  await first.append('team', 'design', '{"n":1}');
+  await first.append('team', 'design', Buffer.from([9]));
+
+  const second = createStore(dir);
+  await second.open();
+  assert.deepEqual(await frames(second, 'team', 'design'), ['{"n":1}', Buffer.from([9])]);
+  assert.equal((await second.append('team', 'design', '{"n":3}')).seq, 3);
+});
+
+test('expired messages are dropped along with their emptied room', async (t) => {
+  const dir = await tempDir(t);
+  const store = createStore(dir);
+  await store.open();
+  const first = await store.append('team', 'design', '{"n":1}');
+  await store.append('team', 'other', '{"n":2}');
+
+  await store.pruneExpired(first.storedAt + 59_999);
+  assert.equal(store.stats().messages, 2);
+
+  await store.pruneExpired(first.storedAt + 120_000);
+  assert.deepEqual(store.stats(), { rooms: 0, messages: 0, bytes: 0, evicted: { ttl: 2, quota: 0 } });
+  assert.deepEqual(await readdir(dir), []);
+  assert.deepEqual(await frames(store, 'team', 'design'), []);
+});
+
+test('rooms over their quota lose their oldest messages, and the store its oldest overall', async (t) => {
+  const store = createStore(await tempDir(t), { roomQuotaBytes: 20, totalQuotaBytes: 30 });
+  await store.open();
+
+  // Each frame is 10 bytes; a room keeps two.
+  await store.append('team', 'design', '{"n":"a1"}');
+  await store.append('team', 'design', '{"n":"a2"}');
+  await store.append('team', 'design', '{"n":"a3"}');
+  assert.deepEqual(await frames(store, 'team', 'design'), ['{"n":"a2"}', '{"n":"a3"}']);
+
+  await store.append('team', 'other', '{"n":"b1"}');
+  await store.append('team', 'other', '{"n":"b2"}');
+  assert.deepEqual(await frames(store, 'team', 'design'), ['{"n":"a3"}']);
+  assert.deepEqual(await frames(store, 'team', 'other'), ['{"n":"b1"}', '{"n":"b2"}']);
+
+  // A frame bigger than a whole room is not kept at all.
+  assert.equal(await store.append('team', 'design', `{"n":"${'x'.repeat(20)}"}`), null);
+  assert.deepEqual(store.stats(), { rooms: 2, messages: 3, bytes: 30, evicted: { ttl: 0, quota: 2 } });
+});
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitFor(check, ms = 5000) {
+  const start = Date.now();
+  while (!(await check())) {
+    if (Date.now() - start > ms) throw new Error('Timed out waiting.');
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+async function connect(port, peerId) {
+  const ws = new WebSocket(`ws://127.0.0.1:${port}/signal?namespace=team&room=design&peerId=${peerId}`);
+  const messages = [];
+  ws.on('message', (data) => messages.push(JSON.parse(data.toString())));
+  await waitFor(() => messages.some((message) => message.type === 'welcome'));
+  return { ws, messages };
+}
+
+function fileDelete(id, targetPeerId) {
+  const message = {
+    type: 'file-delete',
+    sourcePeerId: 'peer-a',
+    namespace: 'team',
+    room: 'design',
+    payload: { id, name: `${id}.txt`, checksum: 'abc', deletedAt: 1_700_000_000_000, deletedBy: 'peer-a' }
+  };
+  return JSON.stringify(targetPeerId ? { ...message, targetPeerId } : message);
+}
+
+test('the server replays room broadcasts to a peer that joins later, but not targeted messages', async (t) => {
+  const dir = await tempDir(t);
+  const port = await freePort();
+  const server = spawn(process.execPath, [SERVER_PATH], {
+    env: { ...process.env, PORT: String(port), BACKLOG_DIR: dir },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  t.after(() => server.kill());
+  await new Promise((resolve) => server.stdout.once('data', resolve));
+  server.stdout.resume();
+
+  const a = await connect(port, 'peer-a');
+  const b = await connect(port, 'peer-b');
+  a.ws.send(fileDelete('file-1'));
+  a.ws.send(fileDelete('file-2', 'peer-b'));
+  a.ws.send(fileDelete('file-3'));
+  await waitFor(() => b.messages.filter((message) => message.type === 'file-delete').length === 3);
+  b.ws.close();
+  a.ws.close();
+
+  const c = await connect(port, 'peer-c');
+  t.after(() => c.ws.close());
+  const deletes = () => c.messages.filter((message) => message.type === 'file-delete');
+  await waitFor(() => deletes().length === 2);
+  await new Promise((resolve) => setTimeout(resolve, 100));
+
+  assert.deepEqual(
+    deletes().map((message) => [message.payload.id, message.replayed]),
+    [
+      ['file-1', true],
+      ['file-3', true]
+    ]
+  );
+  // The backlog follows `welcome`.
+  assert.equal(c.messages[0].type, 'welcome');
+  assert.equal(c.messages[0].backlog, true);
+});
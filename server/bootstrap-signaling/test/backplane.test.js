@@ -0,0 +1,237 @@
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import { test } from 'node:test';
+import { RedisBackplane } from '../src/backplane.js';
+
+function encode(value) {
+  if (value === null) return '$-1\r\n';
+  if (typeof value === 'number') return `:${value}\r\n`;
+  if (Array.isArray(value)) return `*${value.length}\r\n${value.map(encode).join('')}`;
+  return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+}
+
+// Returns `{ args, end }` for the first complete command in `buffer`, or null.
+function parseCommand(buffer) {
+  let lineEnd = buffer.indexOf('\r\n');
+  if (buffer[0] !== 0x2a || lineEnd < 0) return null;
+
+  const count = Number(buffer.toString('utf8', 1, lineEnd));
+  const args = [];
+  let offset = lineEnd + 2;
+  for (let i = 0; i < count; i += 1) {
+    lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd < 0) return null;
+    const length = Number(buffer.toString('utf8', offset + 1, lineEnd));
+    if (buffer.length < lineEnd + 2 + length + 2) return null;
+    args.push(buffer.toString('utf8', lineEnd + 2, lineEnd + 2 + length));
+    offset = lineEnd + 2 + length + 2;
+  }
+  return { args, end: offset };
+}
+
+// Just enough of Redis for the backplane: hashes with a key expiry, counters and pub/sub.
+// Replies go out in two pieces a few milliseconds apart, so the client has to put frames
+// back together.
+async function startFakeRedis({ password = null } = {}) {
+  const hashes = new Map();
+  const counters = new Map();
+  const expiries = new Map();
+  const subscribers = new Map();
+  const sockets = new Set();
+  const commands = [];
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    let buffer = Buffer.alloc(0);
+    let authenticated = !password;
+    let writes = Promise.resolve();
+
+    const reply = (value) => {
+      const bytes = Buffer.from(value instanceof Error ? `-${value.message}\r\n` : encode(value));
+      const half = Math.ceil(bytes.length / 2);
+      writes = writes.then(async () => {
+        socket.write(bytes.subarray(0, half));
+        await new Promise((resolve) => setTimeout(resolve, 2));
+        if (!socket.destroyed) socket.write(bytes.subarray(half));
+      });
+    };
+
+    socket.on('error', () => {});
+    socket.on('close', () => {
+      sockets.delete(socket);
+      subscribers.forEach((members) => members.delete(socket));
+    });
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      for (let parsed = parseCommand(buffer); parsed; parsed = parseCommand(buffer)) {
+        buffer = buffer.subarray(parsed.end);
+        const [name, key, ...rest] = parsed.args;
+        const command = name.toUpperCase();
+        commands.push(parsed.args);
+
+        if (command === 'AUTH') {
+          authenticated = key === password;
+          reply(authenticated ? 'OK' : new Error('WRONGPASS invalid password'));
+          continue;
+        }
+        if (!authenticated) {
+          reply(new Error('NOAUTH Authentication required.'));
+          continue;
+        }
+
+        const hash = hashes.get(key) || new Map();
+        if (command === 'SELECT') reply('OK');
+        else if (command === 'HSET') {
+          hashes.set(key, hash.set(rest[0], rest[1]));
+          reply(1);
+        } else if (command === 'HDEL') reply(rest.filter((field) => hash.delete(field)).length);
+        else if (command === 'HGETALL') reply([...hash.entries()].flat());
+        else if (command === 'PTTL') reply(!hashes.has(key) && !counters.has(key) ? -2 : expiries.get(key) ?? -1);
+        else if (command === 'PEXPIRE') {
+          expiries.set(key, Number(rest[0]));
+          reply(1);
+        } else if (command === 'INCR') {
+          counters.set(key, (counters.get(key) || 0) + 1);
+          reply(counters.get(key));
+        } else if (command === 'PUBLISH') {
+          const members = subscribers.get(key) || new Set();
+          members.forEach((member) => member.write(encode(['message', key, rest[0]])));
+          reply(members.size);
+        } else if (command === 'SUBSCRIBE') {
+          if (!subscribers.has(key)) subscribers.set(key, new Set());
+          subscribers.get(key).add(socket);
+          reply(['subscribe', key, 1]);
+        } else if (command === 'UNSUBSCRIBE') {
+          subscribers.get(key)?.delete(socket);
+          reply(['unsubscribe', key, 0]);
+        } else reply(new Error(`ERR unknown command '${name}'`));
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `redis://${password ? `:${password}@` : ''}127.0.0.1:${server.address().port}/2`,
+    commands,
+    expiries,
+    subscriberCount: (channel) => subscribers.get(channel)?.size || 0,
+    dropConnections: () => sockets.forEach((socket) => socket.destroy()),
+    close: () => {
+      sockets.forEach((socket) => socket.destroy());
+      return new Promise((resolve) => server.close(resolve));
+    }
+  };
+}
+
+async function eventually(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    try {
+      return await check();
+    } catch (err) {
+      if (Date.now() > deadline) throw err;
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+  }
+}
+
+function nextMessage(backplane, channel) {
+  return new Promise((resolve) => {
+    const handler = (message) => {
+      backplane.unsubscribe(channel, handler).then(() => resolve(message));
+    };
+    backplane.subscribe(channel, handler);
+  });
+}
+
+test('publishes to subscribers on another instance', async (t) => {
+  const redis = await startFakeRedis({ password: 'p@ss' });
+  const first = new RedisBackplane(redis.url);
+  const second = new RedisBackplane(redis.url);
+  t.after(async () => {
+    await first.close();
+    await second.close();
+    await redis.close();
+  });
+
+  const received = [];
+  await second.subscribe('bs:room:team::design', (message) => received.push(message));
+  await first.publish('bs:room:team::design', JSON.stringify({ text: 'hello' }));
+  await first.publish('bs:room:team::other', 'not subscribed');
+  await eventually(() => assert.deepEqual(received, ['{"text":"hello"}']));
+
+  // Every connection, two per instance, logged in and picked the database from the URL.
+  assert.equal(redis.commands.filter(([name]) => name === 'AUTH').length, 4);
+  assert.deepEqual(redis.commands.find(([name]) => name === 'SELECT'), ['SELECT', '2']);
+});
+
+test('hash fields expire, and the hash lasts as long as its longest-lived field', async (t) => {
+  const redis = await startFakeRedis();
+  const backplane = new RedisBackplane(redis.url);
+  t.after(async () => {
+    await backplane.close();
+    await redis.close();
+  });
+
+  const key = 'bs:roster:team::design';
+  await backplane.setField(key, 'peer-a', { peerId: 'peer-a' }, 1000, 0);
+  await backplane.setField(key, 'peer-b', { peerId: 'peer-b' }, 5000, 0);
+  await backplane.setField(key, 'peer-c', { peerId: 'peer-c' }, 2000, 0);
+  assert.equal(redis.expiries.get(key), 5000);
+
+  assert.deepEqual([...(await backplane.getFields(key, 500)).keys()], ['peer-a', 'peer-b', 'peer-c']);
+  const later = await backplane.getFields(key, 1500);
+  assert.deepEqual([...later.keys()], ['peer-b', 'peer-c']);
+  assert.deepEqual(later.get('peer-b'), { peerId: 'peer-b' });
+  // Expired fields are deleted as they are read.
+  assert.deepEqual(redis.commands.at(-1), ['HDEL', key, 'peer-a']);
+
+  assert.equal(await backplane.deleteField(key, 'peer-b'), true);
+  assert.equal(await backplane.deleteField(key, 'peer-b'), false);
+  assert.deepEqual([...(await backplane.getFields(key, 1500)).keys()], ['peer-c']);
+  assert.equal((await backplane.getFields('bs:roster:team::empty')).size, 0);
+});
+
+test('counters start their expiry on the first increment', async (t) => {
+  const redis = await startFakeRedis();
+  const backplane = new RedisBackplane(redis.url);
+  t.after(async () => {
+    await backplane.close();
+    await redis.close();
+  });
+
+  assert.equal(await backplane.increment('bs:invite:7KQ2-XM4D:uses', 60_000), 1);
+  assert.equal(await backplane.increment('bs:invite:7KQ2-XM4D:uses', 30_000), 2);
+  assert.equal(redis.expiries.get('bs:invite:7KQ2-XM4D:uses'), 60_000);
+});
+
+test('subscriptions come back after the connection drops', async (t) => {
+  const redis = await startFakeRedis();
+  const first = new RedisBackplane(redis.url);
+  const second = new RedisBackplane(redis.url);
+  t.after(async () => {
+    await first.close();
+    await second.close();
+    await redis.close();
+  });
+
+  const channel = 'bs:room:team::design';
+  const received = [];
+  await second.subscribe(channel, (message) => received.push(message));
+  assert.equal(redis.subscriberCount(channel), 1);
+
+  redis.dropConnections();
+  await assert.rejects(first.publish(channel, 'lost'));
+  assert.equal(redis.subscriberCount(channel), 0);
+
+  // Reconnects after a second and subscribes again.
+  await eventually(() => assert.equal(redis.subscriberCount(channel), 1));
+  await eventually(() => first.publish(channel, 'after reconnect'));
+  await eventually(() => assert.deepEqual(received, ['after reconnect']));
+
+  // A channel subscribed after the reconnect works too.
+  const message = nextMessage(second, 'bs:room:team::other');
+  await eventually(() => assert.equal(redis.subscriberCount('bs:room:team::other'), 1));
+  await first.publish('bs:room:team::other', 'new channel');
+  assert.equal(await message, 'new channel');
+});
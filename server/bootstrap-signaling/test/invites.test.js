@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { MemoryBackplane } from '../src/backplane.js';
+import { InviteRegistry, normalizeInviteCode } from '../src/invites.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function issue(registry, fields = {}) {
+  return registry.issue({ namespace: 'team', room: 'design', role: 'write', ttlMs: 60_000, maxUses: 2, tokenTtlMs: HOUR_MS, ...fields });
+}
+
+test('codes read aloud or retyped still match', () => {
+  assert.equal(normalizeInviteCode(' 7kq2 xm4d '), '7KQ2-XM4D');
+  assert.equal(normalizeInviteCode('7KQ2XM4D'), '7KQ2-XM4D');
+  assert.equal(normalizeInviteCode('7KQ2-XM4'), null);
+  assert.equal(normalizeInviteCode(undefined), null);
+});
+
+test('an invite runs out after maxUses, whichever replica redeems it', async () => {
+  const backplane = new MemoryBackplane();
+  const first = new InviteRegistry(backplane);
+  const second = new InviteRegistry(backplane);
+  const invite = await issue(first);
+  assert.match(invite.code, /^[0-9A-HJKMNP-TV-Z]{4}-[0-9A-HJKMNP-TV-Z]{4}$/);
+
+  const results = await Promise.all([
+    second.redeem(invite.code),
+    first.redeem(invite.code.toLowerCase()),
+    second.redeem(invite.code.replace('-', ''))
+  ]);
+  assert.deepEqual(results.map((result) => result.uses ?? result.reason).sort(), [1, 2, 'used_up']);
+  assert.deepEqual(results.find((result) => result.uses === 1).invite, invite);
+  assert.deepEqual(await first.redeem(invite.code), { reason: 'used_up' });
+});
+
+test('an expired invite says so for an hour, then is unknown', async () => {
+  const registry = new InviteRegistry(new MemoryBackplane());
+  const invite = await issue(registry);
+
+  assert.equal((await registry.redeem(invite.code, invite.expiresAt - 1)).uses, 1);
+  assert.deepEqual(await registry.redeem(invite.code, invite.expiresAt), { reason: 'expired' });
+  assert.deepEqual(await registry.redeem(invite.code, invite.expiresAt + HOUR_MS - 1), { reason: 'expired' });
+  assert.deepEqual(await registry.redeem(invite.code, invite.expiresAt + HOUR_MS), { reason: 'unknown' });
+
+  assert.deepEqual(await registry.redeem('0000-0000'), { reason: 'unknown' });
+  assert.deepEqual(await registry.redeem('not a code'), { reason: 'unknown' });
+});
@@ -0,0 +1,177 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { PeerIdentity } from '../../../packages/file-sync/src/peerIdentity.js';
+import { deriveRoomKey, messageAad, sealBytes, sealJson } from '../../../packages/file-sync/src/roomCrypto.js';
+import { validateMessage } from '../src/messageSchemas.js';
+
+const namespace = 'team';
+const room = 'design';
+const identity = await PeerIdentity.generate();
+const roomKey = await deriveRoomKey({ secret: 'invite-secret', namespace, room });
+
+function toBase64(bytes) {
+  return Buffer.from(bytes).toString('base64');
+}
+
+// Built the way FileSyncPanel._sendRoomMessage builds them, then put through JSON as the
+// server receives them.
+async function panelEnvelope(type, payload, { targetPeerId = null, sealed = false } = {}) {
+  const envelope = { type, sourcePeerId: 'peer-a', namespace, room, payload };
+  if (sealed) {
+    if (type === 'file-chunk') {
+      const { transferId, chunkIndex, flags, data } = payload;
+      const bytes = await sealBytes(roomKey, Buffer.from(data, 'base64'), messageAad(envelope, transferId, chunkIndex));
+      envelope.payload = { transferId, chunkIndex, flags, data: toBase64(bytes) };
+    } else {
+      envelope.payload = { sealed: toBase64(await sealJson(roomKey, payload, messageAad(envelope))) };
+    }
+  }
+  if (targetPeerId) envelope.targetPeerId = targetPeerId;
+  envelope.publicKey = identity.publicKey;
+  envelope.signature = await identity.sign(envelope);
+  return JSON.parse(JSON.stringify(envelope));
+}
+
+const blocks = [
+  ['9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08', 65536],
+  ['60303ae22b998861bce3b28f33eec1be758a213c86c93c076dbe9f558c11c752', 1200]
+];
+
+const ROOM_MESSAGES = [
+  [
+    'sync-manifest',
+    {
+      files: [
+        {
+          id: 'file-1',
+          checksum: 'abc',
+          updatedAt: 1_700_000_000_000,
+          name: 'plan.txt',
+          path: 'docs/plan.txt',
+          mime: 'text/plain',
+          size: 66736,
+          version: { 'replica-a': 2 },
+          replicaId: 'replica-a'
+        }
+      ],
+      tombstones: [{ id: 'file-0', name: 'old.txt', checksum: 'def', deletedAt: 1_700_000_000_000, deletedBy: 'peer-a' }],
+      reply: false
+    }
+  ],
+  ['file-have', { fileId: 'file-1' }],
+  ['file-blocks-request', { fileId: 'file-1' }, 'peer-b'],
+  ['file-blocks', { fileId: 'file-1', blocks }, 'peer-b'],
+  ['file-chunk-request', { fileId: 'file-1', transferId: 'transfer-1', ranges: [[0, 2]] }, 'peer-b'],
+  [
+    'file-chunk-ack',
+    {
+      fileId: 'file-1',
+      transferId: 'transfer-1',
+      totalChunks: 2,
+      receivedChunks: 1,
+      bitmap: 'AQ==',
+      credit: 64,
+      complete: false
+    },
+    'peer-b'
+  ],
+  ['file-chunk-ack', { fileId: 'file-1', transferId: 'transfer-1', declined: true }, 'peer-b'],
+  [
+    'file-transfer-retry-request',
+    { fileId: 'file-1', failedTransferId: 'transfer-1', targetPeerId: 'peer-b' },
+    'peer-b'
+  ],
+  [
+    'file-transfer-start',
+    {
+      transferId: 'transfer-1',
+      id: 'file-1',
+      name: 'plan.txt',
+      path: 'docs/plan.txt',
+      mime: 'text/plain',
+      size: 66736,
+      updatedAt: 1_700_000_000_000,
+      checksum: 'abc',
+      version: { 'replica-a': 2 },
+      replicaId: 'replica-a',
+      totalChunks: 2,
+      blocks,
+      retryOfTransferId: null
+    }
+  ],
+  ['file-chunk', { transferId: 'transfer-1', id: 'file-1', chunkIndex: 1, totalChunks: 2, flags: 1, data: toBase64([1, 2, 3]) }],
+  [
+    'file-transfer-complete',
+    { transferId: 'transfer-1', id: 'file-1', checksum: 'abc', updatedAt: 1_700_000_000_000, resumed: true, ranges: [[1, 2]] }
+  ],
+  ['file-transfer-complete', { transferId: 'transfer-1', id: 'file-1', checksum: 'abc', updatedAt: 1, resumed: false, ranges: null }],
+  ['file-delete', { id: 'file-1', name: 'plan.txt', checksum: 'abc', deletedAt: 1_700_000_000_000, deletedBy: 'peer-a' }],
+  ['file-upsert', { id: 'file-1', name: 'plan.txt', mime: 'text/plain', data: toBase64([1]), updatedAt: 1, checksum: 'abc' }]
+];
+
+for (const [type, payload, targetPeerId] of ROOM_MESSAGES) {
+  for (const sealed of [false, true]) {
+    test(`accepts a ${sealed ? 'sealed' : 'plain'} signed ${type}${targetPeerId ? ' to one peer' : ''}`, async () => {
+      const message = await panelEnvelope(type, payload, { targetPeerId, sealed });
+      assert.deepEqual(validateMessage(message), { ok: true });
+    });
+  }
+}
+
+test('accepts what a transport sends on its own', () => {
+  const signals = [
+    { type: 'heartbeat' },
+    { type: 'telemetry', iceState: 'connected', relayUsed: false },
+    { type: 'telemetry', iceState: 'failed', relayUsed: false, failureReason: 'candidate-pair-failed' },
+    { type: 'rtc-hello', targetPeerId: null },
+    { type: 'rtc-hello', targetPeerId: 'peer-b', reply: true },
+    { type: 'rtc-offer', targetPeerId: 'peer-b', sdp: { type: 'offer', sdp: 'v=0\r\n' } },
+    { type: 'rtc-answer', targetPeerId: 'peer-a', sdp: { type: 'answer', sdp: 'v=0\r\n' } },
+    { type: 'rtc-ice', targetPeerId: 'peer-b', candidate: { candidate: 'candidate:1 1 udp 1 10.0.0.1 5000 typ host', sdpMid: '0' } },
+    { type: 'rtc-bye', targetPeerId: null },
+    { type: 'moderation', action: 'ban', requestId: 1, namespace, room, peerId: 'peer-b', scope: 'identity', durationSeconds: 60 }
+  ];
+  for (const message of signals) {
+    assert.deepEqual(validateMessage(JSON.parse(JSON.stringify(message))), { ok: true }, message.type);
+  }
+});
+
+test('rejects what is not a typed object', () => {
+  for (const message of [null, 42, 'file-delete', [], {}, { type: 7 }]) {
+    assert.equal(validateMessage(message).reason, 'invalid_message');
+  }
+});
+
+test('rejects unknown types', () => {
+  assert.deepEqual(validateMessage({ type: 'file-steal' }), {
+    ok: false,
+    reason: 'unknown_type',
+    path: '$.type',
+    detail: 'unknown message type file-steal'
+  });
+});
+
+test('names the first field that breaks the schema', async () => {
+  const start = ROOM_MESSAGES.find(([type]) => type === 'file-transfer-start')[1];
+  const cases = [
+    [{ type: 'file-delete', payload: { id: 42 } }, '$.payload.id', 'must be string'],
+    [{ type: 'file-delete', payload: { id: 'file-1' }, replayed: true }, '$.replayed', 'is not allowed'],
+    [{ type: 'heartbeat', extra: 1 }, '$.extra', 'is not allowed'],
+    [{ type: 'file-delete', payload: { name: 'x' } }, '$.payload.id', 'is required'],
+    [{ type: 'file-transfer-start', payload: { ...start, blocks: [['hash', 1, 2]] } }, '$.payload.blocks[0]', 'must have at most 2 items'],
+    [{ type: 'file-transfer-start', payload: { ...start, blocks: [['hash']] } }, '$.payload.blocks[0]', 'must have 2 items'],
+    [{ type: 'file-transfer-start', payload: { ...start, blocks: [['hash', -1]] } }, '$.payload.blocks[0][1]', 'must be >= 0'],
+    [{ type: 'file-have', payload: { fileId: 'x'.repeat(257) } }, '$.payload.fileId', 'must be at most 256 characters'],
+    [{ type: 'telemetry', region: 'x'.repeat(65) }, '$.region', 'must be at most 64 characters'],
+    [{ type: 'telemetry', iceState: 'melted' }, '$.iceState', `must be one of new, checking, connected, completed, failed, disconnected, closed, unknown`],
+    [{ type: 'file-chunk', payload: { transferId: 't', chunkIndex: 1.5, data: '' } }, '$.payload.chunkIndex', 'must be integer']
+  ];
+  for (const [message, path, detail] of cases) {
+    assert.deepEqual(validateMessage(message), { ok: false, reason: 'schema_violation', path, detail }, path);
+  }
+});
+
+test('a file-chunk payload cannot be sealed whole', async () => {
+  const message = await panelEnvelope('file-delete', { id: 'file-1' }, { sealed: true });
+  assert.equal(validateMessage({ ...message, type: 'file-chunk' }).reason, 'schema_violation');
+});
@@ -0,0 +1,49 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { MemoryBackplane } from '../src/backplane.js';
+import { ModerationRegistry } from '../src/moderation.js';
+
+const room = { namespace: 'team', room: 'design' };
+const subject = { peerId: 'peer-b', identity: 'key-b', ip: '203.0.113.7' };
+
+test('a ban on any of peerId, identity or ip matches, on every replica', async () => {
+  const backplane = new MemoryBackplane();
+  const first = new ModerationRegistry(backplane);
+  const second = new ModerationRegistry(backplane);
+
+  for (const kind of ['peerId', 'identity', 'ip']) {
+    const ban = await first.ban({ ...room, kind, value: subject[kind], durationMs: 60_000, reason: 'spam', by: 'peer-a' });
+    assert.deepEqual(await second.findBan({ ...room, ...subject }), ban);
+    // Only that one field of the subject has to match.
+    assert.deepEqual(await second.findBan({ ...room, [kind]: subject[kind] }), ban);
+    assert.equal(await second.findBan({ ...room, peerId: 'peer-c', identity: 'key-c', ip: '203.0.113.8' }), null);
+    assert.equal(await second.findBan({ namespace: 'team', room: 'other', ...subject }), null);
+
+    assert.equal(await second.unban({ ...room, kind, value: subject[kind] }), true);
+    assert.equal(await first.findBan({ ...room, ...subject }), null);
+  }
+});
+
+test('bans expire, and unknown kinds are refused', async () => {
+  const registry = new ModerationRegistry(new MemoryBackplane());
+  const ban = await registry.ban({ ...room, kind: 'ip', value: subject.ip, durationMs: 60_000 });
+
+  assert.deepEqual(await registry.listBans(room, ban.expiresAt - 1), [ban]);
+  assert.equal(await registry.findBan({ ...room, ...subject }, ban.expiresAt), null);
+  assert.deepEqual(await registry.listBans(room), []);
+
+  await assert.rejects(registry.ban({ ...room, kind: 'name', value: 'bob', durationMs: 60_000 }));
+  await assert.rejects(registry.ban({ ...room, kind: 'ip', value: '', durationMs: 60_000 }));
+});
+
+test('a room lock holds on every replica until it is lifted', async () => {
+  const backplane = new MemoryBackplane();
+  const first = new ModerationRegistry(backplane);
+  const second = new ModerationRegistry(backplane);
+
+  assert.equal(await second.lockOf(room), null);
+  const lock = await first.lock({ ...room, reason: 'meeting', by: 'peer-a' });
+  assert.deepEqual(await second.lockOf(room), lock);
+  assert.equal(await second.unlock(room), true);
+  assert.equal(await first.lockOf(room), null);
+});
@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { TokenBuckets, takeTokens } from '../src/rateLimits.js';
+
+test('a bucket starts full and refills at its rate', () => {
+  const buckets = new TokenBuckets({ ratePerSecond: 10, burst: 5 });
+  for (let i = 0; i < 5; i += 1) {
+    assert.equal(buckets.waitMs('peer', 1, 0), 0);
+    buckets.take('peer', 1, 0);
+  }
+  assert.equal(buckets.waitMs('peer', 1, 0), 100);
+  assert.equal(buckets.waitMs('peer', 1, 50), 50);
+  assert.equal(buckets.waitMs('peer', 1, 100), 0);
+  // Never refills past the burst.
+  assert.equal(buckets.waitMs('peer', 5, 10_000), 0);
+  buckets.take('peer', 5, 10_000);
+  assert.equal(buckets.waitMs('peer', 1, 10_000), 100);
+});
+
+test('a cost above the burst needs a full bucket and leaves it in debt', () => {
+  const buckets = new TokenBuckets({ ratePerSecond: 1000, burst: 1000 });
+  assert.equal(buckets.waitMs('peer', 4000, 0), 0);
+  buckets.take('peer', 4000, 0);
+  // 3000 tokens of debt: a full bucket again takes four seconds.
+  assert.equal(buckets.waitMs('peer', 1, 0), 3001);
+  assert.equal(buckets.waitMs('peer', 4000, 3500), 500);
+  assert.equal(buckets.waitMs('peer', 4000, 4000), 0);
+});
+
+test('keys have buckets of their own and a rate of 0 turns the limit off', () => {
+  const buckets = new TokenBuckets({ ratePerSecond: 1, burst: 1 });
+  buckets.take('a', 1, 0);
+  assert.equal(buckets.waitMs('a', 1, 0), 1000);
+  assert.equal(buckets.waitMs('b', 1, 0), 0);
+
+  const off = new TokenBuckets({ ratePerSecond: 0, burst: 0 });
+  off.take('a', 1_000_000, 0);
+  assert.equal(off.enabled, false);
+  assert.equal(off.waitMs('a', 1_000_000, 0), 0);
+});
+
+test('prune drops only full buckets', () => {
+  const buckets = new TokenBuckets({ ratePerSecond: 1, burst: 2 });
+  buckets.take('spent', 2, 0);
+  buckets.take('touched', 0, 0);
+  buckets.prune(500);
+  assert.deepEqual([...buckets.buckets.keys()], ['spent']);
+  buckets.prune(2000);
+  assert.equal(buckets.buckets.size, 0);
+});
+
+test('takeTokens reports the bucket that needs the longest wait', () => {
+  const peer = new TokenBuckets({ ratePerSecond: 1, burst: 1 });
+  const ip = new TokenBuckets({ ratePerSecond: 10, burst: 1 });
+  const room = new TokenBuckets({ ratePerSecond: 100, burst: 100 });
+  peer.take('p', 1, 0);
+  ip.take('1.2.3.4', 1, 0);
+
+  const result = takeTokens(
+    [
+      { buckets: ip, key: '1.2.3.4', cost: 1, scope: 'ip', budget: 'control' },
+      { buckets: peer, key: 'p', cost: 1, scope: 'peer', budget: 'control' },
+      { buckets: room, key: 'n::r', cost: 10, scope: 'room', budget: 'bytes' }
+    ],
+    0
+  );
+  assert.deepEqual(result, { ok: false, retryAfterMs: 1000, scope: 'peer', budget: 'control' });
+});
+
+test('takeTokens charges nothing when one bucket blocks', () => {
+  const peer = new TokenBuckets({ ratePerSecond: 100, burst: 100 });
+  const room = new TokenBuckets({ ratePerSecond: 100, burst: 100 });
+  room.take('n::r', 100, 0);
+
+  const charges = [
+    { buckets: peer, key: 'p', cost: 60, scope: 'peer', budget: 'data' },
+    { buckets: room, key: 'n::r', cost: 60, scope: 'room', budget: 'bytes' }
+  ];
+  assert.equal(takeTokens(charges, 0).scope, 'room');
+  assert.equal(peer.waitMs('p', 100, 0), 0);
+
+  assert.deepEqual(takeTokens(charges, 600), { ok: true });
+  assert.equal(peer.waitMs('p', 60, 600), 200);
+  assert.equal(room.waitMs('n::r', 1, 600), 10);
+});
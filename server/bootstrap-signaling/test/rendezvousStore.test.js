@@ -0,0 +1,116 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { test } from 'node:test';
+import { FileRendezvousStore, MemoryRendezvousStore } from '../src/rendezvousStore.js';
+
+function record(peerId, expiresAt, { namespace = 'team', room = 'design' } = {}) {
+  return { namespace, room, peerId, seenAt: expiresAt - 1000, expiresAt };
+}
+
+async function peerIds(store, room = { namespace: 'team', room: 'design' }, now = 0) {
+  return (await store.list(room, now)).map((entry) => entry.peerId).sort();
+}
+
+async function tempDir(t) {
+  const dir = await mkdtemp(join(tmpdir(), 'rendezvous-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('pruning removes records in expiry order and keeps refreshed ones', async () => {
+  const store = new MemoryRendezvousStore();
+  await store.put(record('peer-a', 1000));
+  await store.put(record('peer-b', 2000));
+  await store.put(record('peer-c', 3000, { room: 'other' }));
+  // peer-a refreshes, which leaves its old entry in the index.
+  await store.put(record('peer-a', 4000));
+
+  assert.equal(await store.pruneExpired(1500), 0);
+  assert.deepEqual(await peerIds(store), ['peer-a', 'peer-b']);
+
+  assert.equal(await store.pruneExpired(2000), 1);
+  assert.deepEqual(await peerIds(store), ['peer-a']);
+
+  assert.equal(await store.pruneExpired(3500), 1);
+  assert.equal(store.rooms.has('team::other'), false);
+
+  assert.equal(await store.pruneExpired(4000), 1);
+  assert.equal(store.count(), 0);
+  assert.equal(store.rooms.size, 0);
+  assert.equal(store.expiry.size, 0);
+});
+
+test('pruning pops due entries in order whatever order they were added in', async () => {
+  const store = new MemoryRendezvousStore();
+  const expiries = Array.from({ length: 40 }, (_, index) => ((index * 17) % 40) * 100 + 100);
+  for (const [index, expiresAt] of expiries.entries()) await store.put(record(`peer-${index}`, expiresAt));
+
+  for (let now = 100; now <= 4000; now += 300) {
+    await store.pruneExpired(now);
+    const left = store.records().map((entry) => entry.expiresAt);
+    assert.equal(left.length, expiries.filter((expiresAt) => expiresAt > now).length);
+    assert.ok(left.every((expiresAt) => expiresAt > now));
+  }
+});
+
+test('refreshing often rebuilds the index instead of letting stale entries pile up', async () => {
+  const store = new MemoryRendezvousStore();
+  await store.put(record('peer-a', 100_000));
+  for (let seen = 1; seen <= 500; seen += 1) await store.put(record('peer-b', 1000 + seen));
+
+  assert.ok(store.expiry.size <= 65, `index holds ${store.expiry.size} entries`);
+  assert.equal(store.count(), 2);
+
+  // The rebuilt index still holds the newest expiry of each record.
+  assert.equal(await store.pruneExpired(1500), 1);
+  assert.deepEqual(await peerIds(store), ['peer-a']);
+  assert.equal(await store.pruneExpired(100_000), 1);
+  assert.equal(store.expiry.size, 0);
+});
+
+test('a snapshot survives a restart without the records that expired meanwhile', async (t) => {
+  const dir = await tempDir(t);
+  const path = join(dir, 'nested', 'registrations.json');
+  const now = Date.now();
+
+  const first = new FileRendezvousStore(path);
+  await first.put(record('peer-live', now + 60_000));
+  await first.put(record('peer-expired', now - 1));
+  await first.put(record('peer-gone', now + 60_000));
+  await first.delete({ namespace: 'team', room: 'design', peerId: 'peer-gone' });
+  await first.close();
+
+  const snapshot = JSON.parse(await readFile(path, 'utf8'));
+  assert.deepEqual(snapshot.records.map((entry) => entry.peerId).sort(), ['peer-expired', 'peer-live']);
+  // The temporary file was renamed over the snapshot.
+  assert.deepEqual(await readdir(join(dir, 'nested')), ['registrations.json']);
+
+  const second = new FileRendezvousStore(path);
+  assert.deepEqual(await peerIds(second, undefined, now), ['peer-live']);
+  assert.equal(second.expiry.size, 1);
+  await second.close();
+});
+
+test('an unreadable snapshot is logged and replaced on the next save', async (t) => {
+  const dir = await tempDir(t);
+  const path = join(dir, 'registrations.json');
+  await writeFile(path, '{"records": [');
+
+  const logged = [];
+  const store = new FileRendezvousStore(path, { log: (...entry) => logged.push(entry) });
+  assert.equal(store.count(), 0);
+  assert.equal(logged.length, 1);
+  assert.deepEqual(logged[0].slice(0, 2), ['warn', 'rendezvous.store_unreadable']);
+  assert.equal(logged[0][2].path, path);
+
+  await store.put(record('peer-a', Date.now() + 60_000));
+  await store.close();
+  assert.deepEqual(JSON.parse(await readFile(path, 'utf8')).records.map((entry) => entry.peerId), ['peer-a']);
+
+  // A missing file is a fresh start, not a warning.
+  const fresh = new FileRendezvousStore(join(dir, 'missing.json'), { log: (...entry) => logged.push(entry) });
+  assert.equal(logged.length, 1);
+  await fresh.close();
+});
@@ -0,0 +1,86 @@
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { test } from 'node:test';
+import { hasRole, requiredRole, signRoomToken, verifyRoomToken } from '../src/roomTokens.js';
+
+const secret = 'test-secret';
+const now = Date.UTC(2026, 0, 1);
+
+function token(overrides = {}) {
+  return signRoomToken({ secret, namespace: 'team', room: 'design', role: 'write', ttlSeconds: 60, now, ...overrides });
+}
+
+function base64UrlJson(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+test('accepts a token for its room', () => {
+  const result = verifyRoomToken(token({ subject: 'alice' }), { secret, namespace: 'team', room: 'design', now });
+  assert.equal(result.ok, true);
+  assert.equal(result.claims.role, 'write');
+  assert.equal(result.claims.sub, 'alice');
+  assert.equal(result.claims.exp, now / 1000 + 60);
+});
+
+test('rejects a token signed with another secret', () => {
+  const forged = signRoomToken({ secret: 'other', namespace: 'team', room: 'design', role: 'admin', now });
+  assert.deepEqual(verifyRoomToken(forged, { secret, namespace: 'team', room: 'design', now }), {
+    ok: false,
+    reason: 'bad_signature'
+  });
+});
+
+test('rejects a correctly signed token whose header is not HS256', () => {
+  const claims = { namespace: 'team', room: 'design', role: 'write', iat: now / 1000, exp: now / 1000 + 60 };
+  const signingInput = `${base64UrlJson({ alg: 'none', typ: 'JWT' })}.${base64UrlJson(claims)}`;
+  const sig = createHmac('sha256', secret).update(signingInput).digest('base64url');
+  assert.deepEqual(verifyRoomToken(`${signingInput}.${sig}`, { secret, namespace: 'team', room: 'design', now }), {
+    ok: false,
+    reason: 'malformed'
+  });
+});
+
+test('rejects malformed tokens', () => {
+  for (const value of [null, '', 'abc', 'a.b']) {
+    assert.equal(verifyRoomToken(value, { secret, namespace: 'team', room: 'design', now }).reason, 'malformed');
+  }
+});
+
+test('rejects an expired token', () => {
+  assert.deepEqual(verifyRoomToken(token(), { secret, namespace: 'team', room: 'design', now: now + 60_000 }), {
+    ok: false,
+    reason: 'expired'
+  });
+  assert.equal(verifyRoomToken(token(), { secret, namespace: 'team', room: 'design', now: now + 59_999 }).ok, true);
+});
+
+test('a `*` room token opens every room of its namespace only', () => {
+  const wildcard = token({ room: '*' });
+  assert.equal(verifyRoomToken(wildcard, { secret, namespace: 'team', room: 'design', now }).ok, true);
+  assert.equal(verifyRoomToken(wildcard, { secret, namespace: 'team', room: 'other', now }).ok, true);
+  assert.equal(verifyRoomToken(wildcard, { secret, namespace: 'rival', room: 'design', now }).reason, 'wrong_room');
+});
+
+test('rejects a token for another namespace or room', () => {
+  assert.equal(verifyRoomToken(token(), { secret, namespace: 'rival', room: 'design', now }).reason, 'wrong_room');
+  assert.equal(verifyRoomToken(token(), { secret, namespace: 'team', room: 'other', now }).reason, 'wrong_room');
+});
+
+test('refuses to sign without a numeric ttl', () => {
+  assert.throws(() => token({ ttlSeconds: Number('abc') }), /ttlSeconds/);
+});
+
+test('readers may request files but not offer or delete them', () => {
+  assert.equal(requiredRole('file-delete'), 'write');
+  assert.equal(requiredRole('file-transfer-start'), 'write');
+  assert.equal(requiredRole('file-chunk-request'), 'read');
+  assert.equal(requiredRole('moderation'), 'admin');
+  assert.equal(requiredRole('something-new'), 'write');
+
+  assert.equal(hasRole('read', requiredRole('file-delete')), false);
+  assert.equal(hasRole('read', requiredRole('file-transfer-start')), false);
+  assert.equal(hasRole('read', requiredRole('file-chunk-ack')), true);
+  assert.equal(hasRole('write', requiredRole('file-delete')), true);
+  assert.equal(hasRole('write', requiredRole('moderation')), false);
+  assert.equal(hasRole('admin', requiredRole('moderation')), true);
+});
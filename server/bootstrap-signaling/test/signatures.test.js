@@ -0,0 +1,50 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { PeerIdentity } from '../../../packages/file-sync/src/peerIdentity.js';
+import { verifyMessageSignature } from '../src/signatures.js';
+
+const owner = await PeerIdentity.generate();
+const impostor = await PeerIdentity.generate();
+
+async function signed(identity, message) {
+  const envelope = { namespace: 'team', room: 'design', sourcePeerId: 'peer-a', ...message };
+  envelope.publicKey = identity.publicKey;
+  envelope.signature = await identity.sign(envelope);
+  return JSON.parse(JSON.stringify(envelope));
+}
+
+test('accepts a message signed by the key it carries', async () => {
+  assert.equal(verifyMessageSignature(await signed(owner, { type: 'file-have', payload: { fileId: 'file-1' } })), true);
+  assert.equal(
+    verifyMessageSignature(await signed(owner, { type: 'file-have', targetPeerId: 'peer-b', payload: { fileId: 'file-1' } })),
+    true
+  );
+});
+
+test('accepts a JSON fallback file-chunk, whose bytes are signed raw', async () => {
+  const message = await signed(owner, {
+    type: 'file-chunk',
+    payload: { transferId: 'transfer-1', id: 'file-1', chunkIndex: 3, totalChunks: 4, flags: 0, data: Buffer.from('chunk').toString('base64') }
+  });
+  assert.equal(verifyMessageSignature(message), true);
+  assert.equal(verifyMessageSignature({ ...message, payload: { ...message.payload, data: Buffer.from('other').toString('base64') } }), false);
+});
+
+test("rejects someone else's key", async () => {
+  const message = await signed(impostor, { type: 'file-have', payload: { fileId: 'file-1' } });
+  assert.equal(verifyMessageSignature({ ...message, publicKey: owner.publicKey }), false);
+});
+
+test('rejects changed routing fields or payloads', async () => {
+  const message = await signed(owner, { type: 'file-have', payload: { fileId: 'file-1' } });
+  assert.equal(verifyMessageSignature({ ...message, room: 'other' }), false);
+  assert.equal(verifyMessageSignature({ ...message, targetPeerId: 'peer-b' }), false);
+  assert.equal(verifyMessageSignature({ ...message, payload: { fileId: 'file-2' } }), false);
+});
+
+test('rejects missing or malformed keys and signatures', async () => {
+  const message = await signed(owner, { type: 'file-have', payload: { fileId: 'file-1' } });
+  assert.equal(verifyMessageSignature({ ...message, signature: undefined }), false);
+  assert.equal(verifyMessageSignature({ ...message, publicKey: 'AAAA' }), false);
+  assert.equal(verifyMessageSignature({ ...message, signature: 'not base64 at all' }), false);
+});